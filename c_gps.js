@@ -2,11 +2,79 @@
 
 /**
  * MV77G GPS Tracker Server for Railway.com
- * Receives and processes GPS data from MiCODUS MV77G devices
+ * Receives and processes GPS data from MiCODUS MV77G devices, plus HQ/H02 and
+ * JT808 trackers on the same port (protocol is detected per connection)
  */
 
 import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import express from 'express';
+import { createSniffer, PROTOCOL } from './gps-mux.js';
+import { fromGT06, fromHQ, fromJT808 } from './position.js';
+import { createPositionStore } from './position-store.js';
+import { segmentTrack } from './trips.js';
+import { EXPORT_FORMATS, exportTrack } from './track-export.js';
+import { createGeofenceRegistry } from './geofences.js';
+import { createRuleEngine } from './rules.js';
+import { createWebhookDispatcher, WEBHOOK_EVENTS } from './webhooks.js';
+import { createEventHub } from './event-stream.js';
+import { createDeviceRegistry } from './device-registry.js';
+import { createSessionManager, DISCONNECT_REASON } from './sessions.js';
+import { createCapture } from './capture.js';
+import {
+    buildCommand as buildHQCommand, buildReply as buildHQReply, commandFor as hqCommandFor,
+    parsePacket, REPLY_TO as HQ_REPLY_TO
+} from './hq.js';
+import {
+    alarmTransitions, build8001, build8003, build8103, build8104, build8106,
+    decodeJT808Body, nextSeq, parseJT808Frame
+} from './jt808.js';
+import { ACK_RESULT, createAuthRegistry, PRE_AUTH_MESSAGES, sendAckIfNeeded } from './jt808-auth.js';
+import { createReassembler } from './jt808-subpack.js';
+import { listParams } from './jt808-params.js';
+import {
+    buildGT06Ack, buildGT06Command, GT06_PROTOCOL, gt06AlarmType, gt06CommandText, parseGT06Frame
+} from './gt06.js';
+
+// Error carrying the HTTP status a route should answer with
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// ?from=&to=&bbox=&sort=&fields=&cursor=&limit= → positionStore.query() options,
+// or null when none of the history filters is given (plain "last N" listing)
+function parseHistoryQuery(query) {
+    const { from, to, bbox, sort, fields, cursor } = query;
+    if ([from, to, bbox, sort, fields, cursor].every(v => v === undefined)) return null;
+
+    const time = (value, name) => {
+        const t = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        if (!Number.isFinite(t)) throw httpError(400, `${name} must be an ISO time or epoch milliseconds`);
+        return t;
+    };
+    const q = { limit: Math.min(parseInt(query.limit) || 100, 1000) };
+    if (from !== undefined) q.from = time(String(from), 'from');
+    if (to !== undefined) q.to = time(String(to), 'to');
+    if (bbox !== undefined) {
+        const box = String(bbox).split(',').map(Number);
+        if (box.length !== 4 || box.some(n => !Number.isFinite(n)) || box[0] > box[2] || box[1] > box[3]) {
+            throw httpError(400, 'bbox must be minLon,minLat,maxLon,maxLat');
+        }
+        q.bbox = box;
+    }
+    if (sort !== undefined) {
+        if (sort !== 'timestamp' && sort !== '-timestamp') throw httpError(400, 'sort must be timestamp or -timestamp');
+        q.order = sort === '-timestamp' ? 'desc' : 'asc';
+    }
+    if (fields !== undefined) q.fields = String(fields).split(',').map(f => f.trim()).filter(Boolean);
+    if (cursor !== undefined) q.cursor = String(cursor);
+    return q;
+}
+
+const ACK_RESULT_NAMES = ['success', 'failure', 'bad_message', 'unsupported'];
 
 class MV77GServer {
     constructor() {
@@ -16,9 +84,42 @@ class MV77GServer {
         this.host = '0.0.0.0';
         
         this.tcpServer = null;
-        this.clients = new Map();
-        this.locations = []; // Store in memory (Railway has ephemeral filesystem)
-        this.alarms = [];
+        this.httpServer = null;
+        // File-backed history (mount a volume on Railway to keep it across deploys)
+        this.positionStore = createPositionStore();
+        this.alarmStore = createPositionStore({ dir: process.env.ALARM_STORE_DIR || 'data/alarms' });
+        this.geofences = createGeofenceRegistry();
+        this.registry = createDeviceRegistry();
+        this.rules = createRuleEngine({ groupOf: id => this.registry.get(id)?.group ?? null });
+        this.webhooks = createWebhookDispatcher();
+        this.events = createEventHub();
+        this.capture = createCapture(); // raw traffic for replay.js when CAPTURE=true
+        // heartbeat timeout per device: 3 reporting intervals when the registry knows it
+        this.sessions = createSessionManager({
+            timeoutFor: id => {
+                const interval = this.registry.get(id)?.reportingInterval;
+                return interval ? interval * 3 : null;
+            },
+            // sessions replaced by a new login never reach release() on close
+            onEnd: s => this.onDeviceDisconnected(s.deviceId, s.protocol, s.address, s.disconnectReason)
+        });
+        this.gt06Devices = new WeakMap(); // socket → IMEI from its GT06 login
+        this.gt06Pending = new Map(); // server flag → { deviceId, resolve, timer } for 0x80 commands
+        this.gt06ServerFlag = 0;
+        this.gt06CommandTimeout = Number(process.env.GT06_COMMAND_TIMEOUT_MS || 30000);
+        this.hqPending = new Map(); // `${imei}:${command}` → [{ resolve, timer }] awaiting the V4 confirmation
+        this.hqCommandTimeout = Number(process.env.HQ_COMMAND_TIMEOUT_MS || 30000);
+        this.jt808AlarmState = new Map(); // terminal → last alarm word
+        this.jt808Auth = createAuthRegistry();
+        this.jt808AuthedSockets = new WeakMap(); // socket → authenticated terminal
+        this.jt808Pending = new Map(); // `${terminal}:${seq}` → { resolve, timer }
+        this.jt808RequestTimeout = Number(process.env.JT808_REQUEST_TIMEOUT_MS || 15000);
+        // set JT808_REQUIRE_AUTH=false to accept data from terminals that never authenticated
+        this.jt808RequireAuth = String(process.env.JT808_REQUIRE_AUTH ?? 'true').toLowerCase() !== 'false';
+        this.jt808Reassembler = createReassembler({
+            decode: decodeJT808Body,
+            onExpire: (entry) => console.log(`⌛ JT808 0x${entry.msgId.toString(16).padStart(4, '0')} from ${entry.terminal} dropped, missing packages ${entry.missing.join(',')}`)
+        });
         this.running = false;
         
         console.log(`🌐 Environment: Railway.com`);
@@ -32,10 +133,28 @@ class MV77GServer {
         
         // Start TCP server for GPS data
         await this.startTCPServer();
+
+        // no_report rules fire on silence, so they are checked on a timer
+        this.silenceTimer = setInterval(() => this.checkSilentDevices(), 60000);
+        this.silenceTimer.unref();
+    }
+
+    // Close both listeners and every store, so the process can exit (tests)
+    stop() {
+        this.running = false;
+        clearInterval(this.silenceTimer);
+        this.tcpServer?.close();
+        this.httpServer?.closeAllConnections();
+        this.httpServer?.close();
+        this.sessions.close();
+        this.webhooks.close();
+        this.positionStore.close();
+        this.alarmStore.close();
     }
 
     async startHTTPServer() {
         const app = express();
+        app.use(express.json());
         
         // Health check endpoint (required by Railway)
         app.get('/', (req, res) => {
@@ -43,45 +162,398 @@ class MV77GServer {
                 status: 'running',
                 service: 'MV77G GPS Tracker',
                 timestamp: new Date().toISOString(),
-                devices: this.clients.size,
-                locations: this.locations.length
+                devices: this.sessions.online,
+                locations: this.positionStore.size
             });
         });
 
         // Get latest location
         app.get('/latest', (req, res) => {
-            const latest = this.locations.length > 0 ? this.locations[this.locations.length - 1] : null;
-            res.json(latest || { message: 'No GPS data received yet' });
+            const latest = this.positionStore.latest();
+            res.json(latest ? this.registry.enrich(latest) : { message: 'No GPS data received yet' });
         });
 
-        // Get all locations (limit to last 100 for memory efficiency)
+        // Get all locations (last 100 stored by default). History filters:
+        // ?from=&to= (ISO or epoch ms), ?bbox=minLon,minLat,maxLon,maxLat,
+        // ?sort=timestamp|-timestamp, ?fields=a,b, ?limit= (max 1000) and
+        // ?cursor= (the X-Next-Cursor header of the previous page)
         app.get('/locations', (req, res) => {
-            const limit = parseInt(req.query.limit) || 100;
-            res.json(this.locations.slice(-limit));
+            this.sendHistory(req, res, this.positionStore);
         });
 
-        // Get device-specific locations
+        // Get device-specific locations (same filters as /locations)
         app.get('/device/:deviceId', (req, res) => {
-            const deviceId = req.params.deviceId;
-            const deviceLocations = this.locations.filter(loc => loc.deviceId === deviceId);
-            const limit = parseInt(req.query.limit) || 100;
-            res.json(deviceLocations.slice(-limit));
+            this.sendHistory(req, res, this.positionStore, req.params.deviceId);
+        });
+
+        // Trips / stops of a device, ?from=&to= (default: the last 7 days)
+        app.get('/device/:deviceId/trips', (req, res) => {
+            this.sendTrack(req, res, 'trips');
+        });
+
+        app.get('/device/:deviceId/stops', (req, res) => {
+            this.sendTrack(req, res, 'stops');
+        });
+
+        // Download a device's track, ?format=gpx|kml|geojson|csv&from=&to= (default: everything stored);
+        // one track per trip, alarms as waypoints
+        app.get('/device/:deviceId/export', async (req, res) => {
+            try {
+                const format = String(req.query.format || 'gpx').toLowerCase();
+                const spec = EXPORT_FORMATS[format];
+                if (!spec) throw httpError(400, `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+                // an export is always the whole range in time order
+                const unsupported = ['bbox', 'sort', 'fields', 'cursor', 'limit'].filter(k => req.query[k] !== undefined);
+                if (unsupported.length) throw httpError(400, `export does not support ${unsupported.join(', ')} (only format, from, to)`);
+                const { from, to } = parseHistoryQuery(req.query) || {};
+                const { deviceId } = req.params;
+
+                res.attachment(`${deviceId}.${spec.extension}`);
+                res.set('Content-Type', spec.contentType);
+                await exportTrack({
+                    format, deviceId, from, to,
+                    positionStore: this.positionStore,
+                    alarmStore: this.alarmStore,
+                    out: res
+                });
+                res.end();
+            } catch (error) {
+                if (res.headersSent) return res.destroy(error);
+                res.status(error.status || 400).json({ error: error.message });
+            }
+        });
+
+        // Connection state of every device seen since boot, ?online=true|false
+        app.get('/devices', (req, res) => {
+            const { online } = req.query;
+            const sessions = this.sessions.list()
+                .filter(s => online === undefined || String(s.online) === online);
+            res.json(sessions.map(s => this.registry.enrich(s)));
+        });
+
+        app.get('/devices/:id', (req, res) => {
+            const session = this.sessions.get(req.params.id);
+            if (!session) return res.status(404).json({ error: `Device ${req.params.id} not found` });
+            res.json(this.registry.enrich(session));
+        });
+
+        // Device registry, body: { "id": IMEI / terminal number, "name", "plate", "driver", "group",
+        // "protocol": "gt06" | "jt808" | "hq", "reportingInterval": s, "enabled": true }
+        app.get('/registry', (req, res) => {
+            res.json(this.registry.list());
+        });
+
+        app.get('/registry/:id', (req, res) => {
+            const device = this.registry.get(req.params.id);
+            if (!device) return res.status(404).json({ error: `Device ${req.params.id} not found` });
+            res.json(device);
+        });
+
+        app.post('/registry', (req, res) => {
+            try {
+                res.status(201).json(this.registry.create(req.body));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.put('/registry/:id', (req, res) => {
+            try {
+                const device = this.registry.update(req.params.id, req.body);
+                if (!device) return res.status(404).json({ error: `Device ${req.params.id} not found` });
+                res.json(device);
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.delete('/registry/:id', (req, res) => {
+            if (!this.registry.remove(req.params.id)) {
+                return res.status(404).json({ error: `Device ${req.params.id} not found` });
+            }
+            res.json({ message: `Device ${req.params.id} deleted` });
+        });
+
+        // Server-side geofences, body: { "name", "type": "circle", "center": { "latitude", "longitude" },
+        // "radius": m } | { "name", "type": "polygon", "points": [{ "latitude", "longitude" }, ...] },
+        // optional "devices": [deviceId, ...] (default: all) and "dwellSeconds"
+        app.get('/geofences', (req, res) => {
+            res.json(this.geofences.list());
+        });
+
+        app.get('/geofences/:id', (req, res) => {
+            const fence = this.geofences.get(req.params.id);
+            if (!fence) return res.status(404).json({ error: `Geofence ${req.params.id} not found` });
+            res.json(fence);
+        });
+
+        app.post('/geofences', (req, res) => {
+            try {
+                res.status(201).json(this.geofences.create(req.body));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.put('/geofences/:id', (req, res) => {
+            try {
+                const fence = this.geofences.update(req.params.id, req.body);
+                if (!fence) return res.status(404).json({ error: `Geofence ${req.params.id} not found` });
+                res.json(fence);
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.delete('/geofences/:id', (req, res) => {
+            if (!this.geofences.remove(req.params.id)) {
+                return res.status(404).json({ error: `Geofence ${req.params.id} not found` });
+            }
+            res.json({ message: `Geofence ${req.params.id} deleted` });
+        });
+
+        // Alarm rules, body: { "type": "overspeed", "maxSpeed": 90, "duration": 30,
+        // "devices": [...], "groups": [...] } (see rules.js for every rule type)
+        app.get('/rules', (req, res) => {
+            res.json(this.rules.list());
+        });
+
+        // Device groups that rules can target: { name: [deviceId, ...] }
+        app.get('/rules/groups', (req, res) => {
+            res.json(this.rules.groups());
+        });
+
+        app.put('/rules/groups/:name', (req, res) => {
+            try {
+                res.json(this.rules.setGroup(req.params.name, req.body));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.delete('/rules/groups/:name', (req, res) => {
+            if (!this.rules.removeGroup(req.params.name)) {
+                return res.status(404).json({ error: `Group ${req.params.name} not found` });
+            }
+            res.json({ message: `Group ${req.params.name} deleted` });
+        });
+
+        app.get('/rules/:id', (req, res) => {
+            const rule = this.rules.get(req.params.id);
+            if (!rule) return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+            res.json(rule);
+        });
+
+        app.post('/rules', (req, res) => {
+            try {
+                res.status(201).json(this.rules.create(req.body));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.put('/rules/:id', (req, res) => {
+            try {
+                const rule = this.rules.update(req.params.id, req.body);
+                if (!rule) return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+                res.json(rule);
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.delete('/rules/:id', (req, res) => {
+            if (!this.rules.remove(req.params.id)) {
+                return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+            }
+            res.json({ message: `Rule ${req.params.id} deleted` });
+        });
+
+        // Live Server-Sent Events: ?devices=a,b&types=position,alarm,connect,disconnect;
+        // reconnects resume after the Last-Event-ID header (or ?lastEventId=)
+        app.get('/stream', (req, res) => {
+            const list = (value) => value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : undefined;
+            const types = list(req.query.types);
+            const unknown = types?.filter(t => !WEBHOOK_EVENTS.includes(t));
+            if (unknown?.length) {
+                return res.status(400).json({ error: `Unknown event types: ${unknown.join(', ')} (known: ${WEBHOOK_EVENTS.join(', ')})` });
+            }
+            this.events.serve(req, res, { devices: list(req.query.devices), types });
+        });
+
+        // Webhook subscribers, body: { "url", "events": ["position", "alarm", "connect",
+        // "disconnect"], "devices": [...], "secret" } (a secret is generated when
+        // omitted and only returned by POST)
+        app.get('/webhooks', (req, res) => {
+            res.json(this.webhooks.list());
+        });
+
+        app.get('/webhooks/outbox', (req, res) => {
+            res.json(this.webhooks.outbox());
+        });
+
+        app.get('/webhooks/dead-letters', (req, res) => {
+            res.json(this.webhooks.deadLetters());
+        });
+
+        app.post('/webhooks/dead-letters/:id/retry', (req, res) => {
+            try {
+                if (!this.webhooks.retryDeadLetter(req.params.id)) {
+                    return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+                }
+                res.json({ message: `Delivery ${req.params.id} queued again` });
+            } catch (error) {
+                res.status(409).json({ error: error.message });
+            }
+        });
+
+        app.delete('/webhooks/dead-letters/:id', (req, res) => {
+            if (!this.webhooks.removeDeadLetter(req.params.id)) {
+                return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+            }
+            res.json({ message: `Dead letter ${req.params.id} deleted` });
+        });
+
+        app.get('/webhooks/:id', (req, res) => {
+            const webhook = this.webhooks.get(req.params.id);
+            if (!webhook) return res.status(404).json({ error: `Webhook ${req.params.id} not found` });
+            res.json(webhook);
+        });
+
+        app.post('/webhooks', (req, res) => {
+            try {
+                res.status(201).json(this.webhooks.create(req.body));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.put('/webhooks/:id', (req, res) => {
+            try {
+                const webhook = this.webhooks.update(req.params.id, req.body);
+                if (!webhook) return res.status(404).json({ error: `Webhook ${req.params.id} not found` });
+                res.json(webhook);
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
         });
 
-        // Get alarms
+        app.delete('/webhooks/:id', (req, res) => {
+            if (!this.webhooks.remove(req.params.id)) {
+                return res.status(404).json({ error: `Webhook ${req.params.id} not found` });
+            }
+            res.json({ message: `Webhook ${req.params.id} deleted` });
+        });
+
+        // Get alarms (same filters as /locations)
         app.get('/alarms', (req, res) => {
-            res.json(this.alarms);
+            this.sendHistory(req, res, this.alarmStore);
+        });
+
+        // JT808 terminal registrations (auth codes are never returned)
+        app.get('/jt808/terminals', (req, res) => {
+            res.json(this.jt808Auth.list().map(({ authCode, ...entry }) => ({ ...entry, hasAuthCode: !!authCode })));
+        });
+
+        // Revoke a JT808 terminal: its auth code is dropped, it cannot register again
+        // and a live connection loses its authorization and is closed
+        app.delete('/jt808/terminals/:terminal', (req, res) => {
+            const { terminal } = req.params;
+            this.jt808Auth.revoke(terminal);
+            const socket = this.sessions.socketOf(terminal, PROTOCOL.JT808);
+            if (socket) {
+                this.jt808AuthedSockets.delete(socket);
+                this.sessions.disconnect(terminal, DISCONNECT_REASON.REVOKED);
+            }
+            res.json({ message: `Terminal ${terminal} revoked` });
+        });
+
+        // Drop a JT808 terminal's auth code so it can register again (a re-registration is refused while it holds one)
+        app.post('/jt808/terminals/:terminal/reset', (req, res) => {
+            if (!this.jt808Auth.reset(req.params.terminal)) {
+                return res.status(404).json({ error: 'Unknown or revoked terminal' });
+            }
+            res.json({ message: `Terminal ${req.params.terminal} can register again` });
+        });
+
+        // Allow a revoked JT808 terminal to register again
+        app.post('/jt808/terminals/:terminal/reinstate', (req, res) => {
+            if (!this.jt808Auth.reinstate(req.params.terminal)) {
+                return res.status(404).json({ error: 'Unknown terminal' });
+            }
+            res.json({ message: `Terminal ${req.params.terminal} reinstated` });
+        });
+
+        // JT808 parameter catalogue (names usable in the params routes below)
+        app.get('/jt808/params', (req, res) => {
+            res.json(listParams());
+        });
+
+        // Query JT808 terminal parameters: all (0x8104) or ?ids=apn,report_interval (0x8106)
+        app.get('/device/:deviceId/params', async (req, res) => {
+            try {
+                const ids = req.query.ids ? String(req.query.ids).split(',').filter(Boolean) : null;
+                const reply = await this.sendJT808Request(req.params.deviceId, (seq) =>
+                    ids ? build8106(req.params.deviceId, ids, seq) : build8104(req.params.deviceId, seq));
+                res.json({ deviceId: req.params.deviceId, params: reply.decoded.params });
+            } catch (error) {
+                res.status(error.status || 400).json({ error: error.message });
+            }
+        });
+
+        // Set JT808 terminal parameters (0x8103), body: { "report_interval": 30, "apn": "internet" }
+        app.put('/device/:deviceId/params', async (req, res) => {
+            try {
+                const reply = await this.sendJT808Request(req.params.deviceId, (seq) =>
+                    build8103(req.params.deviceId, req.body || {}, seq));
+                const result = ACK_RESULT_NAMES[reply.decoded.result] || `unknown (${reply.decoded.result})`;
+                res.status(reply.decoded.result === ACK_RESULT.OK ? 200 : 502).json({ deviceId: req.params.deviceId, result });
+            } catch (error) {
+                res.status(error.status || 400).json({ error: error.message });
+            }
+        });
+
+        // Send a GT06 or HQ/H02 online command, body: { "command": "engine_stop" } |
+        // { "command": "timer", "params": { "interval": 30 } } | { "text": "WHERE#" }
+        // (H02 text is "<CMD>[,args...]", e.g. "S71,22,30", without IMEI or time)
+        app.post('/device/:deviceId/command', async (req, res) => {
+            try {
+                const { command, params, text } = req.body || {};
+                if (this.sessions.socketOf(req.params.deviceId, PROTOCOL.HQ)) {
+                    let hqCommand;
+                    if (command) {
+                        hqCommand = hqCommandFor(command, params);
+                    } else if (typeof text === 'string' && /^[A-Z0-9]{1,8}(,[\x20-\x22\x24-\x29\x2b\x2d-\x7e]*)*$/.test(text)) {
+                        const [name, ...args] = text.split(',');
+                        hqCommand = [name, args];
+                    } else {
+                        throw httpError(400, 'Give a "command" name or an H02 "text" command like "S71,22,30"');
+                    }
+                    const response = await this.sendHQCommand(req.params.deviceId, ...hqCommand);
+                    return res.json({ deviceId: req.params.deviceId, command: [hqCommand[0], ...hqCommand[1]].join(','), response });
+                }
+                let commandText = text;
+                if (command) {
+                    commandText = gt06CommandText(command, params);
+                } else if (typeof text !== 'string' || !/^[\x20-\x7e]{1,200}$/.test(text)) {
+                    throw httpError(400, 'Give a "command" name or a printable "text" command');
+                }
+                const response = await this.sendGT06Command(req.params.deviceId, commandText);
+                res.json({ deviceId: req.params.deviceId, command: commandText, response });
+            } catch (error) {
+                res.status(error.status || 400).json({ error: error.message });
+            }
         });
 
         // Clear data endpoint
         app.post('/clear', (req, res) => {
-            this.locations = [];
-            this.alarms = [];
+            this.positionStore.clear();
+            this.alarmStore.clear();
             res.json({ message: 'Data cleared' });
         });
 
         return new Promise((resolve) => {
-            app.listen(this.httpPort, () => {
+            this.httpServer = app.listen(this.httpPort, () => {
                 console.log(`✅ HTTP Server running on port ${this.httpPort}`);
                 resolve();
             });
@@ -116,18 +588,40 @@ class MV77GServer {
     handleGPSClient(socket) {
         const clientAddr = `${socket.remoteAddress}:${socket.remotePort}`;
         console.log(`🔗 GPS device connected: ${clientAddr}`);
+        this.capture.attach(socket, clientAddr);
+
+        const sniffer = createSniffer();
 
         socket.on('data', (data) => {
+            console.log(`📦 Data from ${clientAddr}: ${data.toString('hex')}`);
+
+            let frames;
             try {
-                console.log(`📦 Data from ${clientAddr}: ${data.toString('hex')}`);
-                this.processGPSMessage(data, clientAddr, socket);
+                const known = sniffer.protocol;
+                frames = sniffer.push(data);
+                if (!known && sniffer.protocol) {
+                    console.log(`🔎 Protocol for ${clientAddr}: ${sniffer.protocol}`);
+                }
             } catch (error) {
-                console.error(`❌ Error processing data from ${clientAddr}:`, error);
+                console.error(`❌ ${error.message} from ${clientAddr}, closing`);
+                socket.destroy();
+                return;
+            }
+
+            for (const frame of frames) {
+                try {
+                    this.processFrame(sniffer.protocol, frame, clientAddr, socket);
+                } catch (error) {
+                    console.error(`❌ Error processing ${sniffer.protocol} frame from ${clientAddr}:`, error);
+                }
+                this.sessions.packet(socket, frame.length);
             }
         });
 
         socket.on('close', () => {
             console.log(`❌ GPS device disconnected: ${clientAddr}`);
+            const session = this.sessions.release(socket);
+            if (session) this.onDeviceDisconnected(session.deviceId, session.protocol, clientAddr, session.disconnectReason);
         });
 
         socket.on('error', (err) => {
@@ -135,57 +629,285 @@ class MV77GServer {
         });
     }
 
-    processGPSMessage(data, addr, socket) {
-        if (data.length < 8) return;
+    // Answer a history route from `store`: the last N records, or one page of a filtered query
+    sendHistory(req, res, store, deviceId) {
+        try {
+            const query = parseHistoryQuery(req.query);
+            if (!query) {
+                const limit = parseInt(req.query.limit) || 100;
+                const items = deviceId === undefined ? store.recent(limit) : store.forDevice(deviceId, limit);
+                return res.json(items.map(r => this.registry.enrich(r)));
+            }
+            const page = store.query({ ...query, deviceId });
+            if (page.nextCursor) res.set('X-Next-Cursor', page.nextCursor);
+            res.json(page.items.map(r => this.registry.enrich(r)));
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    }
+
+    // Segment the device's stored track and answer with its trips or stops
+    sendTrack(req, res, kind) {
+        try {
+            const { from = Date.now() - 7 * 24 * 3600 * 1000, to } = parseHistoryQuery(req.query) || {};
+            const { items } = this.positionStore.query({ deviceId: req.params.deviceId, from, to, limit: Infinity });
+            res.json(segmentTrack(items)[kind]);
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    }
+
+    // Remember which device a socket belongs to; the first time is a connect event.
+    // Returns false (and drops the connection) when the registry refuses the device.
+    bindDevice(socket, deviceId, protocol, addr) {
+        if (this.refuseDevice(socket, deviceId, protocol, addr)) return false;
+        if (this.sessions.bind(socket, deviceId, protocol, addr)) this.onDeviceConnected(deviceId, protocol, addr);
+        return true;
+    }
+
+    // Drop the connection when the registry refuses the device; returns true if it did
+    refuseDevice(socket, deviceId, protocol, addr) {
+        const refusal = this.registry.refusal(deviceId, protocol);
+        if (!refusal) return false;
+        console.log(`⛔ ${protocol} device ${deviceId} from ${addr} ${refusal}, connection dropped`);
+        socket.destroy();
+        return true;
+    }
+
+    processFrame(protocol, frame, addr, socket) {
+        switch (protocol) {
+            case PROTOCOL.GT06:
+                this.processGPSMessage(frame, addr, socket);
+                break;
+            case PROTOCOL.JT808:
+                this.processJT808Frame(frame, addr, socket);
+                break;
+            case PROTOCOL.HQ:
+                this.processHQPacket(frame, addr, socket);
+                break;
+        }
+    }
 
-        // Check for start bits 0x7878
-        const startBits = data.readUInt16BE(0);
-        if (startBits !== 0x7878) {
-            console.log(`⚠️  Invalid start bits from ${addr}: 0x${startBits.toString(16)}`);
+    processJT808Frame(frame, addr, socket) {
+        let p = parseJT808Frame(frame);
+        console.log(`📨 JT808 msgId=0x${p.msgId.toString(16).padStart(4, '0')} from ${p.terminal || addr}`);
+        if (!p.ok) {
+            console.log(`⚠️  Bad checksum from ${addr}, packet dropped`);
             return;
         }
 
-        const length = data[2];
-        const protocolNumber = data[3];
-        const messageType = data[4];
+        if (!this.isJT808Authorized(socket, p)) {
+            console.log(`⛔ JT808 0x${p.msgId.toString(16).padStart(4, '0')} from unauthenticated terminal ${p.terminal || addr}, rejected`);
+            socket.write(build8001(p.terminal, p.seq, p.msgId, ACK_RESULT.FAIL));
+            return;
+        }
+
+        // 0x0100 / 0x0102 can carry any phone number, so a socket only takes over
+        // the terminal's session (closing its live socket) once it authenticated
+        if (p.terminal) {
+            if (this.isJT808Authenticated(socket, p)) {
+                if (!this.bindDevice(socket, p.terminal, PROTOCOL.JT808, addr)) return;
+            } else if (this.refuseDevice(socket, p.terminal, PROTOCOL.JT808, addr)) {
+                return;
+            }
+        }
+
+        const result = sendAckIfNeeded(socket, p, this.jt808Auth);
+        if (p.msgId === 0x0100) {
+            console.log(`📝 JT808 registration from ${p.terminal}: result ${result}`, p.decoded || '');
+        } else if (p.msgId === 0x0102) {
+            console.log(`🔑 JT808 authentication from ${p.terminal}: ${result === ACK_RESULT.OK ? 'OK' : 'FAILED'}`);
+            if (result === ACK_RESULT.OK) {
+                this.jt808AuthedSockets.set(socket, p.terminal);
+                // without JT808_REQUIRE_AUTH the session was bound above already
+                if (this.jt808RequireAuth && !this.bindDevice(socket, p.terminal, PROTOCOL.JT808, addr)) return;
+            }
+        }
+
+        if (p.subpack) {
+            console.log(`🧩 Sub-package ${p.pkg.idx}/${p.pkg.total}`);
+            const { terminal } = p;
+            p = this.jt808Reassembler.push(p, (firstSeq, missing) => {
+                console.log(`📤 Requesting retransmission of packages ${missing.join(',')} from ${terminal}`);
+                socket.write(build8003(terminal, firstSeq, missing));
+            });
+            if (!p) return;
+            console.log(`🧩 Reassembled 0x${p.msgId.toString(16).padStart(4, '0')} (${p.bodyLen} bytes)`);
+        }
+
+        // replies to platform requests echo the request's serial
+        if ((p.msgId === 0x0001 || p.msgId === 0x0104) && p.decoded) {
+            this.resolveJT808Request(p.terminal, p.decoded.reply_seq, p);
+        }
+
+        if (p.msgId === 0x0200 && p.decoded) {
+            const position = fromJT808(p);
+            this.handlePosition(position);
+            this.handleJT808Alarms(p.terminal, p.decoded.alarm, position);
+        }
+
+        if (p.msgId === 0x0704 && p.decoded) {
+            const { type_name, items } = p.decoded;
+            console.log(`📚 JT808 ${type_name} batch of ${items.length} positions from ${p.terminal}`);
+            const batch = { batch_type: type_name };
+            for (const item of items) {
+                this.handlePosition(fromJT808(p, item, { historical: true, extra: { ...item.extra, ...batch } }));
+            }
+        }
+    }
+
+    /**
+     * Send a platform → terminal message on the terminal's live socket and
+     * resolve with its reply (0x0001 or 0x0104, matched on serial).
+     * `build(seq)` returns the frame to send.
+     */
+    sendJT808Request(terminal, build) {
+        const socket = this.sessions.socketOf(terminal, PROTOCOL.JT808);
+        if (!socket) {
+            return Promise.reject(httpError(404, `Terminal ${terminal} is not connected`));
+        }
+
+        const seq = nextSeq();
+        const frame = build(seq); // may throw on invalid parameters
+        const key = `${terminal}:${seq}`;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.jt808Pending.delete(key);
+                reject(httpError(504, `No reply from ${terminal} within ${this.jt808RequestTimeout} ms`));
+            }, this.jt808RequestTimeout);
+            this.jt808Pending.set(key, { resolve, timer });
+            socket.write(frame);
+            console.log(`📤 JT808 request seq=${seq} sent to ${terminal}`);
+        });
+    }
+
+    resolveJT808Request(terminal, seq, reply) {
+        const key = `${terminal}:${seq}`;
+        const pending = this.jt808Pending.get(key);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this.jt808Pending.delete(key);
+        pending.resolve(reply);
+    }
+
+    // Until a socket has passed 0x0102, only registration, authentication,
+    // logout and terminal responses are accepted on it
+    isJT808Authorized(socket, p) {
+        return PRE_AUTH_MESSAGES.has(p.msgId) || this.isJT808Authenticated(socket, p);
+    }
+
+    isJT808Authenticated(socket, p) {
+        return !this.jt808RequireAuth || this.jt808AuthedSockets.get(socket) === p.terminal;
+    }
+
+    processHQPacket(frame, addr, socket) {
+        const pkt = parsePacket(frame);
+        console.log(`📨 HQ ${pkt.command || '?'} from ${pkt.imei || addr}`);
+        if (!pkt.imei) return;
+
+        if (!this.bindDevice(socket, pkt.imei, PROTOCOL.HQ, addr)) return;
+        if (HQ_REPLY_TO.has(pkt.command)) socket.write(buildHQReply(pkt.imei, pkt.command));
+
+        if (pkt.kind === 'confirmation') {
+            this.resolveHQCommand(pkt);
+        }
+        if (pkt.latitude != null && pkt.longitude != null) {
+            this.handlePosition(fromHQ(pkt));
+        }
+    }
+
+    resolveHQCommand(pkt) {
+        const key = `${pkt.imei}:${pkt.ack_command}`;
+        const queue = this.hqPending.get(key);
+        console.log(`💬 V4 confirmation of ${pkt.ack_command} from ${pkt.imei}`);
+        if (!queue?.length) return;
+        const pending = queue.shift();
+        if (!queue.length) this.hqPending.delete(key);
+        clearTimeout(pending.timer);
+        pending.resolve({ command: pkt.ack_command, args: pkt.ack_args, raw: pkt.raw });
+    }
+
+    /**
+     * Send an H02 command on the device's live socket and resolve with its V4
+     * confirmation. H02 replies carry no serial, so confirmations are matched
+     * to the oldest outstanding request for the same command.
+     */
+    sendHQCommand(imei, command, args = []) {
+        const socket = this.sessions.socketOf(imei, PROTOCOL.HQ);
+        if (!socket) {
+            return Promise.reject(httpError(404, `Device ${imei} is not connected`));
+        }
+
+        const key = `${imei}:${command}`;
+        return new Promise((resolve, reject) => {
+            const entry = { resolve };
+            entry.timer = setTimeout(() => {
+                const queue = this.hqPending.get(key) || [];
+                const i = queue.indexOf(entry);
+                if (i !== -1) queue.splice(i, 1);
+                if (!queue.length) this.hqPending.delete(key);
+                reject(httpError(504, `No V4 confirmation from ${imei} within ${this.hqCommandTimeout} ms`));
+            }, this.hqCommandTimeout);
+            if (!this.hqPending.has(key)) this.hqPending.set(key, []);
+            this.hqPending.get(key).push(entry);
+            const frame = buildHQCommand(imei, command, args);
+            socket.write(frame);
+            console.log(`📤 H02 command ${frame.toString('latin1')} sent to ${imei}`);
+        });
+    }
+
+    processGPSMessage(data, addr, socket) {
+        const msg = parseGT06Frame(data);
+
+        console.log(`📨 GT06 protocol 0x${msg.protocol.toString(16).padStart(2, '0')} serial=${msg.serial} from ${this.gt06Devices.get(socket) || addr}`);
 
-        console.log(`📨 Message type: 0x${messageType.toString(16)} from ${addr}`);
+        if (!msg.crcOk) {
+            console.log(`⚠️  Bad CRC from ${addr}, packet dropped`);
+            return;
+        }
 
-        switch (messageType) {
-            case 0x01: // Login
-                this.handleLogin(data, addr, socket, protocolNumber);
+        // a device disabled in the registry after its login is dropped on its next packet
+        const loggedIn = this.gt06Devices.get(socket);
+        if (loggedIn && !this.bindDevice(socket, loggedIn, PROTOCOL.GT06, addr)) return;
+
+        switch (msg.protocol) {
+            case GT06_PROTOCOL.LOGIN:
+                this.handleLogin(msg, addr, socket);
+                break;
+            case GT06_PROTOCOL.LOCATION:
+            case GT06_PROTOCOL.LOCATION_2:
+                this.handleLocationData(msg, addr, socket);
                 break;
-            case 0x12: // Location data
-                this.handleLocationData(data, addr, protocolNumber);
+            case GT06_PROTOCOL.STATUS: // Heartbeat
+                this.handleHeartbeat(msg, addr, socket);
                 break;
-            case 0x13: // Heartbeat
-                this.handleHeartbeat(data, addr, socket, protocolNumber);
+            case GT06_PROTOCOL.ALARM:
+            case GT06_PROTOCOL.ALARM_2:
+                this.handleAlarm(msg, addr, socket);
                 break;
-            case 0x16: // Alarm
-                this.handleAlarm(data, addr, protocolNumber);
+            case GT06_PROTOCOL.STRING_INFO: // reply to an online command
+            case GT06_PROTOCOL.COMMAND_REPLY_2:
+                this.handleCommandReply(msg, addr, socket);
                 break;
             default:
-                console.log(`❓ Unknown message type: 0x${messageType.toString(16)}`);
+                console.log(`❓ Unknown GT06 protocol number: 0x${msg.protocol.toString(16)}`);
         }
     }
 
-    handleLogin(data, addr, socket, protocolNumber) {
+    handleLogin(msg, addr, socket) {
         try {
-            // Extract device IMEI (8 bytes after message type)
-            const deviceId = data.slice(5, 13).toString('hex');
-            
+            if (!msg.decoded) throw new Error('Login packet too short');
+
+            // The IMEI only appears in the login packet; later packets are tied to it by socket
+            const deviceId = msg.decoded.imei;
+            if (!this.bindDevice(socket, deviceId, PROTOCOL.GT06, addr)) return;
+            this.gt06Devices.set(socket, deviceId);
+
             console.log(`✅ Device login: ${deviceId} from ${addr}`);
-            
-            this.clients.set(deviceId, {
-                address: addr,
-                socket: socket,
-                lastSeen: new Date(),
-                deviceId: deviceId
-            });
 
-            // Send login ACK
-            const response = Buffer.from([0x78, 0x78, 0x05, protocolNumber, 0x01, 0x00, 0x01, 0x0D, 0x0A]);
-            socket.write(response);
+            // Send login ACK (echoes the packet serial)
+            socket.write(buildGT06Ack(GT06_PROTOCOL.LOGIN, msg.serial));
             
             console.log(`📤 Login ACK sent to ${deviceId}`);
             
@@ -194,28 +916,18 @@ class MV77GServer {
         }
     }
 
-    handleLocationData(data, addr, protocolNumber) {
+    handleLocationData(msg, addr, socket) {
         try {
-            const locationInfo = this.parseLocationData(data);
+            const deviceId = this.gt06Devices.get(socket);
+            if (!deviceId) {
+                console.log(`⚠️  Location from ${addr} before login, ignored`);
+                return;
+            }
+
+            const locationInfo = this.parseLocationData(msg.decoded, deviceId);
             
             if (locationInfo) {
-                console.log(`📍 GPS Data Received:`);
-                console.log(`   Device: ${locationInfo.deviceId}`);
-                console.log(`   Location: ${locationInfo.latitude}, ${locationInfo.longitude}`);
-                console.log(`   Speed: ${locationInfo.speed} km/h`);
-                console.log(`   Time: ${locationInfo.timestamp}`);
-                console.log(`   Satellites: ${locationInfo.satellites}`);
-                
-                // Store in memory
-                this.locations.push(locationInfo);
-                
-                // Keep only last 1000 locations to manage memory
-                if (this.locations.length > 1000) {
-                    this.locations = this.locations.slice(-1000);
-                }
-
-                // Custom processing - add your logic here
-                this.onLocationReceived(locationInfo);
+                this.handlePosition(fromGT06(locationInfo));
             }
             
         } catch (error) {
@@ -223,204 +935,301 @@ class MV77GServer {
         }
     }
 
-    handleHeartbeat(data, addr, socket, protocolNumber) {
-        console.log(`💓 Heartbeat from ${addr}`);
-        
-        // Send heartbeat ACK
-        const response = Buffer.from([0x78, 0x78, 0x05, protocolNumber, 0x13, 0x00, 0x01, 0x0D, 0x0A]);
-        socket.write(response);
+    // Common sink for normalized positions from every protocol (see position.js)
+    handlePosition(position) {
+        console.log(`📍 GPS Data Received (${position.protocol}):`);
+        console.log(`   Device: ${position.deviceId}`);
+        console.log(`   Location: ${position.latitude}, ${position.longitude}`);
+        console.log(`   Speed: ${position.speed} km/h`);
+        console.log(`   Time: ${position.timestamp}`);
+        console.log(`   Satellites: ${position.satellites}`);
+
+        // The store keeps each device's track ordered by timestamp, and late
+        // uploads never masquerade as the latest fix
+        this.positionStore.append(position);
+        this.sessions.position(position);
+        this.handleGeofences(position);
+        this.handleRules(position);
+
+        // Custom processing - add your logic here
+        this.onLocationReceived(position);
     }
 
-    handleAlarm(data, addr, protocolNumber) {
+    handleHeartbeat(msg, addr, socket) {
+        const deviceId = this.gt06Devices.get(socket);
+        const status = msg.decoded;
+        console.log(`💓 Heartbeat from ${deviceId || addr}` +
+            (status ? ` (ACC ${status.terminal.acc_on ? 'on' : 'off'}, voltage ${status.voltage_level}, GSM ${status.gsm_signal})` : ''));
+
+        // Send heartbeat ACK (echoes the packet serial)
+        socket.write(buildGT06Ack(GT06_PROTOCOL.STATUS, msg.serial));
+    }
+
+    handleAlarm(msg, addr, socket) {
         try {
-            const alarmInfo = this.parseLocationData(data);
+            // Alarm packets are acknowledged like login / heartbeat
+            socket.write(buildGT06Ack(msg.protocol, msg.serial));
+
+            const deviceId = this.gt06Devices.get(socket);
+            if (!deviceId) {
+                console.log(`⚠️  Alarm from ${addr} before login, ignored`);
+                return;
+            }
+
+            const alarmInfo = this.parseLocationData(msg.decoded, deviceId);
             if (alarmInfo) {
+                // same protocol value as JT808 / HQ alarm records (spread from their positions)
+                alarmInfo.protocol = PROTOCOL.GT06;
                 alarmInfo.isAlarm = true;
-                alarmInfo.alarmType = this.getAlarmType(data[4]);
-                
-                console.log(`🚨 ALARM: ${alarmInfo.alarmType}`);
-                console.log(`   Device: ${alarmInfo.deviceId}`);
-                console.log(`   Location: ${alarmInfo.latitude}, ${alarmInfo.longitude}`);
-                
-                this.alarms.push(alarmInfo);
-                
-                // Keep only last 100 alarms
-                if (this.alarms.length > 100) {
-                    this.alarms = this.alarms.slice(-100);
-                }
-
-                this.onAlarmReceived(alarmInfo);
+                alarmInfo.alarmType = this.getAlarmType(msg.decoded.alarm ?? 0);
+                this.recordAlarm(alarmInfo);
             }
         } catch (error) {
             console.error('❌ Alarm handling error:', error);
         }
     }
 
-    parseLocationData(data) {
-        try {
-            if (data.length < 25) return null;
-
-            // Extract device ID
-            const deviceId = data.slice(5, 13).toString('hex');
-
-            // Parse timestamp (6 bytes)
-            const year = 2000 + data[13];
-            const month = data[14];
-            const day = data[15];
-            const hour = data[16];
-            const minute = data[17];
-            const second = data[18];
-            
-            const timestamp = new Date(year, month - 1, day, hour, minute, second);
+    handleCommandReply(msg, addr, socket) {
+        const reply = msg.decoded;
+        if (!reply) return;
+        const deviceId = this.gt06Devices.get(socket);
+        console.log(`💬 Command reply from ${deviceId || addr}: ${reply.response}`);
 
-            // GPS info byte
-            const gpsInfo = data[19];
-            const satellites = (gpsInfo >> 4) & 0x0F;
+        const pending = this.gt06Pending.get(reply.server_flag);
+        if (!pending || pending.deviceId !== deviceId) return;
+        clearTimeout(pending.timer);
+        this.gt06Pending.delete(reply.server_flag);
+        pending.resolve(reply.response);
+    }
 
-            // Latitude (4 bytes)
-            const latBytes = data.readUInt32BE(20);
-            let latitude = latBytes / 1800000.0;
+    /**
+     * Send a GT06 0x80 online command on the device's live socket and resolve
+     * with the text of its 0x15 reply (matched on server flag).
+     */
+    sendGT06Command(deviceId, text) {
+        const socket = this.sessions.socketOf(deviceId, PROTOCOL.GT06);
+        if (!socket) {
+            return Promise.reject(httpError(404, `Device ${deviceId} is not connected`));
+        }
 
-            // Longitude (4 bytes) 
-            const lonBytes = data.readUInt32BE(24);
-            let longitude = lonBytes / 1800000.0;
+        this.gt06ServerFlag = (this.gt06ServerFlag + 1) >>> 0 || 1;
+        const serverFlag = this.gt06ServerFlag;
 
-            // Speed
-            const speed = data[28];
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.gt06Pending.delete(serverFlag);
+                reject(httpError(504, `No reply from ${deviceId} within ${this.gt06CommandTimeout} ms`));
+            }, this.gt06CommandTimeout);
+            this.gt06Pending.set(serverFlag, { deviceId, resolve, timer });
+            socket.write(buildGT06Command(serverFlag, text));
+            console.log(`📤 Command "${text}" sent to ${deviceId} (flag ${serverFlag})`);
+        });
+    }
 
-            // Course and direction flags
-            const courseAndFlags = data.readUInt16BE(29);
-            const course = courseAndFlags & 0x03FF; // Last 10 bits
-            
-            // Direction flags
-            if (!(courseAndFlags & 0x0800)) latitude = -latitude; // South
-            if (courseAndFlags & 0x0400) longitude = -longitude;  // West
-
-            return {
-                deviceId,
-                timestamp: timestamp.toISOString(),
-                latitude: parseFloat(latitude.toFixed(6)),
-                longitude: parseFloat(longitude.toFixed(6)),
-                speed,
-                course: parseFloat((course / 100.0).toFixed(2)),
-                satellites,
-                gpsValid: satellites > 0,
-                receivedAt: new Date().toISOString()
-            };
+    // Common sink for alarm records from every protocol
+    recordAlarm(alarmInfo) {
+        const state = alarmInfo.alarmState === 'cleared' ? ' (cleared)' : '';
+        console.log(`🚨 ALARM: ${alarmInfo.alarmType}${state}`);
+        console.log(`   Device: ${alarmInfo.deviceId}`);
+        console.log(`   Location: ${alarmInfo.latitude}, ${alarmInfo.longitude}`);
 
-        } catch (error) {
-            console.error('❌ Parse error:', error);
-            return null;
+        this.alarmStore.append(alarmInfo);
+
+        this.onAlarmReceived(alarmInfo);
+    }
+
+    // JT808 reports carry the whole alarm word every time; only changes are events
+    handleJT808Alarms(terminal, alarm, position) {
+        const previous = this.jt808AlarmState.get(terminal) ?? 0;
+        this.jt808AlarmState.set(terminal, alarm);
+
+        for (const t of alarmTransitions(previous, alarm)) {
+            this.recordAlarm({
+                ...position,
+                isAlarm: true,
+                alarmType: t.label,
+                alarmKey: t.key,
+                alarmState: t.state
+            });
+        }
+    }
+
+    handleGeofences(position) {
+        for (const { event, fence, distance } of this.geofences.evaluate(position)) {
+            this.recordAlarm({
+                ...position,
+                isAlarm: true,
+                alarmType: `Geofence ${event}: ${fence.name}`,
+                alarmKey: `geofence_${event}`,
+                geofenceId: fence.id,
+                geofenceName: fence.name,
+                geofenceDistance: Math.round(distance)
+            });
         }
     }
 
-    getAlarmType(messageType) {
-        const types = {
-            0x16: 'SOS Emergency',
-            0x19: 'Low Battery',
-            0x1A: 'Vibration',
-            0x1B: 'Movement',
-            0x1C: 'Geo-fence'
+    handleRules(position) {
+        for (const { rule, message } of this.rules.evaluate(position)) {
+            this.recordRuleAlarm(rule, message, position);
+        }
+    }
+
+    checkSilentDevices() {
+        for (const { rule, message, position } of this.rules.checkSilence()) {
+            this.recordRuleAlarm(rule, message, position);
+        }
+    }
+
+    recordRuleAlarm(rule, message, position) {
+        this.recordAlarm({
+            ...position,
+            isAlarm: true,
+            alarmType: `${rule.name}: ${message}`,
+            alarmKey: `rule_${rule.type}`,
+            ruleId: rule.id,
+            rule
+        });
+    }
+
+    // Decoded GT06 location / alarm info (gt06.js) → location record
+    parseLocationData(decoded, deviceId) {
+        if (!decoded || !decoded.timestamp) return null;
+
+        return {
+            deviceId,
+            timestamp: decoded.timestamp,
+            latitude: decoded.latitude,
+            longitude: decoded.longitude,
+            speed: decoded.speed,
+            course: decoded.course,
+            satellites: decoded.satellites,
+            gpsValid: decoded.gps_valid,
+            ignition: decoded.acc_on ?? decoded.terminal?.acc_on ?? null,
+            historical: !!decoded.reupload,
+            receivedAt: new Date().toISOString(),
+            extra: {
+                ...(decoded.lbs ? { lbs: decoded.lbs } : {}),
+                ...(decoded.mileage_m != null ? { mileage_km: decoded.mileage_m / 1000 } : {}),
+                ...(decoded.voltage_level != null ? { voltage_level: decoded.voltage_level, gsm_signal: decoded.gsm_signal } : {})
+            }
         };
-        return types[messageType] || `Unknown (0x${messageType.toString(16)})`;
+    }
+
+    getAlarmType(alarmCode) {
+        return gt06AlarmType(alarmCode);
     }
 
     // Custom callbacks - modify these for your needs
     onLocationReceived(locationData) {
         // Add your custom logic here:
-        // - Send to external API
-        // - Store in database
         // - Send notifications
-        // - Trigger webhooks
+        // (positions are already stored and sent to webhook subscribers)
         
         console.log(`🎯 Processing location for device ${locationData.deviceId}`);
         
-        // Example: Log to external service
-        // await this.sendToExternalAPI(locationData);
+        this.emitEvent('position', locationData);
     }
 
     onAlarmReceived(alarmData) {
         // Handle alarm/emergency situations
         console.log(`🚨 EMERGENCY ALERT: ${alarmData.alarmType}`);
         
-        // Example: Send emergency notification
-        // await this.sendEmergencyNotification(alarmData);
+        this.emitEvent('alarm', alarmData);
     }
 
-    // Utility method for external API integration
-    async sendToExternalAPI(data) {
-        // Example implementation
-        /*
-        try {
-            const response = await fetch('https://your-api.com/gps', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
-            console.log('📤 Data sent to external API');
-        } catch (error) {
-            console.error('❌ External API error:', error);
-        }
-        */
+    onDeviceConnected(deviceId, protocol, address) {
+        console.log(`🟢 Device ${deviceId} online (${protocol}, ${address})`);
+        this.emitEvent('connect', { deviceId, protocol, address });
+    }
+
+    onDeviceDisconnected(deviceId, protocol, address, reason) {
+        console.log(`🔴 Device ${deviceId} offline (${protocol}, ${address}, ${reason})`);
+        this.emitEvent('disconnect', { deviceId, protocol, address, reason });
+    }
+
+    // Fan an event out to live stream clients and webhook subscribers
+    emitEvent(type, data) {
+        const record = this.registry.enrich(data);
+        this.events.publish(type, record);
+        this.webhooks.publish(type, record);
     }
 }
 
-// Railway-specific setup
-const server = new MV77GServer();
+export { MV77GServer };
+
+// Only boot when run directly, so other scripts can import the class
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
 
-// Start the server
-server.start().then(() => {
-    console.log('\n🚀 MV77G GPS Server ready on Railway!');
-    console.log('\n📋 Configuration for your MV77G device:');
-    console.log('='.repeat(50));
+if (isMain) {
+    // Railway-specific setup
+    const server = new MV77GServer();
+
+    // Start the server
+    server.start().then(() => {
+        console.log('\n🚀 MV77G GPS Server ready on Railway!');
+        console.log('\n📋 Configuration for your MV77G device:');
+        console.log('='.repeat(50));
     
-    // Railway provides RAILWAY_PUBLIC_DOMAIN or generate from project
-    const domain = process.env.RAILWAY_PUBLIC_DOMAIN || 'your-app-name.railway.app';
+        // Railway provides RAILWAY_PUBLIC_DOMAIN or generate from project
+        const domain = process.env.RAILWAY_PUBLIC_DOMAIN || 'your-app-name.railway.app';
     
-    console.log(`📱 SMS Commands (send to your MV77G SIM number):`);
-    console.log(`   APN123456 your_carrier_apn`);
-    console.log(`   SERVER123456 ${domain} ${server.tcpPort}`);
-    console.log(`   TIMER123456 30`);
-    console.log(`   GPRS123456`);
+        console.log(`📱 SMS Commands (send to your MV77G SIM number):`);
+        console.log(`   APN123456 your_carrier_apn`);
+        console.log(`   SERVER123456 ${domain} ${server.tcpPort}`);
+        console.log(`   TIMER123456 30`);
+        console.log(`   GPRS123456`);
+        console.log(`   (once online, TIMER / relay / reboot can be sent via POST /device/[deviceId]/command)`);
     
-    console.log(`\n🌐 API Endpoints:`);
-    console.log(`   https://${domain}/latest`);
-    console.log(`   https://${domain}/locations`);
-    console.log(`   https://${domain}/device/[deviceId]`);
-    console.log(`   https://${domain}/alarms`);
+        console.log(`\n🌐 API Endpoints:`);
+        console.log(`   https://${domain}/latest`);
+        console.log(`   https://${domain}/locations`);
+        console.log(`   https://${domain}/device/[deviceId]`);
+        console.log(`   https://${domain}/alarms`);
+        console.log(`   https://${domain}/devices    (sessions, /devices/[id], ?online=)`);
+        console.log(`   https://${domain}/registry   (GET/POST, /registry/[id] GET/PUT/DELETE${server.registry.strict ? ', strict' : ''})`);
+        console.log(`   https://${domain}/geofences  (GET/POST, /geofences/[id] GET/PUT/DELETE)`);
+        console.log(`   https://${domain}/rules      (GET/POST, /rules/[id] GET/PUT/DELETE, /rules/groups)`);
+        console.log(`   https://${domain}/webhooks   (GET/POST, /webhooks/[id], /webhooks/dead-letters)`);
+        console.log(`   https://${domain}/stream     (Server-Sent Events, ?devices=&types=)`);
+        console.log(`   https://${domain}/device/[deviceId]/export  (?format=gpx|kml|geojson|csv&from=&to=)`);
+        console.log(`   https://${domain}/device/[deviceId]/params  (JT808, GET/PUT)`);
+        console.log(`   https://${domain}/device/[deviceId]/command (GT06 / H02, POST)`);
     
-    console.log('\n✨ Server is running and ready to receive GPS data!');
+        console.log('\n✨ Server is running and ready to receive GPS data!');
     
-}).catch(error => {
-    console.error('❌ Failed to start server:', error);
-    process.exit(1);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('🛑 Received SIGTERM, shutting down gracefully...');
-    server.running = false;
-    if (server.tcpServer) server.tcpServer.close();
-    process.exit(0);
-});
-
-process.on('SIGINT', () => {
-    console.log('🛑 Received SIGINT, shutting down gracefully...');
-    server.running = false;
-    if (server.tcpServer) server.tcpServer.close();
-    process.exit(0);
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error);
-    process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
+    }).catch(error => {
+        console.error('❌ Failed to start server:', error);
+        process.exit(1);
+    });
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('🛑 Received SIGTERM, shutting down gracefully...');
+        server.running = false;
+        if (server.tcpServer) server.tcpServer.close();
+        server.webhooks.flush();
+        process.exit(0);
+    });
+
+    process.on('SIGINT', () => {
+        console.log('🛑 Received SIGINT, shutting down gracefully...');
+        server.running = false;
+        if (server.tcpServer) server.tcpServer.close();
+        server.webhooks.flush();
+        process.exit(0);
+    });
+
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        console.error('❌ Uncaught Exception:', error);
+        process.exit(1);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+}
 
 /*
 RAILWAY DEPLOYMENT FILES:
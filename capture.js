@@ -0,0 +1,104 @@
+// capture.js  (ESM)
+// Raw traffic capture: every byte chunk received from or written to a device
+// connection is appended to a JSONL capture file, one record per event:
+//   { t: epoch ms, conn: "<boot>-<n>", ev: "open" | "in" | "out" | "close", addr, hex }
+// Files rotate at `maxBytes`; only the newest `maxFiles` are kept.
+// replay.js feeds a capture back into the decoders or a running server.
+// Env:
+//  - CAPTURE=true            (default: off)
+//  - CAPTURE_DIR=path        (default: data/captures)
+//  - CAPTURE_FILE_MB=n       (default: 64)
+//  - CAPTURE_FILES=n         (default: 10)
+
+import fs from "fs";
+import path from "path";
+
+export function createCapture({
+  enabled = String(process.env.CAPTURE ?? "false").toLowerCase() === "true",
+  dir = process.env.CAPTURE_DIR || "data/captures",
+  maxBytes = Number(process.env.CAPTURE_FILE_MB || 64) * 1024 * 1024,
+  maxFiles = Number(process.env.CAPTURE_FILES || 10),
+} = {}) {
+  const boot = Date.now().toString(36);
+  let connections = 0;
+  let fd = null;
+  let size = 0;
+
+  function rotate() {
+    if (fd !== null) fs.closeSync(fd);
+    fs.mkdirSync(dir, { recursive: true });
+    const name = `capture-${String(Date.now()).padStart(13, "0")}-${process.pid}.jsonl`;
+    fd = fs.openSync(path.join(dir, name), "a");
+    size = 0;
+    const files = fs.readdirSync(dir).filter((f) => /^capture-.*\.jsonl$/.test(f)).sort();
+    for (const old of files.slice(0, Math.max(0, files.length - maxFiles))) {
+      fs.rmSync(path.join(dir, old), { force: true });
+    }
+  }
+
+  function record(entry) {
+    const line = JSON.stringify({ t: Date.now(), ...entry }) + "\n";
+    if (fd === null || size + line.length > maxBytes) rotate();
+    fs.writeSync(fd, line);
+    size += line.length;
+  }
+
+  return {
+    enabled,
+
+    /**
+     * Record everything `socket` receives and sends from now on.
+     * Returns the connection ID used in the capture (null when disabled).
+     */
+    attach(socket, addr = `${socket.remoteAddress}:${socket.remotePort}`) {
+      if (!enabled) return null;
+      const conn = `${boot}-${++connections}`;
+      const safely = (entry) => {
+        try {
+          record({ conn, ...entry });
+        } catch (e) {
+          console.error("⚠️ Capture write failed:", e.message);
+        }
+      };
+
+      safely({ ev: "open", addr });
+      socket.on("data", (chunk) => safely({ ev: "in", hex: chunk.toString("hex") }));
+      const write = socket.write;
+      socket.write = function (data, ...rest) {
+        const bytes = typeof data === "string" ? Buffer.from(data, typeof rest[0] === "string" ? rest[0] : "utf8") : data;
+        safely({ ev: "out", hex: Buffer.from(bytes).toString("hex") });
+        return write.call(this, data, ...rest);
+      };
+      socket.on("close", () => safely({ ev: "close" }));
+      return conn;
+    },
+
+    close() {
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    },
+  };
+}
+
+/**
+ * Read a capture file → Map of connection ID → { addr, events: [{ t, ev, data }] }
+ * in file order.
+ */
+export function readCapture(file) {
+  const connections = new Map();
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${i + 1}: not a capture record`);
+    }
+    if (!connections.has(entry.conn)) connections.set(entry.conn, { addr: entry.addr ?? null, events: [] });
+    const c = connections.get(entry.conn);
+    if (entry.ev === "open") c.addr = entry.addr ?? c.addr;
+    c.events.push({ t: entry.t, ev: entry.ev, data: entry.hex != null ? Buffer.from(entry.hex, "hex") : null });
+  });
+  return connections;
+}
@@ -0,0 +1,814 @@
+#!/usr/bin/env node
+// decode.js  (ESM)
+// Offline frame decoder for hex strings copied from logs or support tickets:
+//   node decode.js <hex|file|-> [--json] [--protocol gt06|jt808|hq]
+// The input is hex (spaces, colons and 0x prefixes are ignored), an ASCII H02
+// sentence, or a file holding either (or raw binary bytes); "-" reads stdin.
+// The protocol is detected from the first frame start (or forced with
+// --protocol), JT808 escaping is undone and checksums / CRCs are verified.
+// Every frame is printed field by field: input offset, raw bytes, field name
+// as in the protocol spec and decoded value, followed by what the server's own
+// parser makes of it. Concatenated frames are decoded one after the other and
+// bytes between frames are reported as skipped. A malformed frame is decoded
+// as far as it goes; each problem is reported at the offset of the byte where
+// it was found.
+// Exit code: 0 when every frame is valid, 2 otherwise, 1 on usage errors.
+
+import fs from "fs";
+import { detectProtocol, PROTOCOL } from "./gps-mux.js";
+import { crcItu, GT06_PROTOCOL, gt06AlarmType, parseGT06Frame } from "./gt06.js";
+import { activeLabels, decodeExtraInfo, parseJT808Frame } from "./jt808.js";
+import { decodeStatus, dmToDec, HQ_BINARY_LENGTH, parsePacket } from "./hq.js";
+import { decodeParam, resolveParam } from "./jt808-params.js";
+
+const USAGE = "Usage: node decode.js <hex|file|-> [--json] [--protocol gt06|jt808|hq]";
+const PROTOCOLS = Object.values(PROTOCOL);
+
+/* ─────────── Field cursor ─────────── */
+
+// A malformed frame; `offset` is the input offset of the offending byte
+function fail(offset, message) {
+  throw Object.assign(new Error(message), { offset });
+}
+
+/**
+ * Reads consecutive fields of `buf`, recording each as
+ * { offset, length, hex, field, value } in `fields`. `at(i)` maps an index of
+ * `buf` to an offset in `input` (they differ once JT808 escaping is undone);
+ * `hex` always shows the bytes as they appear in the input.
+ */
+function createCursor(input, buf, at, fields, prefix = "") {
+  let pos = 0;
+  const cursor = {
+    get left() { return buf.length - pos; },
+    get offset() { return at(pos); },
+    peek(length) { return buf.subarray(pos, pos + length); },
+
+    // `format(bytes)` → decoded value; throwing marks the field as malformed
+    take(length, field, format = () => undefined) {
+      const name = prefix + field;
+      if (length > buf.length - pos) fail(at(pos), `${name}: needs ${length} byte(s), only ${buf.length - pos} left`);
+      const bytes = buf.subarray(pos, pos + length);
+      let value;
+      try {
+        value = format(bytes);
+      } catch (e) {
+        fail(at(pos), `${name}: ${e.message}`);
+      }
+      const [from, to] = [at(pos), at(pos + length)];
+      fields.push({ offset: from, length: to - from, hex: input.subarray(from, to).toString("hex"), field: name, value });
+      pos += length;
+      return bytes;
+    },
+
+    // optional trailing field, read only when the frame still has the bytes
+    maybe(length, field, format) {
+      return length <= buf.length - pos ? cursor.take(length, field, format) : null;
+    },
+
+    rest(field, format) {
+      return cursor.take(buf.length - pos, field, format);
+    },
+
+    skip(length) {
+      pos += length;
+    },
+
+    // the next `length` bytes as a cursor of their own
+    sub(length, field, subPrefix = prefix) {
+      if (length > buf.length - pos) fail(at(pos), `${prefix}${field}: needs ${length} byte(s), only ${buf.length - pos} left`);
+      const base = pos;
+      pos += length;
+      return createCursor(input, buf.subarray(base, base + length), (i) => at(base + i), fields, subPrefix);
+    },
+  };
+  return cursor;
+}
+
+/* ─────────── Value formats ─────────── */
+
+const hexN = (n, digits) => n.toString(16).padStart(digits, "0");
+const u8 = (b) => b[0];
+const u16 = (b) => b.readUInt16BE(0);
+const u32 = (b) => b.readUInt32BE(0);
+const uint = (b) => b.readUIntBE(0, b.length);
+const hexWord = (b) => `0x${b.toString("hex")}`;
+const latin1 = (b) => b.toString("latin1");
+
+// fixed-width ASCII field, padded with 0x00 or spaces
+const text = (b) => b.toString("latin1").replace(/[\0 ]+$/, "").replace(/^\0+/, "");
+
+// plate numbers are GBK (e.g. "粤B12345")
+function gbk(b) {
+  const trimmed = b.subarray(0, b.indexOf(0) === -1 ? b.length : b.indexOf(0));
+  try { return new TextDecoder("gbk").decode(trimmed); } catch { return trimmed.toString("latin1"); }
+}
+
+function bcd(b) {
+  const digits = b.toString("hex");
+  if (/[^0-9]/.test(digits)) throw new Error(`${digits} is not BCD`);
+  return digits;
+}
+
+function utc(year, month, day, hour, minute, second) {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    throw new Error(`${year}-${month}-${day} ${hour}:${minute}:${second} is not a valid date`);
+  }
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString();
+}
+
+// "HHMMSS" → "HH:MM:SS"
+function clock(digits) {
+  const [h, m, s] = digits.match(/../g).map(Number);
+  return utc(2000, 1, 1, h, m, s).slice(11, 19);
+}
+
+// "DDMMYY" → "YYYY-MM-DD"
+function day(digits) {
+  const [d, m, y] = digits.match(/../g).map(Number);
+  return utc(y < 80 ? 2000 + y : 1900 + y, m, d, 0, 0, 0).slice(0, 10);
+}
+
+// H02 status word (8 hex digits, active-low) → named conditions and cleared bits
+function hqState(word) {
+  const flags = decodeStatus(word);
+  const named = Object.keys(flags).filter((key) => flags[key] === true);
+  return `${named.join(", ") || "no named condition"}; active bits ${flags.active_bits.join(",") || "none"}`;
+}
+
+/* ─────────── GT06 ─────────── */
+
+const GT06_NAMES = Object.fromEntries(Object.entries(GT06_PROTOCOL).map(([name, id]) => [id, name]));
+
+const gt06Time = (b) => utc(2000 + b[0], b[1], b[2], b[3], b[4], b[5]);
+
+function courseStatus(b) {
+  const w = b.readUInt16BE(0);
+  return `course ${w & 0x03ff}°, ${w & 0x1000 ? "positioned" : "not positioned"}${w & 0x2000 ? " (differential)" : ""}, ` +
+    `${w & 0x0400 ? "N" : "S"} ${w & 0x0800 ? "W" : "E"}`;
+}
+
+function timezone(b) {
+  const tz = b.readUInt16BE(0);
+  const hhmm = tz >> 4;
+  const minutes = Math.floor(hhmm / 100) * 60 + (hhmm % 100);
+  return `UTC${tz & 0x08 ? "-" : "+"}${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function terminalInfo(b) {
+  const v = b[0];
+  const on = [[0x01, "armed"], [0x02, "ACC on"], [0x04, "charging"], [0x40, "GPS tracking"], [0x80, "fuel cut"]]
+    .filter(([bit]) => v & bit).map(([, label]) => label);
+  const alarm = ["normal", "shock", "power cut", "low battery", "SOS"][(v >> 3) & 0x07] ?? `alarm ${(v >> 3) & 0x07}`;
+  return [...on, alarm].join(", ");
+}
+
+// date(6)|gps info(1)|lat(4)|lon(4)|speed(1)|course/status(2)
+function gt06Gps(c) {
+  c.take(6, "Date time (YY MM DD hh mm ss)", gt06Time);
+  c.take(1, "GPS info length | satellites", (b) => `${b[0] >> 4} byte(s), ${b[0] & 0x0f} satellite(s)`);
+  c.take(4, "Latitude (1/30000 min)", (b) => +(u32(b) / 1800000).toFixed(6));
+  c.take(4, "Longitude (1/30000 min)", (b) => +(u32(b) / 1800000).toFixed(6));
+  c.take(1, "Speed (km/h)", u8);
+  c.take(2, "Course / status", courseStatus);
+}
+
+function gt06Lbs(c) {
+  c.take(2, "MCC", u16);
+  c.take(1, "MNC", u8);
+  c.take(2, "LAC", u16);
+  c.take(3, "Cell ID", uint);
+}
+
+// terminal info(1)|voltage level(1)|GSM signal(1)|alarm(1)|language(1)
+function gt06Status(c) {
+  c.maybe(1, "Terminal information", terminalInfo);
+  c.maybe(1, "Voltage level (0-6)", u8);
+  c.maybe(1, "GSM signal strength (0-4)", u8);
+  c.maybe(1, "Alarm", (b) => (b[0] ? gt06AlarmType(b[0]) : "none"));
+  c.maybe(1, "Language", u8);
+}
+
+function dissectGT06Info(c, protocol) {
+  switch (protocol) {
+    case GT06_PROTOCOL.LOGIN:
+      c.take(8, "Terminal ID (IMEI, BCD)", (b) => bcd(b).replace(/^0/, ""));
+      c.maybe(2, "Type identifier", hexWord);
+      c.maybe(2, "Time zone / language", timezone);
+      break;
+
+    case GT06_PROTOCOL.LOCATION:
+    case GT06_PROTOCOL.LOCATION_2:
+      gt06Gps(c);
+      if (c.left >= 8) gt06Lbs(c);
+      if (protocol === GT06_PROTOCOL.LOCATION_2 && c.left >= 3) {
+        c.take(1, "ACC", (b) => (b[0] === 1 ? "on" : "off"));
+        c.take(1, "Data upload mode", u8);
+        c.take(1, "GPS real-time / re-upload", (b) => (b[0] === 1 ? "re-upload" : "real-time"));
+        c.maybe(4, "Mileage (m)", u32);
+      }
+      break;
+
+    case GT06_PROTOCOL.ALARM:
+    case GT06_PROTOCOL.ALARM_2: {
+      gt06Gps(c);
+      // the LBS length counts itself
+      const lbsLength = c.take(1, "LBS length", u8)[0];
+      if (lbsLength > 1) {
+        const lbs = c.sub(lbsLength - 1, "LBS information");
+        if (lbs.left >= 8) gt06Lbs(lbs);
+        if (lbs.left) lbs.rest("LBS information (unparsed)");
+      }
+      gt06Status(c);
+      break;
+    }
+
+    case GT06_PROTOCOL.STATUS:
+      gt06Status(c);
+      break;
+
+    case GT06_PROTOCOL.STRING_INFO: {
+      const length = c.take(1, "Command length", u8)[0];
+      c.take(4, "Server flag", hexWord);
+      c.take(Math.max(length - 4, 0), "Command content", latin1);
+      c.maybe(2, "Language", hexWord);
+      break;
+    }
+
+    case GT06_PROTOCOL.COMMAND_REPLY_2: {
+      c.take(4, "Server flag", hexWord);
+      const encoding = c.take(1, "Encoding (1 ASCII, 2 UTF-16BE)", u8)[0];
+      c.rest("Command content", (b) => (encoding === 2 ? Buffer.from(b).swap16().toString("utf16le") : latin1(b)));
+      break;
+    }
+  }
+  if (c.left) c.rest(GT06_NAMES[protocol] ? "Unparsed content" : "Information content");
+}
+
+// 0x7878 | len(1) | protocol(1) | info | serial(2) | crc(2) | 0x0D0A  (0x7979: len(2))
+function dissectGT06(input, start, end, fields, problems) {
+  const c = createCursor(input, input.subarray(start, end), (i) => start + i, fields);
+  const extended = c.take(2, "Start bits", (b) => {
+    if (u16(b) !== 0x7878 && u16(b) !== 0x7979) throw new Error(`expected 0x7878 or 0x7979, got ${hexWord(b)}`);
+    return u16(b) === 0x7979 ? "0x7979 (2-byte length)" : "0x7878";
+  })[0] === 0x79;
+  const lengthAt = c.offset;
+  const length = uint(c.take(extended ? 2 : 1, "Packet length (protocol number .. CRC)", uint));
+  if (length < 5) fail(lengthAt, `packet length ${length} is below the minimum of 5`);
+  const protocol = c.take(1, "Protocol number", (b) => `0x${hexN(b[0], 2)} (${GT06_NAMES[b[0]] ?? "unknown"})`)[0];
+  const info = c.sub(length - 5, "Information content");
+  try {
+    dissectGT06Info(info, protocol);
+  } catch (e) {
+    problems.push(problemOf(e));
+  }
+  c.take(2, "Information serial number", u16);
+
+  const crcAt = c.offset;
+  const crc = u16(c.take(2, "Error check (CRC-ITU)", hexWord));
+  const computed = crcItu(input.subarray(start + 2, crcAt));
+  if (crc !== computed) {
+    problems.push({ offset: crcAt, message: `CRC-ITU mismatch: frame has 0x${hexN(crc, 4)}, bytes ${start + 2}..${crcAt - 1} give 0x${hexN(computed, 4)}` });
+  }
+  c.take(2, "Stop bits", (b) => {
+    if (u16(b) !== 0x0d0a) throw new Error(`expected 0x0d0a, got ${hexWord(b)}`);
+    return "0x0d0a";
+  });
+  return c;
+}
+
+/* ─────────── JT808 ─────────── */
+
+const JT808_MESSAGES = {
+  0x0001: "Terminal general response",
+  0x0002: "Terminal heartbeat",
+  0x0003: "Terminal logout",
+  0x0100: "Terminal registration",
+  0x0102: "Terminal authentication",
+  0x0104: "Query parameters response",
+  0x0200: "Location report",
+  0x0704: "Location batch upload",
+  0x8001: "Platform general response",
+  0x8003: "Sub-package retransmission request",
+  0x8100: "Terminal registration response",
+  0x8103: "Set terminal parameters",
+  0x8104: "Query terminal parameters",
+  0x8106: "Query specific terminal parameters",
+};
+const GENERAL_RESULTS = ["success", "failure", "bad message", "unsupported", "alarm confirmed"];
+const REGISTER_RESULTS = ["success", "vehicle already registered", "vehicle not in database", "terminal already registered", "terminal not in database"];
+
+const messageName = (b) => `0x${hexN(u16(b), 4)} (${JT808_MESSAGES[u16(b)] ?? "unknown"})`;
+const result = (names) => (b) => `${b[0]} (${names[b[0]] ?? "unknown"})`;
+
+function bodyProperties(b) {
+  const p = u16(b);
+  const parts = [`body ${p & 0x03ff} byte(s)`];
+  if (p & 0x1c00) parts.push(`encryption ${(p >> 10) & 0x07}`);
+  if (p & 0x2000) parts.push("sub-packaged");
+  if (p & 0x4000) parts.push("2019 header");
+  return parts.join(", ");
+}
+
+function flagWord(b, kind /* "alarm" | "status" */) {
+  const labels = activeLabels(u32(b), kind);
+  return `${hexWord(b)}${labels.length ? ` (${labels.join(", ")})` : ""}`;
+}
+
+function bcdTime(b) {
+  const [y, ...rest] = bcd(b).match(/../g).map(Number);
+  return utc(y < 80 ? 2000 + y : 1900 + y, ...rest);
+}
+
+/**
+ * Undo 0x7D escaping of input[from..to) → { buf, map } where map[i] is the
+ * input offset of buf[i] (map[buf.length] = to). Unlike the server, which
+ * passes unknown escapes through, an invalid escape is an error here.
+ */
+function unescapeMapped(input, from, to) {
+  const out = [];
+  const map = [];
+  for (let i = from; i < to; i++) {
+    map.push(i);
+    if (input[i] !== 0x7d) {
+      out.push(input[i]);
+      continue;
+    }
+    if (i + 1 >= to) fail(i, "0x7D escape byte at the end of the frame");
+    if (input[i + 1] !== 0x01 && input[i + 1] !== 0x02) fail(i, `invalid escape 7d ${hexN(input[i + 1], 2)} (only 7d 01 and 7d 02 exist)`);
+    out.push(input[i + 1] === 0x01 ? 0x7d : 0x7e);
+    i++;
+  }
+  map.push(to);
+  return { buf: Buffer.from(out), map };
+}
+
+// alarm(4)|status(4)|lat(4)|lon(4)|alt(2)|speed(2)|course(2)|time(6)|{ id(1)|len(1)|value }
+function jt808Location(c) {
+  c.take(4, "Alarm flags", (b) => flagWord(b, "alarm"));
+  c.take(4, "Status", (b) => flagWord(b, "status"));
+  c.take(4, "Latitude (1e-6°)", (b) => u32(b) / 1e6);
+  c.take(4, "Longitude (1e-6°)", (b) => u32(b) / 1e6);
+  c.take(2, "Altitude (m)", u16);
+  c.take(2, "Speed (1/10 km/h)", (b) => `${u16(b) / 10} km/h`);
+  c.take(2, "Direction (°)", u16);
+  c.take(6, "Time (YYMMDDhhmmss, BCD)", bcdTime);
+  while (c.left) {
+    const [id, length = 0] = c.peek(2);
+    const [name, value] = Object.entries(decodeExtraInfo(c.peek(2 + length)))[0] ?? [];
+    const known = name && name !== "unknown";
+    c.take(1, "Additional info ID", () => `0x${hexN(id, 2)} (${known ? name : "unknown / vendor-specific"})`);
+    c.take(1, "Additional info length", u8);
+    c.take(length, `Additional info 0x${hexN(id, 2)}`, (b) => (known ? value : b.toString("hex")));
+  }
+}
+
+// { id(4)|len(1)|value } × count
+function jt808Params(c, count) {
+  for (let i = 1; i <= count; i++) {
+    const id = u32(c.take(4, `Parameter ${i} ID`, (b) => {
+      const { name, type } = resolveParam(u32(b));
+      return type ? `0x${hexN(u32(b), 4)} (${name})` : `0x${hexN(u32(b), 4)}`;
+    }));
+    const length = c.take(1, `Parameter ${i} length`, u8)[0];
+    c.take(length, `Parameter ${i} value`, (b) => decodeParam(id, b));
+  }
+}
+
+function dissectJT808Body(c, msgId, version) {
+  switch (msgId) {
+    case 0x0200:
+      jt808Location(c);
+      break;
+
+    case 0x0704: {
+      const count = u16(c.take(2, "Item count", u16));
+      c.take(1, "Batch type", (b) => `${b[0]} (${b[0] === 1 ? "blind-area supplementary" : "normal"})`);
+      for (let i = 1; i <= count; i++) {
+        const length = u16(c.take(2, `Item ${i} length`, u16));
+        jt808Location(c.sub(length, `Item ${i}`, `Item ${i}: `));
+      }
+      break;
+    }
+
+    case 0x0001:
+    case 0x8001:
+      c.take(2, "Reply serial number", u16);
+      c.take(2, "Reply message ID", messageName);
+      c.take(1, "Result", result(GENERAL_RESULTS));
+      break;
+
+    case 0x0100: {
+      const [m, t, id] = version === 2019 ? [11, 30, 30] : [5, 20, 7];
+      c.take(2, "Province ID", u16);
+      c.take(2, "City ID", u16);
+      c.take(m, "Manufacturer ID", text);
+      c.take(t, "Terminal model", text);
+      c.take(id, "Terminal ID", text);
+      c.take(1, "Plate color", u8);
+      c.rest("Plate number (GBK)", gbk);
+      break;
+    }
+
+    case 0x0102:
+      if (version !== 2019) {
+        c.rest("Authentication code", text);
+        break;
+      }
+      c.take(c.take(1, "Authentication code length", u8)[0], "Authentication code", text);
+      c.take(15, "IMEI", text);
+      c.take(20, "Software version", text);
+      break;
+
+    case 0x8100:
+      c.take(2, "Reply serial number", u16);
+      c.take(1, "Result", result(REGISTER_RESULTS));
+      if (c.left) c.rest("Authentication code", text);
+      break;
+
+    case 0x0104:
+      c.take(2, "Reply serial number", u16);
+      jt808Params(c, c.take(1, "Parameter count", u8)[0]);
+      break;
+
+    case 0x8103:
+      jt808Params(c, c.take(1, "Parameter count", u8)[0]);
+      break;
+
+    case 0x8106: {
+      const count = c.take(1, "Parameter count", u8)[0];
+      for (let i = 1; i <= count; i++) c.take(4, `Parameter ${i} ID`, (b) => `0x${hexN(u32(b), 4)} (${resolveParam(u32(b)).name})`);
+      break;
+    }
+
+    case 0x8003: {
+      c.take(2, "First sub-package serial number", u16);
+      const count = uint(c.take(version === 2019 ? 2 : 1, "Retransmission count", uint));
+      for (let i = 1; i <= count; i++) c.take(2, `Sub-package ID ${i}`, u16);
+      break;
+    }
+  }
+  if (c.left) c.rest(JT808_MESSAGES[msgId] ? "Unparsed body bytes" : "Message body");
+}
+
+// 0x7E | msgId(2) | props(2) | [version(1)] | phone(6|10) | seq(2) | [total(2) | index(2)] | body | checksum(1) | 0x7E
+function dissectJT808(input, start, end, fields, problems) {
+  const flags = createCursor(input, input.subarray(start, end), (i) => start + i, fields);
+  flags.take(1, "Start flag", () => "0x7e");
+  // a frame cut short is decoded as far as it goes, without check code and end flag
+  const closed = end - start >= 2 && input[end - 1] === 0x7e;
+  if (!closed) problems.push({ offset: end, message: "frame ends without the closing 0x7E flag" });
+
+  const { buf, map } = unescapeMapped(input, start + 1, closed ? end - 1 : end);
+  const c = createCursor(input, buf, (i) => map[i], fields);
+  const msgId = u16(c.take(2, "Message ID", messageName));
+  const propsAt = c.offset;
+  const props = u16(c.take(2, "Message body properties", bodyProperties));
+  const version = props & 0x4000 ? 2019 : 2013;
+  const subpack = !!(props & 0x2000);
+  if (version === 2019) c.take(1, "Protocol version", u8);
+  c.take(version === 2019 ? 10 : 6, "Terminal phone number (BCD)", (b) => bcd(b).replace(/^0+/, ""));
+  c.take(2, "Message serial number", u16);
+  if (subpack) {
+    c.take(2, "Total sub-packages", u16);
+    c.take(2, "Sub-package index", u16);
+  }
+
+  const bodyLength = props & 0x03ff;
+  const carried = Math.max(c.left - (closed ? 1 : 0), 0); // the last byte is the check code
+  if (closed && carried !== bodyLength) {
+    problems.push({ offset: propsAt, message: `body length field says ${bodyLength} byte(s), the frame carries ${carried}` });
+  }
+  const body = c.sub(Math.min(bodyLength, carried), "Message body");
+  try {
+    if (subpack) {
+      if (body.left) body.rest("Sub-package content (decoded once reassembled)");
+    } else {
+      dissectJT808Body(body, msgId, version);
+    }
+  } catch (e) {
+    problems.push(problemOf(e));
+  }
+  if (!closed) return c;
+  if (c.left > 1) c.take(c.left - 1, "Unexpected bytes before the check code");
+
+  const checkAt = c.offset;
+  const check = c.take(1, "Check code (XOR)", (b) => `0x${hexN(b[0], 2)}`)[0];
+  const computed = buf.subarray(0, buf.length - 1).reduce((x, b) => x ^ b, 0);
+  if (check !== computed) {
+    problems.push({ offset: checkAt, message: `check code mismatch: frame has 0x${hexN(check, 2)}, XOR of the unescaped header and body is 0x${hexN(computed, 2)}` });
+  }
+
+  flags.skip(end - start - 2);
+  flags.take(1, "End flag", () => "0x7e");
+  return flags;
+}
+
+/* ─────────── HQ / H02 ─────────── */
+
+// key → [spec name, pattern, value(token, next token)]; the value defaults to the token
+const HQ_FIELDS = {
+  maker: ["Manufacturer", /^[A-Z0-9]+$/i],
+  imei: ["Device ID (IMEI)", /^\d+$/],
+  command: ["Command", /^\w+$/],
+  time: ["Time (HHMMSS, UTC)", /^\d{6}$/, clock],
+  valid: ["Validity (A valid, V invalid)", /^[AV]$/, (v) => (v === "A" ? "valid" : "invalid")],
+  lat: ["Latitude (DDMM.MMMM)", /^\d{4}\.\d+$/, (v, dir) => dmToDec(v, dir)],
+  ns: ["Latitude hemisphere (N/S)", /^[NS]$/],
+  lon: ["Longitude (DDDMM.MMMM)", /^\d{5}\.\d+$/, (v, dir) => dmToDec(v, dir)],
+  ew: ["Longitude hemisphere (E/W)", /^[EW]$/],
+  speed: ["Speed (knots)", /^\d+(\.\d+)?$/, (v) => `${+(Number(v) * 1.852).toFixed(1)} km/h`],
+  course: ["Course (°)", /^\d+(\.\d+)?$/, Number],
+  date: ["Date (DDMMYY)", /^\d{6}$/, day],
+  state: ["Status word (active-low)", /^[0-9A-F]{8}$/i, hqState],
+  ack: ["Confirmed command", /^\w+$/],
+  arg: ["Command argument", /^/],
+  mcc: ["MCC", /^\d+$/, Number],
+  mnc: ["MNC", /^\d+$/, Number],
+  ta: ["Timing advance", /^\d+$/, Number],
+  cells: ["Cell count", /^\d+$/, Number],
+  lac: ["LAC", /^\d+$/, Number],
+  cid: ["Cell ID", /^\d+$/, Number],
+  rssi: ["RSSI", /^-?\d+$/, Number],
+  gsm: ["GSM signal", /^\d+$/, Number],
+  satellites: ["Satellites", /^\d+$/, Number],
+  battery: ["Battery (%)", /^\d+$/, Number],
+  steps: ["Steps", /^\d+$/, Number],
+  turnovers: ["Turnovers", /^\d+$/, Number],
+};
+
+const HQ_POSITION = ["time", "valid", "lat", "ns", "lon", "ew", "speed", "course", "date", "state"];
+
+// field keys after "HQ,IMEI,command" → { keys, required }
+function hqLayout(command, values) {
+  switch (command) {
+    case "V1":
+    case "V19":
+      return { keys: HQ_POSITION, required: HQ_POSITION.length };
+    case "V4": {
+      // <cmd>,<args...>,[position]
+      let i = 1;
+      while (i < values.length && !(/^\d{6}$/.test(values[i]) && /^[AV]$/.test(values[i + 1] || ""))) i++;
+      const keys = ["ack", ...Array(Math.max(i - 1, 0)).fill("arg")];
+      return { keys: i < values.length ? [...keys, ...HQ_POSITION] : keys, required: 1 };
+    }
+    case "NBR": {
+      const count = /^\d+$/.test(values[4] ?? "") ? Number(values[4]) : 0;
+      const keys = ["time", "mcc", "mnc", "ta", "cells", ...Array(count).fill(["lac", "cid", "rssi"]).flat(), "date", "state"];
+      return { keys, required: keys.length };
+    }
+    case "LINK": {
+      const keys = ["time", "gsm", "satellites", "battery", "steps", "turnovers", "date", "state"];
+      return { keys, required: keys.length };
+    }
+    case "HTBT":
+      return { keys: ["battery"], required: 0 };
+    default:
+      return { keys: [], required: 0 };
+  }
+}
+
+// *HQ,IMEI,<command>,...#
+function dissectHQText(input, start, end, fields, problems) {
+  const c = createCursor(input, input.subarray(start, end), (i) => start + i, fields);
+  const frame = input.subarray(start, end).toString("latin1");
+  const closed = frame.endsWith("#");
+  const values = frame.slice(1, closed ? -1 : undefined).split(",");
+  const { keys, required } = hqLayout(values[2], values.slice(3));
+  const layout = ["maker", "imei", "command", ...keys];
+
+  c.take(1, "Start (*)", () => "*");
+  values.forEach((value, i) => {
+    if (i > 0) c.skip(1); // ","
+    const [name, pattern, format = (v) => v] = HQ_FIELDS[layout[i]] ?? [`Extra field ${i - layout.length + 1}`, /^/];
+    if (!pattern.test(value)) {
+      problems.push({ offset: c.offset, message: `${name}: "${value}" does not match ${pattern}` });
+      c.take(value.length, name, () => value);
+      return;
+    }
+    c.take(value.length, name, () => format(value, values[i + 1]));
+  });
+  if (values.length < 3 + required) {
+    const missing = layout.slice(values.length, 3 + required).map((key) => HQ_FIELDS[key][0]);
+    problems.push({ offset: c.offset, message: `${values[2] || "sentence"} has ${values.length} field(s), needs ${3 + required}; missing ${missing.join(", ")}` });
+  }
+  if (!closed) fail(end, "sentence ends without the closing #");
+  c.take(1, "End (#)", () => "#");
+  return c;
+}
+
+// $ | IMEI(5) | HHMMSS(3) | DDMMYY(3) | lat(4) | battery(1) | lon+flags(5) | speed+course(3) | status(4) | trailer
+function dissectHQBinary(input, start, end, fields) {
+  const c = createCursor(input, input.subarray(start, end), (i) => start + i, fields);
+  c.take(1, "Start ($)", () => "$");
+  c.take(5, "Device ID (BCD)", bcd);
+  c.take(3, "Time (HHMMSS, BCD)", (b) => clock(bcd(b)));
+  c.take(3, "Date (DDMMYY, BCD)", (b) => day(bcd(b)));
+  c.take(4, "Latitude (DDMMmmmm, BCD)", (b) => {
+    const digits = bcd(b);
+    return +(Number(digits.slice(0, 2)) + Number(digits.slice(2)) / 10000 / 60).toFixed(6);
+  });
+  c.take(1, "Battery", u8);
+  c.take(5, "Longitude (DDDMMmmmm, BCD) | flags", (b) => {
+    const digits = bcd(b.subarray(0, 4)) + bcd(Buffer.from([b[4] & 0xf0])).slice(0, 1);
+    const flags = b[4] & 0x0f;
+    const longitude = +(Number(digits.slice(0, 3)) + Number(digits.slice(3)) / 10000 / 60).toFixed(6);
+    return `${longitude}, ${flags & 0x02 ? "valid" : "invalid"}, ${flags & 0x04 ? "N" : "S"} ${flags & 0x08 ? "E" : "W"}`;
+  });
+  c.take(3, "Speed (knots) | course (°)", (b) => {
+    const digits = bcd(b);
+    return `${Number(digits.slice(0, 3))} knots, ${Number(digits.slice(3))}°`;
+  });
+  c.take(4, "Status word (active-low)", (b) => hqState(b.toString("hex").toUpperCase()));
+  if (c.left) c.rest("Trailer");
+  return c;
+}
+
+function dissectHQ(input, start, end, fields, problems) {
+  return input[start] === 0x24
+    ? dissectHQBinary(input, start, end, fields)
+    : dissectHQText(input, start, end, fields, problems);
+}
+
+/* ─────────── Splitting the input into frames ─────────── */
+
+const DISSECTORS = {
+  [PROTOCOL.GT06]: dissectGT06,
+  [PROTOCOL.JT808]: dissectJT808,
+  [PROTOCOL.HQ]: dissectHQ,
+};
+
+// the server's own parsers, for the summary line
+const PARSERS = {
+  [PROTOCOL.GT06]: (frame) => parseGT06Frame(frame).decoded,
+  [PROTOCOL.JT808]: (frame) => parseJT808Frame(frame).decoded,
+  [PROTOCOL.HQ]: (frame) => {
+    const { raw, ...pkt } = parsePacket(frame);
+    return pkt;
+  },
+};
+
+function startsAt(protocol, input, i) {
+  const b = input[i];
+  if (protocol === PROTOCOL.HQ) return b === 0x2a || b === 0x24;
+  if (protocol === PROTOCOL.JT808) return b === 0x7e;
+  return (b === 0x78 || b === 0x79) && input[i + 1] === b;
+}
+
+// next frame start at or after `from` → { protocol, offset } or null
+function nextStart(input, from, protocol) {
+  if (!protocol) {
+    const found = detectProtocol(input.subarray(from));
+    return PROTOCOLS.includes(found.protocol) ? { protocol: found.protocol, offset: from + found.offset } : null;
+  }
+  for (let i = from; i < input.length; i++) if (startsAt(protocol, input, i)) return { protocol, offset: i };
+  return null;
+}
+
+// end (exclusive) of the frame starting at `start`, or null when it is cut short or inconsistent
+function frameEnd(protocol, input, start) {
+  if (protocol === PROTOCOL.GT06) {
+    const extended = input[start] === 0x79;
+    if (input.length < start + (extended ? 4 : 3)) return null;
+    const end = start + (extended ? input.readUInt16BE(start + 2) + 6 : input[start + 2] + 5);
+    return end <= input.length && input[end - 2] === 0x0d && input[end - 1] === 0x0a ? end : null;
+  }
+  if (protocol === PROTOCOL.JT808) {
+    const close = input.indexOf(0x7e, start + 1);
+    return close === -1 ? null : close + 1;
+  }
+  if (input[start] === 0x24) return start + HQ_BINARY_LENGTH <= input.length ? start + HQ_BINARY_LENGTH : null;
+  const close = input.indexOf(0x23, start + 1);
+  const next = input.indexOf(0x2a, start + 1);
+  return close !== -1 && (next === -1 || close < next) ? close + 1 : null;
+}
+
+const problemOf = (e) => {
+  if (e.offset == null) throw e;
+  return { offset: e.offset, message: e.message };
+};
+
+function dissect(protocol, input, start, end) {
+  const fields = [];
+  const problems = [];
+  try {
+    const c = DISSECTORS[protocol](input, start, end, fields, problems);
+    if (c.left) problems.push({ offset: c.offset, message: `${c.left} unexpected byte(s) after the end of the frame` });
+  } catch (e) {
+    problems.push(problemOf(e));
+  }
+  problems.sort((a, b) => a.offset - b.offset);
+
+  let decoded = null;
+  try {
+    decoded = PARSERS[protocol](input.subarray(start, end));
+  } catch {
+    // the problems above say why
+  }
+  return { type: "frame", protocol, offset: start, length: end - start, hex: input.subarray(start, end).toString("hex"), ok: !problems.length, problems, fields, decoded };
+}
+
+/**
+ * Input → [{ type: "frame", ... } | { type: "skipped", offset, length, hex }].
+ * Like the server, the first protocol recognised is kept for the whole input.
+ * A frame that is cut short or inconsistent runs up to the next frame start.
+ */
+function decodeAll(input, protocol) {
+  const items = [];
+  let pos = 0;
+  const skip = (from, to) => items.push({ type: "skipped", offset: from, length: to - from, hex: input.subarray(from, to).toString("hex") });
+
+  while (pos < input.length) {
+    const start = nextStart(input, pos, protocol);
+    if (!start) {
+      skip(pos, input.length);
+      break;
+    }
+    if (start.offset > pos) skip(pos, start.offset);
+    protocol = start.protocol;
+    const end = frameEnd(protocol, input, start.offset) ?? nextStart(input, start.offset + 1, protocol)?.offset ?? input.length;
+    items.push(dissect(protocol, input, start.offset, end));
+    pos = end;
+  }
+  return items;
+}
+
+/* ─────────── CLI ─────────── */
+
+function parseArgs(argv) {
+  const opts = { inputs: [], json: false, protocol: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") opts.json = true;
+    else if (arg === "--protocol") {
+      if (i + 1 >= argv.length) throw new Error("--protocol needs a value");
+      opts.protocol = argv[++i];
+    } else if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else opts.inputs.push(arg);
+  }
+  if (opts.protocol && !PROTOCOLS.includes(opts.protocol)) throw new Error(`--protocol must be one of ${PROTOCOLS.join(", ")}`);
+  return opts;
+}
+
+// hex text (as copied from a log) → bytes; anything else is taken as is
+function toBytes(buf) {
+  const digits = buf.toString("latin1").replace(/0x/gi, "").replace(/[\s:,-]/g, "");
+  if (!digits || !/^[0-9a-f]+$/i.test(digits)) return buf;
+  if (digits.length % 2) throw new Error(`Odd number of hex digits (${digits.length})`);
+  return Buffer.from(digits, "hex");
+}
+
+function readInput(inputs) {
+  if (!inputs.length || (inputs.length === 1 && inputs[0] === "-")) return toBytes(fs.readFileSync(0));
+  if (inputs.length === 1 && fs.existsSync(inputs[0]) && fs.statSync(inputs[0]).isFile()) return toBytes(fs.readFileSync(inputs[0]));
+  // unquoted hex arrives as several arguments
+  return toBytes(Buffer.from(inputs.join(" "), "latin1"));
+}
+
+// Buffers print as hex instead of { type, data }
+const json = (value, indent) => JSON.stringify(value, (key, v) => (v?.type === "Buffer" && Array.isArray(v.data) ? Buffer.from(v.data).toString("hex") : v), indent);
+
+// "78 78 11 01 …" limited to `max` bytes
+function spaced(hex, max = Infinity) {
+  const bytes = hex.match(/../g) ?? [];
+  return bytes.slice(0, max).join(" ") + (bytes.length > max ? " …" : "");
+}
+
+function printText(items) {
+  let n = 0;
+  for (const item of items) {
+    if (item.type === "skipped") {
+      console.log(`⚠️ ${item.length} byte(s) skipped @${item.offset} (no frame start): ${spaced(item.hex, 32)}\n`);
+      continue;
+    }
+    console.log(`${item.ok ? "✅" : "❌"} Frame ${++n}: ${item.protocol} @${item.offset}, ${item.length} bytes`);
+    for (const f of item.fields) {
+      const value = f.value === undefined ? spaced(f.hex) : typeof f.value === "object" ? json(f.value) : String(f.value);
+      console.log(`  ${String(f.offset).padStart(5)}  ${spaced(f.hex, 8).padEnd(25)} ${f.field.padEnd(38)} ${value}`);
+    }
+    for (const p of item.problems) console.log(`  ✖ @${p.offset}: ${p.message}`);
+    if (item.decoded) console.log(`  → ${json(item.decoded)}`);
+    console.log("");
+  }
+}
+
+try {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(USAGE);
+  } else {
+    const input = readInput(opts.inputs);
+    if (!input.length) throw new Error("Nothing to decode");
+    const items = decodeAll(input, opts.protocol);
+    if (opts.json) console.log(json(items, 2));
+    else printText(items);
+    const frames = items.filter((item) => item.type === "frame");
+    if (!frames.length && !opts.json) console.log("❌ No frame found");
+    process.exitCode = frames.length && frames.every((frame) => frame.ok) ? 0 : 2;
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
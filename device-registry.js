@@ -0,0 +1,118 @@
+// device-registry.js  (ESM)
+// Known devices, keyed by the ID their protocol reports (GT06 login IMEI,
+// JT808 terminal phone number, H02 IMEI), with vehicle metadata:
+//   { id, name, plate, driver, group, protocol, reportingInterval (s), enabled }
+// Outgoing records are enriched with { device: { name, plate, driver, group } }.
+// Disabled devices are always refused; in strict mode so is every ID that is
+// not registered (and a device registered for another protocol).
+// Devices are kept in a small JSON file that can be edited by hand or over HTTP.
+// Env:
+//  - DEVICE_REGISTRY_FILE=path     (default: data/devices.json)
+//  - DEVICE_REGISTRY_STRICT=true   (drop connections from unregistered IDs)
+
+import fs from "fs";
+import path from "path";
+import { PROTOCOL } from "./gps-mux.js";
+
+const PROTOCOLS = Object.values(PROTOCOL);
+const TEXT_FIELDS = ["name", "plate", "driver", "group"];
+
+// request body → device entry (throws on invalid input)
+function validate(body, id) {
+  const { protocol, reportingInterval, enabled } = body || {};
+  if (!id) throw new Error("id (the IMEI / terminal number the device reports) is required");
+  const device = { id };
+
+  for (const field of TEXT_FIELDS) {
+    const value = body?.[field];
+    if (value == null || value === "") continue;
+    if (typeof value !== "string") throw new Error(`${field} must be a string`);
+    device[field] = value.trim();
+  }
+  if (protocol != null) {
+    if (!PROTOCOLS.includes(protocol)) throw new Error(`protocol must be one of ${PROTOCOLS.join(", ")}`);
+    device.protocol = protocol;
+  }
+  if (reportingInterval != null) {
+    if (!(Number(reportingInterval) > 0)) throw new Error("reportingInterval must be a positive number of seconds");
+    device.reportingInterval = Number(reportingInterval);
+  }
+  if (enabled != null && typeof enabled !== "boolean") throw new Error("enabled must be true or false");
+  device.enabled = enabled ?? true;
+  return device;
+}
+
+export function createDeviceRegistry({
+  file = process.env.DEVICE_REGISTRY_FILE || "data/devices.json",
+  strict = String(process.env.DEVICE_REGISTRY_STRICT ?? "false").toLowerCase() === "true",
+} = {}) {
+  const devices = new Map(); // id → device
+
+  if (file && fs.existsSync(file)) {
+    try {
+      for (const device of JSON.parse(fs.readFileSync(file, "utf8"))) devices.set(String(device.id), device);
+    } catch (e) {
+      console.error(`⚠️ Could not read ${file}:`, e.message);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify([...devices.values()], null, 2));
+  }
+
+  return {
+    strict,
+
+    list() {
+      return [...devices.values()];
+    },
+
+    get(id) {
+      return devices.get(id) ?? null;
+    },
+
+    create(body) {
+      const device = validate(body, body?.id != null ? String(body.id) : null);
+      if (devices.has(device.id)) throw new Error(`Device ${device.id} already exists`);
+      devices.set(device.id, device);
+      save();
+      return device;
+    },
+
+    // Replace a device entry; returns null when it does not exist
+    update(id, body) {
+      if (!devices.has(id)) return null;
+      const device = validate(body, id);
+      devices.set(id, device);
+      save();
+      return device;
+    },
+
+    remove(id) {
+      if (!devices.delete(id)) return false;
+      save();
+      return true;
+    },
+
+    // Why `deviceId` may not send data over `protocol`, or null when it may
+    refusal(deviceId, protocol) {
+      const device = devices.get(deviceId);
+      if (device && !device.enabled) return "disabled";
+      if (!strict) return null;
+      if (!device) return "not registered";
+      if (device.protocol && device.protocol !== protocol) return `registered for ${device.protocol}`;
+      return null;
+    },
+
+    // record with a `device` metadata object added (unchanged when unregistered)
+    enrich(record) {
+      const device = record?.deviceId != null && devices.get(String(record.deviceId));
+      if (!device) return record;
+      const meta = {};
+      for (const field of TEXT_FIELDS) meta[field] = device[field] ?? null;
+      return { ...record, device: meta };
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// event-stream.js  (ESM)
+// Server-Sent Events fan-out for live positions, alarms and device
+// connect/disconnect events (the same event types as webhooks.js).
+// Every event gets an ID "<boot>.<n>"; the last `bufferSize` events are kept
+// so a client reconnecting with Last-Event-ID (or ?lastEventId=) receives what
+// it missed. When the requested ID is gone (buffer overrun or a server
+// restart) the client gets a "gap" event, then everything still buffered.
+// A client whose socket is backed up (res.write() returned false) is skipped
+// until it drains, then catches up from the same buffer, so a slow reader
+// never makes the server queue events for it.
+// Env:
+//  - STREAM_BUFFER_SIZE=n   (default: 5000 events)
+
+const HEARTBEAT_MS = 15000;
+
+export function createEventHub({
+  bufferSize = Number(process.env.STREAM_BUFFER_SIZE || 5000),
+} = {}) {
+  const boot = Date.now().toString(36);
+  const buffer = []; // { id, n, type, deviceId, data }
+  const clients = new Set(); // { send(event) }
+  let counter = 0;
+
+  function parseId(id) {
+    const [prefix, n] = String(id).split(".");
+    return prefix === boot && /^\d+$/.test(n) ? Number(n) : null;
+  }
+
+  return {
+    get clients() { return clients.size; },
+
+    publish(type, data) {
+      const event = { id: `${boot}.${++counter}`, n: counter, type, deviceId: data?.deviceId ?? null, data };
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+      for (const client of clients) client.send(event);
+      return event;
+    },
+
+    /**
+     * Serve one SSE connection.
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     * @param {{ devices?: string[], types?: string[] }} filter
+     */
+    serve(req, res, { devices, types } = {}) {
+      const matches = (e) => (!devices || devices.includes(e.deviceId)) && (!types || types.includes(e.type));
+      let last = counter; // n of the last event this client was sent (or skipped)
+      let paused = false; // waiting for "drain"
+      const write = (event) => {
+        last = event.n;
+        paused = !res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      };
+      const gap = (lastEventId) => {
+        paused = !res.write(`event: gap\ndata: ${JSON.stringify({ lastEventId, oldestAvailable: buffer[0]?.id ?? null })}\n\n`);
+      };
+
+      // send the buffered events after `last`, until the socket backs up again
+      const catchUp = () => {
+        const oldest = buffer.length ? buffer[0].n : counter + 1;
+        if (last < oldest - 1) {
+          gap(`${boot}.${last}`);
+          last = oldest - 1;
+        }
+        for (let i = last + 1 - oldest; i < buffer.length && !paused; i++) {
+          if (matches(buffer[i])) write(buffer[i]);
+          else last = buffer[i].n;
+        }
+      };
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write(`retry: 3000\n\n`);
+
+      // replay what the client missed
+      const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+      if (lastEventId != null) {
+        const n = parseId(lastEventId);
+        const oldest = buffer.length ? buffer[0].n : counter + 1;
+        if (n != null && n >= oldest - 1) {
+          last = n;
+        } else {
+          gap(lastEventId);
+          last = oldest - 1;
+        }
+        catchUp();
+      }
+
+      // while paused, drain's catch-up sends what this skips
+      const client = {
+        send(event) {
+          if (paused) return;
+          if (matches(event)) write(event);
+          else last = event.n;
+        },
+      };
+      clients.add(client);
+      res.on("drain", () => {
+        paused = false;
+        catchUp();
+      });
+      const heartbeat = setInterval(() => {
+        if (!paused) paused = !res.write(`: ping\n\n`);
+      }, HEARTBEAT_MS);
+      heartbeat.unref?.();
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      });
+    },
+  };
+}
@@ -0,0 +1,54 @@
+// geo.js  (ESM)
+// Small geodesy helpers shared by trip detection and geofencing.
+// Coordinates are decimal degrees (WGS84), distances metres.
+
+const EARTH_RADIUS_M = 6371008.8;
+const rad = (deg) => (deg * Math.PI) / 180;
+
+export function hasCoords(p) {
+  return p != null && Number.isFinite(p.latitude) && Number.isFinite(p.longitude);
+}
+
+// Great-circle (haversine) distance between two { latitude, longitude }
+export function distanceMeters(a, b) {
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Local planar projection (metres) around `origin`; fine for fence-sized areas
+function project(p, origin) {
+  const k = rad(1) * EARTH_RADIUS_M;
+  return {
+    x: (p.longitude - origin.longitude) * k * Math.cos(rad(origin.latitude)),
+    y: (p.latitude - origin.latitude) * k,
+  };
+}
+
+// Ray casting; `ring` is [{ latitude, longitude }, ...], closing edge implied
+export function pointInPolygon(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i], b = ring[j];
+    if ((a.latitude > p.latitude) !== (b.latitude > p.latitude) &&
+        p.longitude < ((b.longitude - a.longitude) * (p.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Distance from `p` to the nearest edge of `ring`
+export function distanceToRing(p, ring) {
+  let best = Infinity;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = project(ring[j], p), b = project(ring[i], p);
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return best;
+}
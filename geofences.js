@@ -0,0 +1,159 @@
+// geofences.js  (ESM)
+// Server-side geofences: circles and polygons, optionally limited to some
+// devices, evaluated against every live position.
+// A device only changes side once it is `hysteresisMeters` past the boundary,
+// so GPS jitter along the edge does not flap between enter and exit. A device
+// still inside a fence `dwellSeconds` after entering gets one dwell event per
+// visit. The first position seen for a device/fence pair only sets its side.
+// Fences are kept in a small JSON file; per-device state is in memory.
+// Env:
+//  - GEOFENCE_FILE=path              (default: data/geofences.json)
+//  - GEOFENCE_HYSTERESIS_M=n         (default: 25)
+//  - GEOFENCE_DWELL_SECONDS=n        (default: 600; per-fence `dwellSeconds` overrides, 0 disables)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { distanceMeters, distanceToRing, hasCoords, pointInPolygon } from "./geo.js";
+
+export const GEOFENCE_EVENT = Object.freeze({ ENTER: "enter", EXIT: "exit", DWELL: "dwell" });
+
+const isLatLon = (p) => hasCoords(p) && Math.abs(p.latitude) <= 90 && Math.abs(p.longitude) <= 180;
+
+// request body → fence definition (throws on invalid input)
+function validate(body, id) {
+  const { name, type, center, radius, points, devices, dwellSeconds } = body || {};
+  const fence = { id, name: typeof name === "string" && name.trim() ? name.trim() : id, type };
+
+  if (type === "circle") {
+    if (!isLatLon(center)) throw new Error("circle needs center: { latitude, longitude }");
+    if (!(Number(radius) > 0)) throw new Error("circle needs a positive radius (m)");
+    fence.center = { latitude: center.latitude, longitude: center.longitude };
+    fence.radius = Number(radius);
+  } else if (type === "polygon") {
+    if (!Array.isArray(points) || points.length < 3 || !points.every(isLatLon)) {
+      throw new Error("polygon needs at least 3 points: [{ latitude, longitude }, ...]");
+    }
+    fence.points = points.map((p) => ({ latitude: p.latitude, longitude: p.longitude }));
+  } else {
+    throw new Error('type must be "circle" or "polygon"');
+  }
+
+  if (devices != null) {
+    if (!Array.isArray(devices) || !devices.every((d) => typeof d === "string")) {
+      throw new Error("devices must be an array of device IDs");
+    }
+    fence.devices = devices;
+  }
+  if (dwellSeconds != null) {
+    if (!(Number(dwellSeconds) >= 0)) throw new Error("dwellSeconds must be >= 0");
+    fence.dwellSeconds = Number(dwellSeconds);
+  }
+  return fence;
+}
+
+// Metres from the boundary: negative inside, positive outside
+export function signedDistance(fence, p) {
+  if (fence.type === "circle") return distanceMeters(fence.center, p) - fence.radius;
+  const d = distanceToRing(p, fence.points);
+  return pointInPolygon(p, fence.points) ? -d : d;
+}
+
+export function createGeofenceRegistry({
+  file = process.env.GEOFENCE_FILE || "data/geofences.json",
+  hysteresisMeters = Number(process.env.GEOFENCE_HYSTERESIS_M ?? 25),
+  dwellSeconds = Number(process.env.GEOFENCE_DWELL_SECONDS ?? 600),
+} = {}) {
+  const fences = new Map(); // id → fence
+  const state = new Map();  // `${deviceId}\n${fenceId}` → { inside, since, dwelled }
+
+  if (file && fs.existsSync(file)) {
+    try {
+      for (const fence of JSON.parse(fs.readFileSync(file, "utf8"))) fences.set(fence.id, fence);
+    } catch (e) {
+      console.error(`⚠️ Could not read ${file}:`, e.message);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify([...fences.values()], null, 2));
+  }
+
+  function forget(fenceId) {
+    for (const key of state.keys()) if (key.endsWith(`\n${fenceId}`)) state.delete(key);
+  }
+
+  return {
+    list() {
+      return [...fences.values()];
+    },
+
+    get(id) {
+      return fences.get(id) ?? null;
+    },
+
+    create(body) {
+      const fence = validate(body, body?.id != null ? String(body.id) : crypto.randomUUID());
+      if (fences.has(fence.id)) throw new Error(`Geofence ${fence.id} already exists`);
+      fences.set(fence.id, fence);
+      save();
+      return fence;
+    },
+
+    // Replace a fence; returns null when it does not exist
+    update(id, body) {
+      if (!fences.has(id)) return null;
+      const fence = validate(body, id);
+      fences.set(id, fence);
+      forget(id); // the shape changed, so every device's side is re-established
+      save();
+      return fence;
+    },
+
+    remove(id) {
+      if (!fences.delete(id)) return false;
+      forget(id);
+      save();
+      return true;
+    },
+
+    /**
+     * Check a live position against the fences that apply to its device.
+     * Returns [{ event, fence, distance }] with `distance` the signed
+     * distance to the boundary in metres.
+     */
+    evaluate(position) {
+      if (!hasCoords(position) || position.historical) return [];
+      const t = Date.parse(position.timestamp) || Date.now();
+      const events = [];
+
+      for (const fence of fences.values()) {
+        if (fence.devices && !fence.devices.includes(position.deviceId)) continue;
+        const key = `${position.deviceId}\n${fence.id}`;
+        const distance = signedDistance(fence, position);
+        const s = state.get(key);
+
+        if (!s) {
+          state.set(key, { inside: distance <= 0, since: t, dwelled: false });
+          continue;
+        }
+        if (!s.inside && distance < -hysteresisMeters) {
+          Object.assign(s, { inside: true, since: t, dwelled: false });
+          events.push({ event: GEOFENCE_EVENT.ENTER, fence, distance });
+        } else if (s.inside && distance > hysteresisMeters) {
+          Object.assign(s, { inside: false, since: t, dwelled: false });
+          events.push({ event: GEOFENCE_EVENT.EXIT, fence, distance });
+        } else if (s.inside && !s.dwelled) {
+          const dwell = fence.dwellSeconds ?? dwellSeconds;
+          if (dwell > 0 && t - s.since >= dwell * 1000) {
+            s.dwelled = true;
+            events.push({ event: GEOFENCE_EVENT.DWELL, fence, distance });
+          }
+        }
+      }
+      return events;
+    },
+  };
+}
@@ -0,0 +1,78 @@
+// gps-mux.js  (ESM)
+// Protocol sniffing and per-connection framing for the shared GPS port.
+// A connection is bound to the first protocol recognised in its byte stream:
+//  - HQ/H02 : ASCII "*HQ,...#", or fixed-size binary reports starting with "$"
+//  - JT808  : 0x7E ... 0x7E (escaped)
+//  - GT06   : 0x78 0x78 <len> ... 0x0D 0x0A  (or 0x79 0x79 <len:2> ...)
+// The framers themselves live with each protocol's codec (hq.js, jt808.js, gt06.js).
+
+import { createFramer as createGT06Framer } from "./gt06.js";
+import { createFramer as createHQFramer } from "./hq.js";
+import { createFramer as createJT808Framer } from "./jt808.js";
+
+export const PROTOCOL = Object.freeze({
+  HQ: "hq",
+  JT808: "jt808",
+  GT06: "gt06",
+});
+
+const SNIFF_LIMIT = 1024; // give up if no known start marker shows up in this many bytes
+
+/**
+ * Look for the first known start marker in `buf`.
+ * Returns { protocol, offset }, { protocol: null } when more bytes are needed,
+ * or { protocol: "unknown" } once SNIFF_LIMIT bytes were seen without a match.
+ */
+export function detectProtocol(buf) {
+  for (let i = 0; i < buf.length; i++) {
+    const b = buf[i];
+    if (b === 0x2a || b === 0x24) return { protocol: PROTOCOL.HQ, offset: i }; // '*' or '$'
+    if (b === 0x7e) return { protocol: PROTOCOL.JT808, offset: i };
+    if (b === 0x78 || b === 0x79) {
+      if (i + 1 >= buf.length) return { protocol: null };
+      if (buf[i + 1] === b) return { protocol: PROTOCOL.GT06, offset: i };
+    }
+  }
+  return { protocol: buf.length >= SNIFF_LIMIT ? "unknown" : null };
+}
+
+/* ─────────── Framers (chunks in → complete frames out) ─────────── */
+
+export function createFramer(protocol) {
+  switch (protocol) {
+    case PROTOCOL.HQ: return createHQFramer();
+    case PROTOCOL.JT808: return createJT808Framer();
+    case PROTOCOL.GT06: return createGT06Framer();
+    default: throw new Error(`Unknown protocol: ${protocol}`);
+  }
+}
+
+/**
+ * Per-connection sniffer: buffers bytes until a protocol is recognised, then
+ * hands everything to that protocol's framer for the rest of the connection.
+ */
+export function createSniffer() {
+  let pending = Buffer.alloc(0);
+  let framer = null;
+  let protocol = null;
+
+  return {
+    get protocol() { return protocol; },
+    push(chunk) {
+      if (framer) return framer.push(chunk);
+
+      pending = Buffer.concat([pending, chunk]);
+      const found = detectProtocol(pending);
+      if (found.protocol === null) return [];
+      if (found.protocol === "unknown") {
+        throw new Error(`Unrecognised protocol (first bytes: ${pending.slice(0, 16).toString("hex")})`);
+      }
+
+      protocol = found.protocol;
+      framer = createFramer(protocol);
+      const rest = pending.slice(found.offset);
+      pending = null;
+      return framer.push(rest);
+    },
+  };
+}
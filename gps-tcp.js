@@ -1,75 +1,21 @@
 // server.js  (ESM)
 import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PROTOCOL } from "./gps-mux.js";
+import { buildReply, createFramer, parsePacket, REPLY_TO } from "./hq.js";
+import { fromHQ } from "./position.js";
+import { createPositionStore } from "./position-store.js";
+import { createSessionManager } from "./sessions.js";
+import { createCapture } from "./capture.js";
 
 const PORT = Number(process.env.RAILWAY_TCP_APPLICATION_PORT || process.env.PORT || 7700);
 const PRINT_MODE = (process.env.PRINT_MODE || "line").toLowerCase(); // line | json | table
+let store = null; // created on listen (POSITION_STORE_DIR)
+let sessions = null; // created on listen (SESSION_TIMEOUT_SECONDS)
+let capture = null; // created on listen (CAPTURE=true)
 
-// ---- Parsing helpers ----
-function dmToDec(dm, dir) {
-  // coord string like "3245.6789" -> 32 + 45.6789/60
-  if (!dm) return null;
-  const i = dm.indexOf(".");
-  const degLen = i - 2;
-  const deg = parseInt(dm.slice(0, degLen), 10);
-  const min = parseFloat(dm.slice(degLen));
-  if (isNaN(deg) || isNaN(min)) return null;
-  let dec = deg + min / 60;
-  if (dir === "S" || dir === "W") dec *= -1;
-  return +dec.toFixed(6);
-}
-
-function toIso(dateDDMMYY, timeHHMMSS) {
-  // DDMMYY + HHMMSS -> ISO (UTC). If missing, return null
-  if (!dateDDMMYY || !timeHHMMSS) return null;
-  const dd = dateDDMMYY.slice(0, 2);
-  const mm = dateDDMMYY.slice(2, 4);
-  const yy = dateDDMMYY.slice(4, 6);
-  const hh = timeHHMMSS.slice(0, 2);
-  const mi = timeHHMMSS.slice(2, 4);
-  const ss = timeHHMMSS.slice(4, 6);
-  // Years 00-79 => 2000-2079, 80-99 => 1980-1999 (שכיח ב־GPS מודרני - 20xx)
-  const fullYear = Number(yy) < 80 ? 2000 + Number(yy) : 1900 + Number(yy);
-  const iso = new Date(Date.UTC(fullYear, Number(mm) - 1, Number(dd), Number(hh), Number(mi), Number(ss)));
-  return iso.toISOString();
-}
-
-function parsePacket(raw) {
-  // Expected ASCII like: *HQ,IMEI,V1,HHMMSS,A,lat,NS,lon,EW,speed,course,DDMMYY,state,...#
-  const s = raw.trim().replace(/^\*/, "").replace(/#$/, "");
-  const p = s.split(",");
-
-  const obj = {
-    raw,
-    type: p[0] || null,               // HQ / others
-    imei: p[1] || null,
-    command: p[2] || null,            // V1 / LK / ...
-    time_raw: p[3] || null,
-    valid: p[4] === "A",
-    lat_dm: p[5] || null,
-    lat_dir: p[6] || null,
-    lon_dm: p[7] || null,
-    lon_dir: p[8] || null,
-    speed_knots: p[9] ? Number(p[9]) : null, // לעיתים זה בקשר (knots) ולעיתים בקמ״ש – תלוי דגם/פירמוט
-    course: p[10] || null,
-    date_raw: p[11] || null,
-    state: p[12] || null,
-  };
-
-  // המרות ידידותיות
-  obj.latitude = dmToDec(obj.lat_dm, obj.lat_dir);
-  obj.longitude = dmToDec(obj.lon_dm, obj.lon_dir);
-
-  // אם המהירות בקשר, המרה לקמ״ש (1 knot ≈ 1.852 km/h). אם כבר בקמ״ש – אפשר להתאים.
-  if (obj.speed_knots != null && !isNaN(obj.speed_knots)) {
-    obj.speed_kmh = +(obj.speed_knots * 1.852).toFixed(1);
-  }
-
-  obj.timestamp = toIso(obj.date_raw, obj.time_raw);
-
-  return obj;
-}
-
-function printPacket(pkt) {
+export function printPacket(pkt) {
   switch (PRINT_MODE) {
     case "json":
       console.log(JSON.stringify({
@@ -101,6 +47,16 @@ function printPacket(pkt) {
 
     case "line":
     default:
+      if (pkt.kind !== "position" && pkt.latitude == null) {
+        console.log(
+          `[${pkt.imei || "?"}] ${pkt.command || "?"} ` +
+          (pkt.ack_command ? `ack=${pkt.ack_command}${pkt.ack_args.length ? "," + pkt.ack_args.join(",") : ""} ` : "") +
+          (pkt.cells ? `cells=${pkt.cells.length} ` : "") +
+          (pkt.battery != null ? `battery=${pkt.battery} ` : "") +
+          (pkt.status_flags ? `status=${pkt.status_flags.raw}` : "")
+        );
+        break;
+      }
       console.log(
         `[${pkt.imei || "?"}] ${pkt.timestamp || "no-time"} ` +
         `lat=${pkt.latitude ?? "?"} lon=${pkt.longitude ?? "?"} ` +
@@ -115,37 +71,44 @@ function printPacket(pkt) {
 // ---- Server with robust framing ----
 const server = net.createServer((socket) => {
   console.log(`📡 Connected: ${socket.remoteAddress}:${socket.remotePort} | v1`);
-  let buffer = ""; // accumulate between chunks
+  const framer = createFramer(); // "*...#" sentences and fixed-size "$" reports
+  capture?.attach(socket);
 
   socket.on("data", (chunk) => {
-    buffer += chunk.toString("utf8");
-    console.log("📥 Raw:", buffer);
-
-    // messages framed by '*' ... '#'
-    while (true) {
-      const start = buffer.indexOf("*");
-      const end = buffer.indexOf("#", start + 1);
-      if (start === -1 || end === -1) break;
-
-      const rawMsg = buffer.slice(start, end + 1);
-      buffer = buffer.slice(end + 1);
+    console.log("📥 Raw:", chunk.toString("latin1"));
 
+    for (const rawMsg of framer.push(chunk)) {
       try {
         const pkt = parsePacket(rawMsg);
         printPacket(pkt);
+        if (sessions && pkt.imei) {
+          sessions.bind(socket, pkt.imei, PROTOCOL.HQ, `${socket.remoteAddress}:${socket.remotePort}`);
+          sessions.packet(socket, rawMsg.length);
+        }
+        if (pkt.imei && pkt.latitude != null && pkt.longitude != null) {
+          const position = fromHQ(pkt);
+          store?.append(position);
+          sessions?.position(position);
+        }
+        if (pkt.imei && REPLY_TO.has(pkt.command)) socket.write(buildReply(pkt.imei, pkt.command));
       } catch (e) {
-        console.error("❌ Parse error:", e.message, "Raw:", rawMsg);
+        console.error("❌ Parse error:", e.message, "Raw:", rawMsg.toString("latin1"));
       }
     }
-
-    // avoid unbounded growth if tracker sends noise without framing
-    if (buffer.length > 10_000) buffer = buffer.slice(-1_000);
   });
 
   socket.on("end", () => console.log("❌ Disconnected"));
+  socket.on("close", () => sessions?.release(socket));
   socket.on("error", (e) => console.error("⚠️ Socket error:", e.message));
 });
 
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`✅ TCP server listening on ${PORT} (PRINT_MODE=${PRINT_MODE})`);
-});
+// only listen when run directly, never when imported
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMain) {
+  store = createPositionStore();
+  sessions = createSessionManager();
+  capture = createCapture();
+  server.listen(PORT, "0.0.0.0", () => {
+    console.log(`✅ TCP server listening on ${PORT} (PRINT_MODE=${PRINT_MODE})`);
+  });
+}
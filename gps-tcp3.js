@@ -2,61 +2,120 @@
 // Env:
 //  - RAILWAY_TCP_APPLICATION_PORT or PORT (listen)
 //  - DEBUG_JT=1          -> verbose JT logs
-//  - DEBUG_BREAK=1       -> log when while-loop breaks / buffer trim
-//  - PRINT_LOC=line|json -> how to print 0x0200 locations
+//  - DEBUG_BREAK=1       -> log incomplete chunks / skipped frames
+//  - PRINT_LOC=line|json -> how to print 0x0200 / 0x0704 locations
+//  - POSITION_STORE_DIR=path -> stored positions, see position-store.js
+//  - SESSION_TIMEOUT_SECONDS=n -> close connections silent that long, see sessions.js
+//  - CAPTURE=true -> record raw traffic for replay.js, see capture.js
+//  - JT808_AUTH_FILE=path -> registrations / auth codes, see jt808-auth.js
+//  - JT808_REQUIRE_AUTH=false -> accept data from terminals that did not pass 0x0102
 
 import net from "net";
+import { activeLabels, build8001, build8003, build8100, createFramer, decode, decodeJT808Body } from "./jt808.js";
+import { PROTOCOL } from "./gps-mux.js";
+import { createReassembler } from "./jt808-subpack.js";
+import { ACK_RESULT, createAuthRegistry, PRE_AUTH_MESSAGES } from "./jt808-auth.js";
+import { fromJT808 } from "./position.js";
+import { createPositionStore } from "./position-store.js";
+import { createSessionManager } from "./sessions.js";
+import { createCapture } from "./capture.js";
 
 const PORT = Number(process.env.RAILWAY_TCP_APPLICATION_PORT || process.env.PORT || 7700);
 const DEBUG = String(process.env.DEBUG_JT || "") === "1";
 const DEBUG_BREAK = String(process.env.DEBUG_BREAK || "") === "1";
 const PRINT_LOC = (process.env.PRINT_LOC || "line").toLowerCase();
+const REQUIRE_AUTH = String(process.env.JT808_REQUIRE_AUTH ?? "true").toLowerCase() !== "false";
+const auth = createAuthRegistry(); // JT808_AUTH_FILE, JT808_ALLOWED_TERMINALS
+const store = createPositionStore(); // POSITION_STORE_DIR
+const sessions = createSessionManager(); // one per terminal, SESSION_TIMEOUT_SECONDS
+const capture = createCapture(); // CAPTURE=true
+const reassembler = createReassembler({ decode: decodeJT808Body }); // keyed per terminal, shared by all sockets
+
+// 0x0200 location or 0x0704 batch → store, session and print
+function printLocations(p) {
+  if (!p.decoded) return;
+  const items = p.msgId === 0x0200 ? [p.decoded] : p.msgId === 0x0704 ? p.decoded.items : [];
+  if (p.msgId === 0x0704 && DEBUG) console.log(`↯ batch of ${items.length} (${p.decoded.type_name})`);
+  for (const item of items) {
+    const position = p.msgId === 0x0704 ? fromJT808(p, item, { historical: true }) : fromJT808(p);
+    store.append(position);
+    sessions.position(position);
+    const { time_utc, latitude, longitude, speed_kmh, alarm_flags, status_flags } = item;
+    const alarms = activeLabels(item.alarm, "alarm");
+    const status = activeLabels(item.status, "status");
+    if (PRINT_LOC === "json") {
+      console.log(JSON.stringify({ time_utc, latitude, longitude, speed_kmh, alarm_flags, status_flags, alarms, status }));
+    } else {
+      console.log(
+        `${time_utc} lat=${latitude} lon=${longitude} speed=${speed_kmh}km/h` +
+        ` | ${status.join(", ") || "-"}` + (alarms.length ? ` | ALARM: ${alarms.join(", ")}` : "")
+      );
+    }
+  }
+}
 
 const server = net.createServer((socket) => {
   console.log(`📡 Connected: ${socket.remoteAddress}:${socket.remotePort}`);
-  let buf = Buffer.alloc(0);
+  capture.attach(socket);
+  const framer = createFramer(); // 0x7E ... 0x7E
+  let authed = null; // terminal that passed 0x0102 on this connection
 
   socket.on("data", (chunk) => {
-    buf = Buffer.concat([buf, chunk]);
-
-    while (true) {
-      const s = buf.indexOf(0x7e);
-      if (s === -1) {
-        if (DEBUG_BREAK) console.log(`↪ break: no-start-delimiter (buffer len=${buf.length})`);
-        break;
-      }
-      const e = buf.indexOf(0x7e, s + 1);
-      if (e === -1) {
-        if (DEBUG_BREAK) console.log(`↪ break: no-end-delimiter yet (buffer len=${buf.length}, startAt=${s})`);
-        break;
-      }
-
-      const frame = buf.slice(s, e + 1);
-      buf = buf.slice(e + 1);
+    const frames = framer.push(chunk);
+    if (DEBUG_BREAK && !frames.length) console.log("↪ no complete frame yet");
 
+    for (const frame of frames) {
       try {
-        const p = parseFrame(frame);
-        if (!p) {
-          if (DEBUG_BREAK) console.log("↯ skipped: parseFrame returned null (bad delimiters / too short / checksum)");
+        const p = decode(frame);
+        if (!p.ok) {
+          if (DEBUG_BREAK) console.log("↯ skipped: checksum mismatch");
           continue;
         }
+        if (REQUIRE_AUTH && !PRE_AUTH_MESSAGES.has(p.msgId) && authed !== p.terminal) {
+          if (DEBUG) console.log("→ unauthenticated terminal, send 0x8001 (failure)");
+          socket.write(build8001(p.terminal, p.seq, p.msgId, ACK_RESULT.FAIL));
+          continue;
+        }
+        // 0x0100 / 0x0102 can carry any number: only an authenticated socket takes over the session
+        const bind = () => sessions.bind(socket, p.terminal, PROTOCOL.JT808, `${socket.remoteAddress}:${socket.remotePort}`);
+        if (!REQUIRE_AUTH || authed === p.terminal) bind();
+        sessions.packet(socket, frame.length);
 
         if (DEBUG) {
           console.log("── Frame ─────────────────────────");
-          console.log("RAW HEX:", hex(frame));
-          console.log(`msgId=0x${p.msgId.toString(16).padStart(4,"0")} seq=${p.seq} term=${p.terminal} bodyLen=${p.bodyLen} cs=${p.csOk?"OK":"BAD"}`);
+          console.log("RAW HEX:", p.rawHex);
+          console.log(`msgId=0x${p.msgId.toString(16).padStart(4,"0")} seq=${p.seq} term=${p.terminal} bodyLen=${p.bodyLen} cs=OK`);
+        }
+        if (p.subpack) {
+          // every piece is acked; the message is handled once all pieces are in
+          if (DEBUG) console.log(`↯ sub-package ${p.pkg.idx}/${p.pkg.total} of 0x${p.msgId.toString(16).padStart(4,"0")} → send 0x8001`);
+          socket.write(build8001(p.terminal, p.seq, p.msgId, 0x00));
+          const whole = reassembler.push(p, (firstSeq, missing) => {
+            if (DEBUG) console.log(`→ send 0x8003 (retransmit ${missing.join(",")})`);
+            socket.write(build8003(p.terminal, firstSeq, missing));
+          });
+          if (whole) printLocations(whole);
+          continue;
         }
 
-        // === ACKs ===
+        // === ACKs (answer in the terminal's header version) ===
         switch (p.msgId) {
-          case 0x0100: // Register/Login
-            if (DEBUG) console.log("→ send 0x8100 (register response)");
-            socket.write(build8100(p.terminal, p.seq, 0x00, "OK"));
+          case 0x0100: { // Register/Login
+            const { result, authCode } = auth.register(p.terminal, p.decoded);
+            if (DEBUG) console.log(`→ send 0x8100 (register response, result ${result})`);
+            socket.write(build8100(p.terminal, p.seq, result, authCode ?? ""));
             break;
-          case 0x0102: // Authentication
-            if (DEBUG) console.log("→ send 0x8001 (auth ack)");
-            socket.write(build8001(p.terminal, p.seq, p.msgId, 0x00));
+          }
+          case 0x0102: { // Authentication
+            const result = auth.authenticate(p.terminal, p.decoded?.auth_code);
+            if (result === ACK_RESULT.OK && authed !== p.terminal) {
+              authed = p.terminal;
+              if (REQUIRE_AUTH) bind();
+            }
+            if (DEBUG) console.log(`→ send 0x8001 (auth ack, result ${result})`);
+            socket.write(build8001(p.terminal, p.seq, p.msgId, result));
             break;
+          }
           case 0x0002: // Heartbeat
             if (DEBUG) console.log("→ send 0x8001 (hb ack)");
             socket.write(build8001(p.terminal, p.seq, p.msgId, 0x00));
@@ -65,6 +124,10 @@ const server = net.createServer((socket) => {
             if (DEBUG) console.log("→ send 0x8001 (loc ack)");
             socket.write(build8001(p.terminal, p.seq, p.msgId, 0x00));
             break;
+          case 0x0704: // Batch location upload
+            if (DEBUG) console.log("→ send 0x8001 (batch ack)");
+            socket.write(build8001(p.terminal, p.seq, p.msgId, 0x00));
+            break;
           case 0x0003: // Logout
             if (DEBUG) console.log("→ logout (no ack required)");
             break;
@@ -72,181 +135,20 @@ const server = net.createServer((socket) => {
             if (DEBUG) console.log("→ unhandled msgId (no ack)");
         }
 
-        // === print location if present ===
-        if ( p.loc) {
-          //if (p.msgId === 0x0200 && p.loc) {
-          if (PRINT_LOC === "json") {
-            console.log(JSON.stringify(p.loc));
-          } else {
-            const { time_utc, latitude, longitude, speed_kmh } = p.loc;
-            console.log(`${time_utc} lat=${latitude} lon=${longitude} speed=${speed_kmh}km/h`);
-          }
-        }
+        // === print locations if present ===
+        printLocations(p);
 
       } catch (err) {
         console.error("❌ parse error:", err.message);
       }
     }
-
-    if (buf.length > 65536) {
-      if (DEBUG_BREAK) console.log(`↯ buffer trimmed (from ${buf.length} to 4096)`);
-      buf = buf.slice(-4096);
-    }
   });
 
   socket.on("end", () => console.log("❌ Disconnected"));
+  socket.on("close", () => sessions.release(socket));
   socket.on("error", (e) => console.error("⚠️", e.message));
 });
 
 server.listen(PORT, "0.0.0.0", () => {
   console.log(`✅ TCP server listening on ${PORT}`);
 });
-
-/* ───────── Minimal JT808 parsing ───────── */
-
-function parseFrame(frame) {
-  if (frame[0] !== 0x7e || frame[frame.length - 1] !== 0x7e) {
-    if (DEBUG_BREAK) console.log("↯ parseFrame: bad 0x7E delimiters");
-    return null;
-  }
-  let b = unescape(frame.slice(1, -1));
-  if (b.length < 13) {
-    if (DEBUG_BREAK) console.log(`↯ parseFrame: too short after unescape (${b.length} bytes)`);
-    return null;
-  }
-
-  const cs = b[b.length - 1];
-  const data = b.slice(0, -1);
-  let x = 0; for (const v of data) x ^= v;
-  const csOk = (x === cs);
-  if (!csOk) {
-    if (DEBUG_BREAK) console.log(`↯ parseFrame: checksum mismatch (calc=0x${x.toString(16)}, got=0x${cs.toString(16)})`);
-    return null;
-  }
-
-  const msgId = (data[0] << 8) | data[1];
-  const props = (data[2] << 8) | data[3];
-  const bodyLen = props & 0x03ff;
-  const terminal = bcdToString(data.slice(4, 10));
-  const seq = (data[10] << 8) | data[11];
-
-  let off = 12;
-  if (props & 0x2000) off = 16; // subpackaged metadata present (ignored in simple parser)
-
-  const body = data.slice(off, off + bodyLen);
-  const out = { msgId, terminal, seq, bodyLen, csOk };
-
-  // 0x0200 Location
-  if (msgId === 0x0200 && body.length >= 28) {
-    let i = 0;
-    i += 4; // alarm
-    i += 4; // status
-    const lat = body.readUInt32BE(i); i += 4;
-    const lon = body.readUInt32BE(i); i += 4;
-    i += 2; // alt
-    const spd = body.readUInt16BE(i); i += 2; // 0.1 km/h
-    i += 2; // course
-    const ts = body.slice(i, i + 6);
-
-    out.loc = {
-      time_utc: bcdTime(ts),
-      latitude: +(lat / 1e6).toFixed(6),
-      longitude: +(lon / 1e6).toFixed(6),
-      speed_kmh: +(spd / 10).toFixed(1),
-    };
-  }
-
-  return out;
-}
-
-/* ───────── ACK builders ───────── */
-
-let seqCounter = 1;
-function nextSeq() { seqCounter = (seqCounter + 1) & 0xffff; return seqCounter || 1; }
-
-function build8001(terminal, origSeq, origMsgId, result /*0=success*/) {
-  const body = Buffer.alloc(5);
-  body.writeUInt16BE(origSeq, 0);
-  body.writeUInt16BE(origMsgId, 2);
-  body.writeUInt8(result, 4);
-  return buildFrame(0x8001, terminal, nextSeq(), body);
-}
-
-function build8100(terminal, origSeq, result /*0=success*/, auth = "") {
-  const token = Buffer.from(auth, "utf8");
-  const body = Buffer.alloc(3 + token.length);
-  body.writeUInt16BE(origSeq, 0);
-  body.writeUInt8(result, 2);
-  token.copy(body, 3);
-  return buildFrame(0x8100, terminal, nextSeq(), body);
-}
-
-function buildFrame(msgId, terminalStr, seq, body) {
-  const phoneBcd = strToBcd((terminalStr || "").padStart(12, "0").slice(-12));
-  const props = body.length & 0x03ff;
-  const head = Buffer.alloc(12);
-  head.writeUInt16BE(msgId, 0);
-  head.writeUInt16BE(props, 2);
-  phoneBcd.copy(head, 4);
-  head.writeUInt16BE(seq, 10);
-  const data = Buffer.concat([head, body]);
-  let cs = 0x00; for (const b of data) cs ^= b;
-  const withCs = Buffer.concat([data, Buffer.from([cs])]);
-  const escaped = escape(withCs);
-  return Buffer.concat([Buffer.from([0x7e]), escaped, Buffer.from([0x7e])]);
-}
-
-/* ───────── Utils ───────── */
-
-function unescape(buf) {
-  const out = [];
-  for (let i = 0; i < buf.length; i++) {
-    const b = buf[i];
-    if (b === 0x7d && i + 1 < buf.length) {
-      const n = buf[i + 1];
-      if (n === 0x01) { out.push(0x7d); i++; continue; }
-      if (n === 0x02) { out.push(0x7e); i++; continue; }
-    }
-    out.push(b);
-  }
-  return Buffer.from(out);
-}
-function escape(buf) {
-  const out = [];
-  for (const b of buf) {
-    if (b === 0x7e) { out.push(0x7d, 0x02); continue; }
-    if (b === 0x7d) { out.push(0x7d, 0x01); continue; }
-    out.push(b);
-  }
-  return Buffer.from(out);
-}
-function bcdToString(buf) {
-  let s = "";
-  for (const b of buf) {
-    const hi = (b >> 4) & 0x0f, lo = b & 0x0f;
-    if (hi <= 9) s += hi;
-    if (lo <= 9) s += lo;
-  }
-  return s.replace(/^0+/, "");
-}
-function strToBcd(str) {
-  const out = Buffer.alloc(6);
-  for (let i = 0; i < 6; i++) {
-    const hi = parseInt(str[i * 2] ?? "0", 10);
-    const lo = parseInt(str[i * 2 + 1] ?? "0", 10);
-    out[i] = ((hi & 0x0f) << 4) | (lo & 0x0f);
-  }
-  return out;
-}
-function bcdTime(buf6) {
-  if (!buf6 || buf6.length < 6) return "";
-  const yy = ((buf6[0] >> 4) & 0x0f) * 10 + (buf6[0] & 0x0f);
-  const mm = ((buf6[1] >> 4) & 0x0f) * 10 + (buf6[1] & 0x0f);
-  const dd = ((buf6[2] >> 4) & 0x0f) * 10 + (buf6[2] & 0x0f);
-  const hh = ((buf6[3] >> 4) & 0x0f) * 10 + (buf6[3] & 0x0f);
-  const mi = ((buf6[4] >> 4) & 0x0f) * 10 + (buf6[4] & 0x0f);
-  const ss = ((buf6[5] >> 4) & 0x0f) * 10 + (buf6[5] & 0x0f);
-  const fullY = yy < 80 ? 2000 + yy : 1900 + yy;
-  return new Date(Date.UTC(fullY, mm - 1, dd, hh, mi, ss)).toISOString();
-}
-function hex(buf) { return [...buf].map(b => b.toString(16).padStart(2,"0")).join(" "); }
@@ -0,0 +1,468 @@
+// gt06.js  (ESM)
+// GT06 / Concox protocol (MiCODUS MV77G and compatibles).
+// Frame: 0x7878 | len(1) | protocol(1) | info | serial(2) | crc(2) | 0x0D0A
+//        0x7979 | len(2) | ...same...                      (extended length)
+// `len` counts protocol number .. CRC; the CRC-ITU covers len .. serial.
+//   decode(frame)    → message { extended, protocol, info, serial, crcOk, decoded }
+//   encode(message)  → frame; the info content comes from `decoded` when the
+//                      protocol number has an encoder, from `info` otherwise
+//   createFramer()   → { push(chunk) → complete frames }
+
+/* ─────────── CRC-ITU (CRC-16/X-25) ─────────── */
+
+export function crcItu(buf) {
+  let crc = 0xffff;
+  for (const b of buf) {
+    crc ^= b;
+    for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+  }
+  return (~crc) & 0xffff;
+}
+
+/* ─────────── Frame parsing ─────────── */
+
+export const GT06_PROTOCOL = Object.freeze({
+  LOGIN: 0x01,
+  LOCATION: 0x12,
+  STATUS: 0x13,
+  STRING_INFO: 0x15,
+  ALARM: 0x16,
+  LOCATION_2: 0x22,
+  COMMAND_REPLY_2: 0x21,
+  ALARM_2: 0x26,
+  SERVER_COMMAND: 0x80,
+  INFO_TRANSFER: 0x94,
+});
+
+export function parseGT06Frame(frame) {
+  const start = frame.readUInt16BE(0);
+  if (start !== 0x7878 && start !== 0x7979) throw new Error(`Bad start bits 0x${start.toString(16)}`);
+  const extended = start === 0x7979;
+  const lenSize = extended ? 2 : 1;
+  const length = extended ? frame.readUInt16BE(2) : frame[2];
+  const total = 2 + lenSize + length + 2;
+  if (frame.length < total) throw new Error("Truncated frame");
+  if (frame[total - 2] !== 0x0d || frame[total - 1] !== 0x0a) throw new Error("Bad stop bits");
+  if (length < 5) throw new Error("Too short");
+
+  const p = 2 + lenSize;              // protocol number
+  const protocol = frame[p];
+  const info = frame.slice(p + 1, p + length - 4);
+  const serial = frame.readUInt16BE(p + length - 4);
+  const crc = frame.readUInt16BE(p + length - 2);
+  const crcOk = crcItu(frame.slice(2, p + length - 2)) === crc;
+
+  return { extended, protocol, info, serial, crc, crcOk, decoded: decodeGT06Info(protocol, info) };
+}
+
+export function decodeGT06Info(protocol, info) {
+  switch (protocol) {
+    case GT06_PROTOCOL.LOGIN: return decodeLogin(info);
+    case GT06_PROTOCOL.LOCATION: return decodeLocation(info);
+    case GT06_PROTOCOL.LOCATION_2: return decodeLocation2(info);
+    case GT06_PROTOCOL.STATUS: return decodeStatus(info);
+    case GT06_PROTOCOL.ALARM:
+    case GT06_PROTOCOL.ALARM_2: return decodeAlarm(info);
+    case GT06_PROTOCOL.STRING_INFO: return decodeCommandReply(info);
+    case GT06_PROTOCOL.COMMAND_REPLY_2: return decodeCommandReply2(info);
+    case GT06_PROTOCOL.SERVER_COMMAND: return decodeServerCommand(info);
+    default: return null;
+  }
+}
+
+/* ─────────── Info content decoders ─────────── */
+
+function decodeLogin(info) {
+  // terminal ID: 8 bytes BCD, e.g. 0x03 0x59 ... → "0359..." (15-digit IMEI with a leading 0)
+  if (info.length < 8) return null;
+  const imei = info.slice(0, 8).toString("hex").replace(/^0/, "");
+  const out = { imei };
+  if (info.length >= 10) out.type_id = info.readUInt16BE(8);
+  if (info.length >= 12) {
+    // timezone: high 12 bits = hhmm as decimal (e.g. 800 = +8:00), bit 3 = west
+    const tz = info.readUInt16BE(10);
+    const hhmm = tz >> 4;
+    out.timezone_minutes = (Math.floor(hhmm / 100) * 60 + (hhmm % 100)) * (tz & 0x08 ? -1 : 1);
+  }
+  return out;
+}
+
+// date(6)|gps info(1)|lat(4)|lon(4)|speed(1)|course/status(2) — shared by location and alarm packets
+function decodeGps(info, o = 0) {
+  const timestamp = new Date(Date.UTC(
+    2000 + info[o], info[o + 1] - 1, info[o + 2], info[o + 3], info[o + 4], info[o + 5]
+  )).toISOString();
+  const gpsInfo = info[o + 6];
+  let latitude = info.readUInt32BE(o + 7) / 1800000;
+  let longitude = info.readUInt32BE(o + 11) / 1800000;
+  const speed = info[o + 15]; // km/h
+  const courseStatus = info.readUInt16BE(o + 16);
+
+  // bit 13: differential, bit 12: positioned, bit 11: west longitude,
+  // bit 10: north latitude, bits 0-9: course
+  if (!(courseStatus & 0x0400)) latitude = -latitude;
+  if (courseStatus & 0x0800) longitude = -longitude;
+
+  return {
+    timestamp,
+    satellites: gpsInfo & 0x0f,
+    // 7 decimals keep the 1/1800000° raw value exact (see encodeGps)
+    latitude: +latitude.toFixed(7),
+    longitude: +longitude.toFixed(7),
+    speed,
+    course: courseStatus & 0x03ff,
+    gps_valid: !!(courseStatus & 0x1000),
+    gps_differential: !!(courseStatus & 0x2000),
+  };
+}
+
+function decodeLbs(info, o) {
+  if (info.length < o + 8) return null;
+  return {
+    mcc: info.readUInt16BE(o),
+    mnc: info[o + 2],
+    lac: info.readUInt16BE(o + 3),
+    cell_id: info.readUIntBE(o + 5, 3),
+  };
+}
+
+function decodeLocation(info) {
+  if (info.length < 18) return null;
+  return { ...decodeGps(info), lbs: decodeLbs(info, 18) };
+}
+
+function decodeLocation2(info) {
+  // 0x22 adds ACC(1)|upload mode(1)|re-upload(1)|[mileage(4)] after the LBS block
+  if (info.length < 18) return null;
+  const out = decodeLocation(info);
+  if (info.length >= 29) {
+    out.acc_on = info[26] === 1;
+    out.upload_mode = info[27];
+    out.reupload = info[28] === 1; // buffered fix sent after the fact
+  }
+  if (info.length >= 33) out.mileage_m = info.readUInt32BE(29);
+  return out;
+}
+
+// terminal information byte of status / alarm packets
+function decodeTerminalInfo(b) {
+  return {
+    armed: !!(b & 0x01),
+    acc_on: !!(b & 0x02),
+    charging: !!(b & 0x04),
+    alarm_code: (b >> 3) & 0x07, // 4 SOS, 3 low battery, 2 power cut, 1 shock, 0 normal
+    gps_tracking: !!(b & 0x40),
+    fuel_cut: !!(b & 0x80),
+  };
+}
+
+function decodeStatus(info) {
+  // terminal info(1)|voltage level(1)|GSM signal(1)|alarm(1)|language(1)
+  if (info.length < 3) return null;
+  return {
+    terminal: decodeTerminalInfo(info[0]),
+    voltage_level: info[1], // 0 (no power) .. 6 (full)
+    gsm_signal: info[2],    // 0 (none) .. 4 (strong)
+    alarm: info.length >= 4 ? info[3] : 0,
+    ...(info.length >= 5 && { language: info[4] }),
+  };
+}
+
+function decodeAlarm(info) {
+  // gps(18)|LBS length(1)|LBS(8)|terminal info(1)|voltage(1)|GSM(1)|alarm(1)|language(1)
+  if (info.length < 18) return null;
+  const out = decodeGps(info);
+  const lbsLen = info[18] ?? 0;
+  out.lbs = lbsLen ? decodeLbs(info, 19) : null;
+  const o = 19 + Math.max(lbsLen - 1, 0);
+  if (info.length >= o + 4) {
+    out.terminal = decodeTerminalInfo(info[o]);
+    out.voltage_level = info[o + 1];
+    out.gsm_signal = info[o + 2];
+    out.alarm = info[o + 3];
+  }
+  if (info.length >= o + 5) out.language = info[o + 4];
+  return out;
+}
+
+function decodeCommandReply(info) {
+  // 0x15: length(1)|server flag(4)|text(length - 4)|[language(2)]
+  if (info.length < 5) return null;
+  const len = info[0];
+  return {
+    server_flag: info.readUInt32BE(1),
+    response: info.slice(5, 1 + len).toString("latin1"),
+    ...(info.length >= 3 + len && { language: info.readUInt16BE(1 + len) }),
+  };
+}
+
+function decodeCommandReply2(info) {
+  // 0x21 (0x7979 frames): server flag(4)|encoding(1: 1 ASCII, 2 UTF-16BE)|text
+  if (info.length < 5) return null;
+  const text = info.slice(5);
+  return {
+    server_flag: info.readUInt32BE(0),
+    encoding: info[4],
+    response: info[4] === 2 ? Buffer.from(text).swap16().toString("utf16le") : text.toString("latin1"),
+  };
+}
+
+function decodeServerCommand(info) {
+  // 0x80: length(1)|server flag(4)|command text(length - 4)|language(2)
+  if (info.length < 5) return null;
+  const len = info[0];
+  return {
+    server_flag: info.readUInt32BE(1),
+    command: info.slice(5, 1 + len).toString("latin1"),
+    language: info.length >= 3 + len ? info.readUInt16BE(1 + len) : null,
+  };
+}
+
+// alarm byte of 0x13 / 0x16 / 0x26 packets
+const ALARM_TYPES = {
+  0x01: "SOS Emergency",
+  0x02: "Power Cut",
+  0x03: "Vibration",
+  0x04: "Geo-fence Enter",
+  0x05: "Geo-fence Exit",
+  0x06: "Overspeed",
+  0x09: "Movement",
+  0x0a: "GPS Blind Area Enter",
+  0x0b: "GPS Blind Area Exit",
+  0x0c: "Power On",
+  0x0d: "GPS First Fix",
+  0x0e: "Low External Battery",
+  0x0f: "Low Battery Protection",
+  0x10: "SIM Changed",
+  0x11: "Power Off",
+  0x13: "Tamper",
+  0x14: "Door",
+  0x19: "Low Battery",
+  0xfe: "ACC On",
+  0xff: "ACC Off",
+};
+
+export function gt06AlarmType(code) {
+  return ALARM_TYPES[code] || `Unknown (0x${code.toString(16)})`;
+}
+
+/* ─────────── Info content encoders ─────────── */
+
+// protocol number → decoded info → content; the inverse of decodeGT06Info
+const INFO_ENCODERS = new Map([
+  [GT06_PROTOCOL.LOGIN, encodeLogin],
+  [GT06_PROTOCOL.LOCATION, encodeLocation],
+  [GT06_PROTOCOL.LOCATION_2, encodeLocation2],
+  [GT06_PROTOCOL.STATUS, encodeStatus],
+  [GT06_PROTOCOL.ALARM, encodeAlarm],
+  [GT06_PROTOCOL.ALARM_2, encodeAlarm],
+  [GT06_PROTOCOL.STRING_INFO, encodeCommandReply],
+  [GT06_PROTOCOL.COMMAND_REPLY_2, encodeCommandReply2],
+  [GT06_PROTOCOL.SERVER_COMMAND, encodeServerCommand],
+]);
+
+export function encodeGT06Info(protocol, decoded) {
+  const encodeInfo = INFO_ENCODERS.get(protocol);
+  if (!encodeInfo) throw new Error(`No encoder for GT06 protocol 0x${protocol.toString(16)}`);
+  return encodeInfo(decoded);
+}
+
+function encodeLogin({ imei, type_id, timezone_minutes }) {
+  const digits = String(imei ?? "");
+  if (!/^\d{1,16}$/.test(digits)) throw new Error(`Invalid IMEI: "${digits}"`);
+  const parts = [Buffer.from(digits.padStart(16, "0"), "hex")];
+  if (type_id != null || timezone_minutes != null) parts.push(u16(type_id ?? 0));
+  if (timezone_minutes != null) {
+    const minutes = Math.abs(timezone_minutes);
+    const hhmm = Math.floor(minutes / 60) * 100 + (minutes % 60);
+    parts.push(u16((hhmm << 4) | (timezone_minutes < 0 ? 0x08 : 0)));
+  }
+  return Buffer.concat(parts);
+}
+
+function encodeGps(d) {
+  const t = new Date(d.timestamp ?? Date.now());
+  if (Number.isNaN(t.getTime())) throw new Error("Invalid timestamp");
+  const courseStatus = ((d.course ?? 0) & 0x03ff)
+    | (d.latitude >= 0 ? 0x0400 : 0)
+    | (d.longitude < 0 ? 0x0800 : 0)
+    | (d.gps_valid === false ? 0 : 0x1000)
+    | (d.gps_differential ? 0x2000 : 0);
+  return Buffer.concat([
+    Buffer.from([
+      t.getUTCFullYear() - 2000, t.getUTCMonth() + 1, t.getUTCDate(), t.getUTCHours(), t.getUTCMinutes(), t.getUTCSeconds(),
+      0xc0 | ((d.satellites ?? 0) & 0x0f), // high nibble: length of the GPS block (12)
+    ]),
+    u32(Math.round(Math.abs(d.latitude) * 1800000)),
+    u32(Math.round(Math.abs(d.longitude) * 1800000)),
+    Buffer.from([Math.min(Math.round(d.speed ?? 0), 0xff)]),
+    u16(courseStatus),
+  ]);
+}
+
+function encodeLbs(lbs) {
+  const cell = Buffer.alloc(3);
+  cell.writeUIntBE(lbs?.cell_id ?? 0, 0, 3);
+  return Buffer.concat([u16(lbs?.mcc ?? 0), Buffer.from([lbs?.mnc ?? 0]), u16(lbs?.lac ?? 0), cell]);
+}
+
+function encodeLocation(d) {
+  return Buffer.concat([encodeGps(d), ...(d.lbs ? [encodeLbs(d.lbs)] : [])]);
+}
+
+function encodeLocation2(d) {
+  if (d.acc_on == null) return encodeLocation(d);
+  return Buffer.concat([
+    encodeGps(d),
+    encodeLbs(d.lbs),
+    Buffer.from([d.acc_on ? 1 : 0, d.upload_mode ?? 0, d.reupload ? 1 : 0]),
+    ...(d.mileage_m != null ? [u32(d.mileage_m)] : []),
+  ]);
+}
+
+function encodeTerminalInfo(t = {}) {
+  return (t.armed ? 0x01 : 0) | (t.acc_on ? 0x02 : 0) | (t.charging ? 0x04 : 0)
+    | (((t.alarm_code ?? 0) & 0x07) << 3) | (t.gps_tracking ? 0x40 : 0) | (t.fuel_cut ? 0x80 : 0);
+}
+
+// terminal info(1)|voltage(1)|GSM(1)|alarm(1)|[language(1)] — tail of status and alarm packets
+function encodeTerminalStatus(d) {
+  return Buffer.from([
+    encodeTerminalInfo(d.terminal), d.voltage_level ?? 0, d.gsm_signal ?? 0, d.alarm ?? 0,
+    ...(d.language != null ? [d.language] : []),
+  ]);
+}
+
+function encodeStatus(d) {
+  return encodeTerminalStatus(d);
+}
+
+function encodeAlarm(d) {
+  return Buffer.concat([
+    encodeGps(d),
+    d.lbs ? Buffer.concat([Buffer.from([9]), encodeLbs(d.lbs)]) : Buffer.from([0]), // LBS length counts itself
+    ...(d.terminal ? [encodeTerminalStatus(d)] : []),
+  ]);
+}
+
+// length(1)|server flag(4)|text|[language(2)] — 0x15 replies and 0x80 commands
+function flaggedText(serverFlag, text, language) {
+  const bytes = Buffer.from(text ?? "", "latin1");
+  if (bytes.length > 0xff - 4) throw new Error("Text is too long");
+  return Buffer.concat([
+    Buffer.from([4 + bytes.length]), u32(serverFlag ?? 0), bytes, ...(language != null ? [u16(language)] : []),
+  ]);
+}
+
+function encodeCommandReply(d) {
+  return flaggedText(d.server_flag, d.response, d.language);
+}
+
+function encodeCommandReply2(d) {
+  const text = d.encoding === 2 ? Buffer.from(d.response ?? "", "utf16le").swap16() : Buffer.from(d.response ?? "", "latin1");
+  return Buffer.concat([u32(d.server_flag ?? 0), Buffer.from([d.encoding ?? 1]), text]);
+}
+
+function encodeServerCommand(d) {
+  return flaggedText(d.server_flag, d.command, d.language ?? 0x0002);
+}
+
+function u16(n) { const b = Buffer.alloc(2); b.writeUInt16BE(n & 0xffff, 0); return b; }
+function u32(n) { const b = Buffer.alloc(4); b.writeUInt32BE(n >>> 0, 0); return b; }
+
+/* ─────────── Frames ─────────── */
+
+export { parseGT06Frame as decode };
+
+/**
+ * Message → frame. `serial` defaults to the next server serial; `extended`
+ * forces a 0x7979 header (chosen anyway when the content needs it).
+ */
+export function encode({ protocol, serial = nextGT06Serial(), decoded = null, info = null, extended = false }) {
+  const content = decoded != null && INFO_ENCODERS.has(protocol) ? encodeGT06Info(protocol, decoded) : info ?? Buffer.alloc(0);
+  return buildGT06Frame(protocol, serial, content, extended);
+}
+
+// Frame with a correct CRC; short frames use 0x7878, longer (or `extended`) 0x7979
+export function buildGT06Frame(protocol, serial, content = Buffer.alloc(0), extended = false) {
+  const length = 1 + content.length + 2 + 2;
+  if (length > 0xffff) throw new Error("Content too long for a GT06 frame");
+  extended ||= length > 0xff;
+  const head = extended
+    ? Buffer.from([0x79, 0x79, length >> 8, length & 0xff, protocol])
+    : Buffer.from([0x78, 0x78, length, protocol]);
+  const body = Buffer.concat([head, content, Buffer.from([serial >> 8, serial & 0xff])]);
+  const crc = crcItu(body.slice(2));
+  return Buffer.concat([body, Buffer.from([crc >> 8, crc & 0xff, 0x0d, 0x0a])]);
+}
+
+// ACK for login / status / alarm packets: same protocol number, echoed serial
+export function buildGT06Ack(protocol, serial) {
+  return buildGT06Frame(protocol, serial);
+}
+
+let serialCounter = 0;
+export function nextGT06Serial() { serialCounter = (serialCounter + 1) & 0xffff; return serialCounter || 1; }
+
+// 0x80 online command: length(1)|server flag(4)|command text|language(2, 0x0002 = English)
+// The terminal answers with 0x15 (or 0x21) carrying the same server flag.
+export function buildGT06Command(serverFlag, text, serial = nextGT06Serial()) {
+  return encode({ protocol: GT06_PROTOCOL.SERVER_COMMAND, serial, decoded: { server_flag: serverFlag, command: text } });
+}
+
+// Named commands → device text (Concox / MiCODUS syntax)
+const COMMANDS = {
+  engine_stop: () => "RELAY,1#",                  // cut fuel / power relay
+  engine_resume: () => "RELAY,0#",                // restore relay
+  reboot: () => "RESET#",
+  timer: ({ interval }) => {                       // upload interval in seconds
+    const n = Number(interval);
+    if (!Number.isInteger(n) || n < 5 || n > 18000) throw new Error("timer needs params.interval between 5 and 18000 (s)");
+    return `TIMER,${n}#`;
+  },
+  sos: ({ numbers = [] }) => {                     // up to three SOS numbers
+    if (!Array.isArray(numbers) || !numbers.length || numbers.length > 3) throw new Error("sos needs params.numbers with 1-3 phone numbers");
+    if (numbers.some((n) => !/^\+?\d{3,20}$/.test(String(n)))) throw new Error("Invalid phone number");
+    return `SOS,A,${numbers.join(",")}#`;
+  },
+  where: () => "WHERE#",
+  status: () => "STATUS#",
+  param: () => "PARAM#",
+};
+
+export const GT06_COMMANDS = Object.keys(COMMANDS);
+
+// { command: name, params } → device text; throws on unknown names / bad params
+export function gt06CommandText(command, params = {}) {
+  const build = COMMANDS[command];
+  if (!build) throw new Error(`Unknown command: ${command} (known: ${GT06_COMMANDS.join(", ")})`);
+  return build(params);
+}
+
+/* ─────────── Framing ─────────── */
+
+// chunks in → complete 0x7878 / 0x7979 frames out (sized by their length field)
+export function createFramer() {
+  let acc = Buffer.alloc(0);
+  return {
+    push(chunk) {
+      acc = Buffer.concat([acc, chunk]);
+      const frames = [];
+      while (true) {
+        const short = acc.indexOf(Buffer.from([0x78, 0x78]));
+        const long = acc.indexOf(Buffer.from([0x79, 0x79]));
+        const start = short === -1 ? long : long === -1 ? short : Math.min(short, long);
+        if (start === -1) { acc = acc.slice(-1); break; }
+        if (start > 0) acc = acc.slice(start);
+        const extended = acc[0] === 0x79;
+        if (acc.length < (extended ? 4 : 3)) break;
+        // length covers protocol number .. CRC; add start(2) + len(1 or 2) + stop(2)
+        const total = extended ? acc.readUInt16BE(2) + 6 : acc[2] + 5;
+        if (acc.length < total) break;
+        frames.push(acc.slice(0, total));
+        acc = acc.slice(total);
+      }
+      return frames;
+    },
+  };
+}
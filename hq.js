@@ -0,0 +1,403 @@
+// hq.js  (ESM)
+// HQ / H02 codec, shared by the servers and tools.
+//  - text sentences: *HQ,IMEI,<command>,<fields...>#
+//  - "$" binary position reports: fixed size, no terminator (HQ_BINARY_LENGTH)
+//   decode(frame)    → message { type, imei, command, kind, args, ... }
+//   encode(message)  → frame; text sentences are joined from `args` (the raw
+//                      fields after the command) when given, otherwise built
+//                      from the typed fields of V1/V19, V4, NBR, LINK, HTBT
+//                      and BIN messages
+//   createFramer()   → { push(chunk) → complete sentences / reports }
+// Env:
+//  - H02_BINARY_LENGTH=n (size of "$" reports, default 32)
+
+// H02 "$" reports carry no terminator; most firmware sends 32 bytes, some 45
+export const HQ_BINARY_LENGTH = Number(process.env.H02_BINARY_LENGTH || 32);
+
+/* ─────────── Decoding ─────────── */
+
+export function dmToDec(dm, dir) {
+  // coord string like "3245.6789" -> 32 + 45.6789/60
+  if (!dm) return null;
+  const i = dm.indexOf(".");
+  const degLen = i - 2;
+  const deg = parseInt(dm.slice(0, degLen), 10);
+  const min = parseFloat(dm.slice(degLen));
+  if (isNaN(deg) || isNaN(min)) return null;
+  let dec = deg + min / 60;
+  if (dir === "S" || dir === "W") dec *= -1;
+  return +dec.toFixed(6);
+}
+
+export function toIso(dateDDMMYY, timeHHMMSS) {
+  // DDMMYY + HHMMSS -> ISO (UTC). If missing, return null
+  if (!dateDDMMYY || !timeHHMMSS) return null;
+  const dd = dateDDMMYY.slice(0, 2);
+  const mm = dateDDMMYY.slice(2, 4);
+  const yy = dateDDMMYY.slice(4, 6);
+  const hh = timeHHMMSS.slice(0, 2);
+  const mi = timeHHMMSS.slice(2, 4);
+  const ss = timeHHMMSS.slice(4, 6);
+  // Years 00-79 => 2000-2079, 80-99 => 1980-1999 (שכיח ב־GPS מודרני - 20xx)
+  const fullYear = Number(yy) < 80 ? 2000 + Number(yy) : 1900 + Number(yy);
+  const iso = new Date(Date.UTC(fullYear, Number(mm) - 1, Number(dd), Number(hh), Number(mi), Number(ss)));
+  return iso.toISOString();
+}
+
+// H02 status word (8 hex digits / 4 bytes), bits are active-low: a cleared
+// bit means the condition is present. Bits not named here are still listed
+// in `active_bits`, since vendors differ on their meaning.
+const STATUS_BITS = [
+  [0, "vibration_alarm"],
+  [1, "sos_alarm"],
+  [2, "overspeed_alarm"],
+  [10, "acc_on"],
+  [18, "sos_alarm_2"],
+];
+
+export function decodeStatus(hex) {
+  if (!hex || !/^[0-9a-f]{8}$/i.test(hex)) return null;
+  const word = parseInt(hex, 16) >>> 0;
+  const flags = { raw: hex.toUpperCase() };
+  for (const [bit, name] of STATUS_BITS) flags[name] = (word & (1 << bit)) === 0;
+  flags.active_bits = [];
+  for (let bit = 0; bit < 32; bit++) if ((word & (1 << bit)) === 0) flags.active_bits.push(bit);
+  return flags;
+}
+
+// p[i..i+9] = HHMMSS,A,lat,NS,lon,EW,speed,course,DDMMYY,state
+function positionFields(p, i) {
+  const obj = {
+    time_raw: p[i] || null,
+    valid: p[i + 1] === "A",
+    lat_dm: p[i + 2] || null,
+    lat_dir: p[i + 3] || null,
+    lon_dm: p[i + 4] || null,
+    lon_dir: p[i + 5] || null,
+    speed_knots: p[i + 6] ? Number(p[i + 6]) : null, // לעיתים זה בקשר (knots) ולעיתים בקמ״ש – תלוי דגם/פירמוט
+    course: p[i + 7] || null,
+    date_raw: p[i + 8] || null,
+    state: p[i + 9] || null,
+  };
+
+  // המרות ידידותיות
+  obj.latitude = dmToDec(obj.lat_dm, obj.lat_dir);
+  obj.longitude = dmToDec(obj.lon_dm, obj.lon_dir);
+
+  // אם המהירות בקשר, המרה לקמ״ש (1 knot ≈ 1.852 km/h). אם כבר בקמ״ש – אפשר להתאים.
+  if (obj.speed_knots != null && !isNaN(obj.speed_knots)) {
+    obj.speed_kmh = +(obj.speed_knots * 1.852).toFixed(1);
+  }
+
+  obj.timestamp = toIso(obj.date_raw, obj.time_raw);
+  obj.status_flags = decodeStatus(obj.state);
+  return obj;
+}
+
+// lac,cid,rssi triplets starting at p[i]
+function cellList(p, i, count) {
+  const cells = [];
+  for (let k = 0; k < count && i + 2 < p.length; k++, i += 3) {
+    cells.push({ lac: parseInt(p[i], 10), cid: parseInt(p[i + 1], 10), rssi: parseInt(p[i + 2], 10) });
+  }
+  return cells;
+}
+
+export function parsePacket(raw) {
+  // ASCII "*HQ,IMEI,<command>,...#", or a "$" binary position report (Buffer)
+  if (Buffer.isBuffer(raw) && raw[0] === 0x24) return parseBinaryPacket(raw);
+  if (Buffer.isBuffer(raw)) raw = raw.toString("latin1");
+
+  const s = raw.trim().replace(/^\*/, "").replace(/#$/, "");
+  const p = s.split(",");
+
+  const obj = {
+    raw,
+    type: p[0] || null,               // HQ / others
+    imei: p[1] || null,
+    command: p[2] || null,            // V1 / V4 / NBR / LINK / ...
+    args: p.slice(3),                 // raw fields after the command
+    kind: "unknown",
+    latitude: null,
+    longitude: null,
+  };
+
+  switch (obj.command) {
+    case "V1":
+    case "V19":
+      // *HQ,IMEI,V1,HHMMSS,A,lat,NS,lon,EW,speed,course,DDMMYY,state,...#
+      Object.assign(obj, positionFields(p, 3), { kind: "position" });
+      break;
+
+    case "V4": {
+      // confirmation of a server command: *HQ,IMEI,V4,<cmd>,<args...>,HHMMSS,A,...#
+      // (some firmware echo no position at all)
+      obj.kind = "confirmation";
+      obj.ack_command = p[3] || null;
+      let i = 4;
+      while (i < p.length && !(/^\d{6}$/.test(p[i]) && /^[AV]$/.test(p[i + 1] || ""))) i++;
+      obj.ack_args = p.slice(4, i);
+      if (i < p.length) Object.assign(obj, positionFields(p, i));
+      break;
+    }
+
+    case "NBR": {
+      // *HQ,IMEI,NBR,HHMMSS,MCC,MNC,TA,count,{lac,cid,rssi}*count,DDMMYY,state#
+      const count = parseInt(p[7], 10) || 0;
+      obj.kind = "cells";
+      obj.time_raw = p[3] || null;
+      obj.mcc = parseInt(p[4], 10);
+      obj.mnc = parseInt(p[5], 10);
+      obj.ta = parseInt(p[6], 10);
+      obj.cells = cellList(p, 8, count);
+      obj.date_raw = p[8 + count * 3] || null;
+      obj.state = p[9 + count * 3] || null;
+      obj.timestamp = toIso(obj.date_raw, obj.time_raw);
+      obj.status_flags = decodeStatus(obj.state);
+      break;
+    }
+
+    case "LINK":
+      // *HQ,IMEI,LINK,HHMMSS,gsm,satellites,battery,steps,turnovers,DDMMYY,state#
+      obj.kind = "heartbeat";
+      obj.time_raw = p[3] || null;
+      obj.gsm = Number(p[4]);
+      obj.satellites = Number(p[5]);
+      obj.battery = Number(p[6]);
+      obj.steps = Number(p[7]);
+      obj.turnovers = Number(p[8]);
+      obj.date_raw = p[9] || null;
+      obj.state = p[10] || null;
+      obj.timestamp = toIso(obj.date_raw, obj.time_raw);
+      obj.status_flags = decodeStatus(obj.state);
+      break;
+
+    case "HTBT":
+      // *HQ,IMEI,HTBT[,battery]#
+      obj.kind = "heartbeat";
+      obj.battery = p[3] != null ? Number(p[3]) : null;
+      break;
+  }
+
+  return obj;
+}
+
+/* ─────────── "$" binary position report ─────────── */
+
+const bcd = (buf) => buf.toString("hex");
+
+// lat: 4 bytes "DDMMmmmm"; lon: 5 bytes "DDDMMmmmmF" (F = flag nibble)
+function binCoord(digits, degLen) {
+  const deg = parseInt(digits.slice(0, degLen), 10);
+  const min = parseInt(digits.slice(degLen, degLen + 6), 10) / 10000;
+  return +(deg + min / 60).toFixed(6);
+}
+
+/**
+ * $ | IMEI(5, BCD) | HHMMSS(3) | DDMMYY(3) | lat(4) | battery(1) | lon+flags(5)
+ *   | speed(knots, 3 digits)+course(3 digits) (3) | status(4) | ...
+ * Flag nibble: bit1 valid, bit2 north, bit3 east.
+ */
+export function parseBinaryPacket(buf) {
+  const digits = bcd(buf.slice(1, 29));
+  const imei = digits.slice(0, 10);
+  const time_raw = digits.slice(10, 16);
+  const date_raw = digits.slice(16, 22);
+  const latDigits = digits.slice(22, 30);
+  const battery = buf[16];
+  const lonDigits = digits.slice(32, 42);
+  const flags = parseInt(lonDigits[9], 16);
+  const speed_knots = parseInt(digits.slice(42, 45), 10);
+  const course = parseInt(digits.slice(45, 48), 10);
+  const state = digits.slice(48, 56).toUpperCase();
+
+  let latitude = binCoord(latDigits, 2);
+  let longitude = binCoord(lonDigits, 3);
+  if (!(flags & 0x04)) latitude = -latitude;
+  if (!(flags & 0x08)) longitude = -longitude;
+
+  return {
+    raw: buf.toString("hex"),
+    type: "HQ",
+    imei,
+    command: "BIN",
+    kind: "position",
+    time_raw,
+    valid: (flags & 0x02) !== 0,
+    latitude,
+    longitude,
+    speed_knots,
+    speed_kmh: +(speed_knots * 1.852).toFixed(1),
+    course: String(course),
+    date_raw,
+    state,
+    battery,
+    timestamp: toIso(date_raw, time_raw),
+    status_flags: decodeStatus(state),
+    trailer: buf.length > 29 ? buf.slice(29).toString("hex") : null,
+  };
+}
+
+/* ─────────── Encoding ─────────── */
+
+export { parsePacket as decode };
+
+// HHMMSS / DDMMYY / yyyyMMddHHmmss in UTC
+const hhmmss = (d) => d.toISOString().slice(11, 19).replace(/:/g, "");
+const ddmmyy = (d) => d.toISOString().slice(2, 10).split("-").reverse().join("");
+const fullTime = (d) => d.toISOString().slice(0, 19).replace(/[-T:]/g, "");
+
+// 32.0853 → "3205.1180" (degLen 2) / "03205.1180" (degLen 3); the inverse of dmToDec
+export function decToDm(dec, degLen) {
+  const abs = Math.abs(dec);
+  let deg = Math.floor(abs);
+  let min = ((abs - deg) * 60).toFixed(4);
+  if (min === "60.0000") { deg += 1; min = "0.0000"; }
+  return String(deg).padStart(degLen, "0") + min.padStart(7, "0");
+}
+
+const messageTime = (m) => new Date(m.timestamp ?? Date.now());
+
+// HHMMSS,A,lat,NS,lon,EW,speed,course,DDMMYY,state — raw fields win over derived ones
+function positionArgs(m) {
+  const t = messageTime(m);
+  const knots = m.speed_knots ?? (m.speed_kmh != null ? m.speed_kmh / 1.852 : 0);
+  return [
+    m.time_raw ?? hhmmss(t),
+    m.valid === false ? "V" : "A",
+    m.lat_dm ?? decToDm(m.latitude, 2),
+    m.lat_dir ?? (m.latitude < 0 ? "S" : "N"),
+    m.lon_dm ?? decToDm(m.longitude, 3),
+    m.lon_dir ?? (m.longitude < 0 ? "W" : "E"),
+    Number(knots).toFixed(2),
+    m.course ?? "0",
+    m.date_raw ?? ddmmyy(t),
+    m.state ?? "FFFFFFFF",
+  ];
+}
+
+// command → message → fields after the command; the inverse of parsePacket
+const ARG_ENCODERS = {
+  V1: positionArgs,
+  V19: positionArgs,
+  V4: (m) => [m.ack_command, ...(m.ack_args ?? []), ...(m.latitude != null ? positionArgs(m) : [])],
+  NBR: (m) => [
+    m.time_raw ?? hhmmss(messageTime(m)), m.mcc, m.mnc, m.ta ?? 0, m.cells.length,
+    ...m.cells.flatMap((c) => [c.lac, c.cid, c.rssi]),
+    m.date_raw ?? ddmmyy(messageTime(m)), m.state ?? "FFFFFFFF",
+  ],
+  LINK: (m) => [
+    m.time_raw ?? hhmmss(messageTime(m)), m.gsm ?? 0, m.satellites ?? 0, m.battery ?? 0, m.steps ?? 0, m.turnovers ?? 0,
+    m.date_raw ?? ddmmyy(messageTime(m)), m.state ?? "FFFFFFFF",
+  ],
+  HTBT: (m) => (m.battery != null ? [m.battery] : []),
+};
+
+/**
+ * Message → frame: "*HQ,IMEI,<command>,<args>#", or a "$" report for
+ * command "BIN". `args` (raw fields) wins over typed fields so decoded
+ * sentences are re-encoded byte for byte.
+ */
+export function encode(message) {
+  const { type = "HQ", imei, command } = message;
+  if (command === "BIN") return encodeBinaryPacket(message);
+  const args = message.args ?? ARG_ENCODERS[command]?.(message);
+  if (!args) throw new Error(`No encoder for HQ command ${command}, pass its fields as args`);
+  const text = [type, imei, command, ...args].join(",");
+  if (/[#*]/.test(text)) throw new Error("HQ fields cannot contain '*' or '#'");
+  return Buffer.from(`*${text}#`, "latin1");
+}
+
+// { imei, latitude, longitude, ... } → "$" report; the inverse of parseBinaryPacket
+export function encodeBinaryPacket(m) {
+  const t = messageTime(m);
+  const coord = (dec, degLen) => {
+    const abs = Math.abs(dec);
+    const deg = Math.floor(abs);
+    const min = Math.min(Math.round((abs - deg) * 60 * 10000), 599999);
+    return String(deg).padStart(degLen, "0") + String(min).padStart(6, "0");
+  };
+  const flags = (m.valid === false ? 0 : 0x02) | (m.latitude < 0 ? 0 : 0x04) | (m.longitude < 0 ? 0 : 0x08);
+  const knots = Math.round(m.speed_knots ?? (m.speed_kmh != null ? m.speed_kmh / 1.852 : 0));
+  const head = String(m.imei ?? "").padStart(10, "0") + (m.time_raw ?? hhmmss(t)) + (m.date_raw ?? ddmmyy(t)) + coord(m.latitude, 2);
+  const tail = coord(m.longitude, 3) + flags.toString(16) + String(Math.min(knots, 999)).padStart(3, "0")
+    + String(Number(m.course ?? 0)).padStart(3, "0") + (m.state ?? "FFFFFFFF");
+  for (const digits of [head, tail]) {
+    if (!/^[0-9a-f]*$/i.test(digits) || digits.length % 2) throw new Error(`Invalid binary report field in "${digits}"`);
+  }
+  if (head.length !== 30) throw new Error("Binary reports carry a 10-digit IMEI");
+  return Buffer.concat([
+    Buffer.from([0x24]),
+    Buffer.from(head, "hex"),
+    Buffer.from([m.battery ?? 0]),
+    Buffer.from(tail, "hex"),
+    Buffer.from(m.trailer ?? "", "hex"),
+  ]);
+}
+
+/* ─────────── Downlink (server → device) ─────────── */
+
+// *HQ,IMEI,<cmd>,HHMMSS[,args...]#
+export function buildCommand(imei, command, args = [], now = new Date()) {
+  return encode({ imei, command, args: [hhmmss(now), ...args] });
+}
+
+// Server confirmation of a device sentence: *HQ,IMEI,V4,<command>,yyyyMMddHHmmss#
+export function buildReply(imei, command, now = new Date()) {
+  return encode({ imei, command: "V4", args: [command, fullTime(now)] });
+}
+
+// Sentences the device expects the server to confirm
+export const REPLY_TO = new Set(["V1", "LINK", "HTBT"]);
+
+// name → H02 command + arguments; `params` comes from the API request body
+export const COMMANDS = {
+  engine_stop: () => ["S20", ["1", "1"]],                     // cut fuel / power
+  engine_resume: () => ["S20", ["1", "0"]],
+  timer: ({ interval }) => {
+    const n = Number(interval);
+    if (!Number.isInteger(n) || n < 1) throw new Error("timer requires an integer `interval` (seconds)");
+    return ["D1", [String(n), "1"]];                          // upload interval
+  },
+  reboot: () => ["R1", []],
+};
+
+// { command, params } → [h02Command, args]
+export function commandFor(command, params = {}) {
+  const build = COMMANDS[command];
+  if (!build) throw new Error(`Unknown command "${command}" (known: ${Object.keys(COMMANDS).join(", ")})`);
+  return build(params);
+}
+
+/* ─────────── Framing ─────────── */
+
+// chunks in → "*...#" sentences and fixed-size "$" reports out
+export function createFramer() {
+  let acc = Buffer.alloc(0);
+  return {
+    push(chunk) {
+      acc = Buffer.concat([acc, chunk]);
+      const frames = [];
+      while (true) {
+        const text = acc.indexOf(0x2a);   // '*'
+        const binary = acc.indexOf(0x24); // '$'
+        const start = text === -1 ? binary : binary === -1 ? text : Math.min(text, binary);
+        if (start === -1) { acc = Buffer.alloc(0); break; }
+        if (start > 0) acc = acc.slice(start);
+        if (acc[0] === 0x24) {
+          if (acc.length < HQ_BINARY_LENGTH) break;
+          frames.push(acc.slice(0, HQ_BINARY_LENGTH));
+          acc = acc.slice(HQ_BINARY_LENGTH);
+          continue;
+        }
+        const end = acc.indexOf(0x23, 1); // '#'
+        if (end === -1) break;
+        frames.push(acc.slice(0, end + 1));
+        acc = acc.slice(end + 1);
+      }
+      // avoid unbounded growth if the device sends noise without framing
+      if (acc.length > 10_000) acc = acc.slice(-1_000);
+      return frames;
+    },
+  };
+}
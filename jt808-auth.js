@@ -0,0 +1,171 @@
+// jt808-auth.js  (ESM)
+// JT808 terminal registration (0x0100) / authentication (0x0102) state.
+// A successful registration issues a random auth code; 0x0102 must present
+// the code last issued to that terminal. A terminal holding a code cannot
+// register again (TERMINAL_REGISTERED) until an operator resets it, so nobody
+// can take over a terminal's code by registering with its phone number.
+// Revoked terminals, and terminals missing from the allow-list, cannot register.
+// Without JT808_ALLOWED_TERMINALS registration is OPEN: any terminal not yet
+// known may register (c_gps.js can still refuse unknown IDs earlier with
+// DEVICE_REGISTRY_STRICT=true).
+// State is kept in a small JSON file so codes survive restarts.
+// sendAckIfNeeded() answers terminal messages, shared by c_gps.js and gps-tcp2.js.
+// Env:
+//  - JT808_AUTH_FILE=path         (default: data/jt808-auth.json)
+//  - JT808_ALLOWED_TERMINALS=a,b  (optional allow-list of terminal phone numbers)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { build8001, build8100 } from "./jt808.js";
+
+// 0x8100 registration result codes
+export const REGISTER_RESULT = Object.freeze({
+  OK: 0,
+  VEHICLE_REGISTERED: 1,
+  NO_VEHICLE: 2,
+  TERMINAL_REGISTERED: 3,
+  NO_TERMINAL: 4,
+});
+
+// 0x8001 general response result codes
+export const ACK_RESULT = Object.freeze({ OK: 0, FAIL: 1, BAD_MESSAGE: 2, UNSUPPORTED: 3 });
+
+// Messages accepted on a connection before its terminal passed 0x0102:
+// terminal general response, logout, registration, authentication
+export const PRE_AUTH_MESSAGES = new Set([0x0001, 0x0003, 0x0100, 0x0102]);
+
+export function createAuthRegistry({
+  file = process.env.JT808_AUTH_FILE || "data/jt808-auth.json",
+  allowed = (process.env.JT808_ALLOWED_TERMINALS || "").split(",").map((s) => s.trim()).filter(Boolean),
+} = {}) {
+  const terminals = new Map(); // terminal → { authCode, registration, registeredAt, revoked, lastAuthAt }
+
+  if (file && fs.existsSync(file)) {
+    try {
+      for (const [terminal, entry] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) {
+        terminals.set(terminal, entry);
+      }
+    } catch (e) {
+      console.error(`⚠️ Could not read ${file}:`, e.message);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(Object.fromEntries(terminals), null, 2));
+  }
+
+  const allowList = allowed.length ? new Set(allowed) : null;
+  if (!allowList) console.log("⚠️ JT808 registration is open to any new terminal (set JT808_ALLOWED_TERMINALS to restrict it)");
+
+  return {
+    /**
+     * Handle a decoded 0x0100 body → { result, authCode }.
+     * `authCode` is only set when result is REGISTER_RESULT.OK.
+     */
+    register(terminal, registration) {
+      const known = terminals.get(terminal);
+      if (known?.revoked) return { result: REGISTER_RESULT.NO_TERMINAL };
+      if (allowList && !allowList.has(terminal)) return { result: REGISTER_RESULT.NO_TERMINAL };
+      // already holds a code: the device should authenticate with it instead
+      if (known?.authCode) return { result: REGISTER_RESULT.TERMINAL_REGISTERED };
+
+      // plate numbers are unique across terminals
+      const plate = registration?.plate_number;
+      if (plate) {
+        for (const [other, entry] of terminals) {
+          if (other !== terminal && !entry.revoked && entry.registration?.plate_number === plate) {
+            return { result: REGISTER_RESULT.VEHICLE_REGISTERED };
+          }
+        }
+      }
+
+      const authCode = crypto.randomBytes(8).toString("hex");
+      terminals.set(terminal, {
+        authCode,
+        registration: registration ?? null,
+        registeredAt: new Date().toISOString(),
+        revoked: false,
+        lastAuthAt: known?.lastAuthAt ?? null,
+      });
+      save();
+      return { result: REGISTER_RESULT.OK, authCode };
+    },
+
+    // Check a 0x0102 auth code → ACK_RESULT.OK | ACK_RESULT.FAIL
+    authenticate(terminal, authCode) {
+      const entry = terminals.get(terminal);
+      if (!entry || entry.revoked || !authCode || entry.authCode !== authCode) return ACK_RESULT.FAIL;
+      entry.lastAuthAt = new Date().toISOString();
+      save();
+      return ACK_RESULT.OK;
+    },
+
+    // Revoked terminals keep their entry so they stay rejected until reinstated
+    revoke(terminal) {
+      const entry = terminals.get(terminal) ?? { authCode: null, registration: null, registeredAt: null };
+      terminals.set(terminal, { ...entry, authCode: null, revoked: true });
+      save();
+    },
+
+    // Drop a terminal's auth code so it can register again (e.g. a device that lost its code)
+    reset(terminal) {
+      const entry = terminals.get(terminal);
+      if (!entry || entry.revoked) return false;
+      entry.authCode = null;
+      save();
+      return true;
+    },
+
+    reinstate(terminal) {
+      const entry = terminals.get(terminal);
+      if (!entry) return false;
+      entry.revoked = false;
+      save();
+      return true;
+    },
+
+    get(terminal) {
+      return terminals.get(terminal) ?? null;
+    },
+
+    list() {
+      return [...terminals].map(([terminal, entry]) => ({ terminal, ...entry }));
+    },
+  };
+}
+
+/* ─────────── ACKs ─────────── */
+
+/**
+ * Answer a terminal message. Registration/authentication are checked against
+ * `auth` (createAuthRegistry). Returns the result code sent for 0x0100/0x0102.
+ */
+export function sendAckIfNeeded(socket, p, auth) {
+  if (!p) return;
+  // every sub-package is acknowledged on its own; the reassembled message is not
+  if (p.reassembled) return;
+  if (p.subpack) {
+    socket.write(build8001(p.terminal, p.seq, p.msgId, 0x00));
+    return;
+  }
+  // Heartbeat (0x0002), Location (0x0200) or batch (0x0704) → 0x8001 (platform general response)
+  if (p.msgId === 0x0002 || p.msgId === 0x0200 || p.msgId === 0x0704) {
+    const ack = build8001(p.terminal, p.seq, p.msgId, 0x00);
+    socket.write(ack);
+  }
+  // Register (0x0100) → 0x8100 (terminal register response) with a new auth code
+  else if (p.msgId === 0x0100) {
+    const { result, authCode } = auth.register(p.terminal, p.decoded);
+    socket.write(build8100(p.terminal, p.seq, result, authCode ?? ""));
+    return result;
+  }
+  // Auth (0x0102) → 0x8001 (platform general response)
+  else if (p.msgId === 0x0102) {
+    const result = auth.authenticate(p.terminal, p.decoded?.auth_code);
+    socket.write(build8001(p.terminal, p.seq, p.msgId, result));
+    return result;
+  }
+}
@@ -0,0 +1,185 @@
+// jt808-params.js  (ESM)
+// Typed JT808 terminal parameters (JT/T 808-2013 table 12) for
+// 0x8103 set / 0x8104, 0x8106 query / 0x0104 query response.
+// Parameters are addressed by name (e.g. "heartbeat_interval") or by ID
+// ("0x0001"); IDs missing from the table are passed through as hex strings.
+
+// id → [name, type]; DWORD/WORD/BYTE values are numbers, STRING values text
+const PARAMS = [
+  [0x0001, "heartbeat_interval", "DWORD"],      // s
+  [0x0002, "tcp_ack_timeout", "DWORD"],         // s
+  [0x0003, "tcp_retransmits", "DWORD"],
+  [0x0004, "udp_ack_timeout", "DWORD"],         // s
+  [0x0005, "udp_retransmits", "DWORD"],
+  [0x0006, "sms_ack_timeout", "DWORD"],         // s
+  [0x0007, "sms_retransmits", "DWORD"],
+  [0x0010, "apn", "STRING"],
+  [0x0011, "apn_user", "STRING"],
+  [0x0012, "apn_password", "STRING"],
+  [0x0013, "server_address", "STRING"],         // IP or domain
+  [0x0014, "backup_apn", "STRING"],
+  [0x0015, "backup_apn_user", "STRING"],
+  [0x0016, "backup_apn_password", "STRING"],
+  [0x0017, "backup_server_address", "STRING"],
+  [0x0018, "tcp_port", "DWORD"],
+  [0x0019, "udp_port", "DWORD"],
+  [0x0020, "report_strategy", "DWORD"],         // 0 timed, 1 distance, 2 both
+  [0x0021, "report_scheme", "DWORD"],           // 0 by ACC, 1 by login + ACC
+  [0x0022, "driver_absent_interval", "DWORD"],  // s
+  [0x0027, "sleep_interval", "DWORD"],          // s
+  [0x0028, "emergency_interval", "DWORD"],      // s
+  [0x0029, "report_interval", "DWORD"],         // s, default timed reporting
+  [0x002c, "report_distance", "DWORD"],         // m
+  [0x002d, "driver_absent_distance", "DWORD"],  // m
+  [0x002e, "sleep_distance", "DWORD"],          // m
+  [0x002f, "emergency_distance", "DWORD"],      // m
+  [0x0030, "corner_angle", "DWORD"],            // deg
+  [0x0031, "fence_radius", "WORD"],             // m
+  [0x0040, "monitor_phone", "STRING"],
+  [0x0041, "reset_phone", "STRING"],
+  [0x0042, "factory_reset_phone", "STRING"],
+  [0x0043, "sms_phone", "STRING"],
+  [0x0044, "sms_alarm_phone", "STRING"],
+  [0x0045, "answer_strategy", "DWORD"],
+  [0x0046, "max_call_time", "DWORD"],           // s
+  [0x0047, "max_call_time_month", "DWORD"],     // s
+  [0x0048, "listen_phone", "STRING"],
+  [0x0049, "privileged_sms_phone", "STRING"],
+  [0x0050, "alarm_mask", "DWORD"],
+  [0x0051, "alarm_sms_switch", "DWORD"],
+  [0x0052, "alarm_photo_switch", "DWORD"],
+  [0x0053, "alarm_photo_store", "DWORD"],
+  [0x0054, "key_alarm_flags", "DWORD"],
+  [0x0055, "max_speed_kmh", "DWORD"],
+  [0x0056, "overspeed_duration", "DWORD"],      // s
+  [0x0057, "continuous_driving_limit", "DWORD"],// s
+  [0x0058, "daily_driving_limit", "DWORD"],     // s
+  [0x0059, "min_rest_time", "DWORD"],           // s
+  [0x005a, "max_parking_time", "DWORD"],        // s
+  [0x0070, "image_quality", "DWORD"],
+  [0x0080, "odometer", "DWORD"],                // 1/10 km
+  [0x0081, "province_id", "WORD"],
+  [0x0082, "city_id", "WORD"],
+  [0x0083, "plate_number", "STRING"],
+  [0x0084, "plate_color", "BYTE"],
+];
+
+const BY_ID = new Map(PARAMS.map(([id, name, type]) => [id, { id, name, type }]));
+const BY_NAME = new Map(PARAMS.map(([id, name, type]) => [name, { id, name, type }]));
+
+const hexId = (id) => `0x${id.toString(16).padStart(4, "0")}`;
+
+// "apn" | "0x0010" | 16 → { id, name, type } (type null for unknown IDs)
+export function resolveParam(key) {
+  if (typeof key === "number") return BY_ID.get(key) ?? { id: key, name: hexId(key), type: null };
+  if (BY_NAME.has(key)) return BY_NAME.get(key);
+  if (/^0x[0-9a-f]{1,8}$/i.test(key)) {
+    const id = parseInt(key, 16);
+    return BY_ID.get(id) ?? { id, name: hexId(id), type: null };
+  }
+  throw new Error(`Unknown parameter: ${key}`);
+}
+
+export function listParams() {
+  return PARAMS.map(([id, name, type]) => ({ id: hexId(id), name, type }));
+}
+
+function encodeValue({ name, type }, value) {
+  switch (type) {
+    case "DWORD": case "WORD": case "BYTE": {
+      const n = Number(value);
+      const max = type === "DWORD" ? 0xffffffff : type === "WORD" ? 0xffff : 0xff;
+      if (!Number.isInteger(n) || n < 0 || n > max) throw new Error(`${name} must be an integer 0..${max}`);
+      const size = type === "DWORD" ? 4 : type === "WORD" ? 2 : 1;
+      const buf = Buffer.alloc(size);
+      buf.writeUIntBE(n, 0, size);
+      return buf;
+    }
+    case "STRING":
+      return Buffer.from(String(value), "utf8");
+    default:
+      // unknown ID: raw hex value
+      if (typeof value !== "string" || !/^([0-9a-f]{2})*$/i.test(value)) {
+        throw new Error(`${name} is not a known parameter; give its value as a hex string`);
+      }
+      return Buffer.from(value, "hex");
+  }
+}
+
+function decodeValue({ type }, buf) {
+  switch (type) {
+    case "DWORD": case "WORD": case "BYTE":
+      return buf.length ? buf.readUIntBE(0, Math.min(buf.length, 6)) : null;
+    case "STRING":
+      return buf.toString("utf8").replace(/\0+$/, "");
+    default:
+      return buf.toString("hex");
+  }
+}
+
+// value bytes of parameter `id` → number / text (hex string for unknown IDs)
+export function decodeParam(id, buf) {
+  return decodeValue(resolveParam(id), buf);
+}
+
+// { name|id: value } → 0x8103 body: count(1)|{ id(4)|len(1)|value }
+export function encodeParamList(params) {
+  const items = Object.entries(params).map(([key, value]) => {
+    const def = resolveParam(key);
+    const val = encodeValue(def, value);
+    if (val.length > 255) throw new Error(`${def.name} is too long`);
+    const head = Buffer.alloc(5);
+    head.writeUInt32BE(def.id, 0);
+    head.writeUInt8(val.length, 4);
+    return Buffer.concat([head, val]);
+  });
+  if (!items.length) throw new Error("No parameters given");
+  if (items.length > 255) throw new Error("Too many parameters");
+  return Buffer.concat([Buffer.from([items.length]), ...items]);
+}
+
+// [name|id] → 0x8106 body: count(1)|id(4)…
+export function encodeParamIds(keys) {
+  const ids = keys.map((k) => resolveParam(k).id);
+  const body = Buffer.alloc(1 + ids.length * 4);
+  body.writeUInt8(ids.length, 0);
+  ids.forEach((id, i) => body.writeUInt32BE(id, 1 + i * 4));
+  return body;
+}
+
+// 0x8103 body: count(1)|{ id(4)|len(1)|value } → { count, params }
+export function decodeParamList(buf) {
+  if (buf.length < 1) return null;
+  const count = buf[0];
+  const params = {};
+  let o = 1;
+  for (let i = 0; i < count && o + 5 <= buf.length; i++) {
+    const id = buf.readUInt32BE(o);
+    const len = buf[o + 4];
+    const def = resolveParam(id);
+    params[def.name] = decodeValue(def, buf.slice(o + 5, o + 5 + len));
+    o += 5 + len;
+  }
+  return { count, params };
+}
+
+// 0x8106 body: count(1)|id(4)… → { count, params: [name] }
+export function decodeParamIds(buf) {
+  if (buf.length < 1) return null;
+  const params = [];
+  for (let o = 1; params.length < buf[0] && o + 4 <= buf.length; o += 4) params.push(resolveParam(buf.readUInt32BE(o)).name);
+  return { count: buf[0], params };
+}
+
+// 0x0104 body: reply seq(2)|count(1)|{ id(4)|len(1)|value } → { reply_seq, count, params }
+export function decodeParamResponse(buf) {
+  if (buf.length < 3) return null;
+  return { reply_seq: buf.readUInt16BE(0), ...decodeParamList(buf.slice(2)) };
+}
+
+// { reply_seq, params } → 0x0104 body
+export function encodeParamResponse({ reply_seq, params }) {
+  const seq = Buffer.alloc(2);
+  seq.writeUInt16BE(reply_seq, 0);
+  return Buffer.concat([seq, encodeParamList(params)]);
+}
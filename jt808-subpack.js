@@ -0,0 +1,107 @@
+// jt808-subpack.js  (ESM)
+// Reassembly of JT808 sub-packaged messages (header props bit 13).
+// Fragments are buffered per terminal, keyed on message ID and the serial of
+// the first package (seq - idx + 1). Missing pieces are requested once the
+// message has been incomplete for `retransmitAfterMs`; anything still
+// incomplete after `timeoutMs` is dropped. Pieces of a message that was
+// already reassembled (a retransmission that crossed the request) are
+// ignored for `timeoutMs`, so they do not start a new, never-ending message.
+
+const DEFAULTS = {
+  retransmitAfterMs: 10_000,
+  timeoutMs: 60_000,
+  maxRetransmits: 2,
+};
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.retransmitAfterMs]
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.maxRetransmits]
+ * @param {(msgId: number, body: Buffer, version: number) => any} [opts.decode]  body decoder for the whole message
+ * @param {(entry: object) => void} [opts.onExpire]  called for dropped messages
+ */
+export function createReassembler(opts = {}) {
+  const { retransmitAfterMs, timeoutMs, maxRetransmits, decode, onExpire } = { ...DEFAULTS, ...opts };
+  const pending = new Map(); // key → entry
+  const completed = new Map(); // key → time until which late pieces are ignored
+
+  function missingOf(entry) {
+    const missing = [];
+    for (let i = 1; i <= entry.total; i++) if (!entry.parts.has(i)) missing.push(i);
+    return missing;
+  }
+
+  function drop(key) {
+    const entry = pending.get(key);
+    if (!entry) return;
+    clearTimeout(entry.retransmitTimer);
+    clearTimeout(entry.expireTimer);
+    pending.delete(key);
+  }
+
+  function scheduleRetransmit(entry) {
+    entry.retransmitTimer = setTimeout(() => {
+      if (!pending.has(entry.key) || entry.retransmits >= maxRetransmits) return;
+      entry.retransmits++;
+      entry.requestRetransmit?.(entry.firstSeq, missingOf(entry));
+      scheduleRetransmit(entry);
+    }, retransmitAfterMs);
+    entry.retransmitTimer.unref?.();
+  }
+
+  return {
+    get size() { return pending.size; },
+
+    /**
+     * Add a parsed sub-package (parseJT808Frame result with `pkg`).
+     * `requestRetransmit(firstSeq, missingIds)` is kept per message and used
+     * for 0x8003 requests (typically writes to the terminal's latest socket).
+     * Returns the reassembled message once every piece is in, else null.
+     */
+    push(p, requestRetransmit) {
+      const { total, idx } = p.pkg;
+      if (!total || idx < 1 || idx > total) return null;
+
+      const firstSeq = (p.seq - idx + 1) & 0xffff;
+      const key = `${p.terminal}:${p.msgId}:${firstSeq}`;
+      const now = Date.now();
+      for (const [k, until] of completed) if (until <= now) completed.delete(k);
+      if (completed.has(key)) return null;
+
+      let entry = pending.get(key);
+      if (!entry) {
+        entry = { key, terminal: p.terminal, msgId: p.msgId, firstSeq, total, parts: new Map(), retransmits: 0 };
+        pending.set(key, entry);
+        scheduleRetransmit(entry);
+        entry.expireTimer = setTimeout(() => {
+          if (!pending.has(key)) return;
+          drop(key);
+          onExpire?.({ ...entry, missing: missingOf(entry) });
+        }, timeoutMs);
+        entry.expireTimer.unref?.();
+      }
+      if (requestRetransmit) entry.requestRetransmit = requestRetransmit;
+      if (idx === 1) entry.first = p;
+      entry.parts.set(idx, p.bodyBytes);
+
+      if (entry.parts.size < entry.total) return null;
+
+      drop(key);
+      completed.set(key, now + timeoutMs);
+      const bodyBytes = Buffer.concat(
+        Array.from({ length: entry.total }, (_, i) => entry.parts.get(i + 1))
+      );
+      return {
+        ...entry.first,
+        seq: firstSeq,
+        subpack: false,
+        reassembled: true,
+        pkg: { total: entry.total },
+        bodyLen: bodyBytes.length,
+        bodyBytes,
+        decoded: decode ? decode(entry.msgId, bodyBytes, entry.first.version) : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,647 @@
+// jt808.js  (ESM)
+// JT/T 808 codec (2013 and 2019 headers), shared by the servers and tools.
+// Frame: 0x7E | msgId(2) | props(2) | [version(1)] | phone(BCD, 6 or 10) | seq(2)
+//        | [total(2) | index(2)] | body | checksum(1) | 0x7E
+// 0x7E / 0x7D inside a frame are escaped as 7D 02 / 7D 01; the checksum is the
+// XOR of the unescaped header and body.
+//   decode(frame)    → message { ok, msgId, terminal, seq, version, pkg, bodyBytes, decoded, ... }
+//   encode(message)  → frame; the body comes from `decoded` when the message
+//                      type has an encoder, from `bodyBytes` otherwise
+//   createFramer()   → { push(chunk) → complete 0x7E ... 0x7E frames }
+
+import {
+  decodeParamIds, decodeParamList, decodeParamResponse, encodeParamIds, encodeParamList, encodeParamResponse
+} from "./jt808-params.js";
+
+/* ─────────── Decoding ─────────── */
+
+// terminal → { version: 2013 | 2019, protocolVersion } of its last valid frame;
+// buildFrame answers each terminal in the header layout it uses
+export const terminalVersions = new Map();
+
+export function parseJT808Frame(frame) {
+  if (frame[0] !== 0x7e || frame[frame.length - 1] !== 0x7e) {
+    throw new Error("Bad delimiters");
+  }
+  let body = frame.slice(1, frame.length - 1);
+  body = unescapeJT808(body);
+
+  if (body.length < 13) throw new Error("Too short");
+
+  // checksum
+  const checksum = body[body.length - 1];
+  const data = body.slice(0, body.length - 1);
+  let calc = 0x00;
+  for (const b of data) calc ^= b;
+  const ok = (calc === checksum);
+
+  // header
+  const msgId = (data[0] << 8) | data[1];
+  const props = (data[2] << 8) | data[3];
+  const bodyLen = props & 0x03ff;
+  const subpack = !!(props & 0x2000);
+
+  // 2019 header (props bit 14): version(1) + 10-byte BCD phone; 2013: 6-byte BCD phone
+  const version = props & 0x4000 ? 2019 : 2013;
+  let offset = 4;
+  let protocolVersion = null;
+  if (version === 2019) {
+    if (data.length < 17) throw new Error("Too short for 2019 header");
+    protocolVersion = data[offset]; offset += 1;
+  }
+  const phoneLen = version === 2019 ? 10 : 6;
+  const terminalBcd = data.slice(offset, offset + phoneLen);
+  const terminal = bcdToString(terminalBcd);
+  offset += phoneLen;
+
+  const seq = (data[offset] << 8) | data[offset + 1];
+  offset += 2;
+
+  let pkg = null;
+  if (subpack) {
+    const total = (data[offset] << 8) | data[offset + 1];
+    const idx = (data[offset + 2] << 8) | data[offset + 3];
+    pkg = { total, idx };
+    offset += 4;
+  }
+
+  if (ok) terminalVersions.set(terminal, { version, protocolVersion });
+
+  const bodyBytes = data.slice(offset, offset + bodyLen);
+
+  // a sub-package body is only a fragment; decode once reassembled
+  const decoded = subpack ? null : decodeJT808Body(msgId, bodyBytes, version);
+
+  const asciiHint = extractAscii(bodyBytes);
+
+  return {
+    ok, msgId, props, bodyLen, subpack,
+    version, protocolVersion,
+    terminal, seq, pkg,
+    bodyBytes, decoded,
+    asciiHint,
+    rawHex: hex(frame)
+  };
+}
+
+export function decodeJT808Body(msgId, body, version = 2013) {
+  if (msgId === 0x0200) return decode0200(body);
+  if (msgId === 0x0704) return decode0704(body);
+  if (msgId === 0x0001) return decode0001(body);
+  if (msgId === 0x0104) return decodeParamResponse(body);
+  if (msgId === 0x0100) return decode0100(body, version);
+  if (msgId === 0x0102) return decode0102(body, version);
+  // platform → terminal
+  if (msgId === 0x8001) return decode0001(body);
+  if (msgId === 0x8100) return decode8100(body);
+  if (msgId === 0x8003) return decode8003(body, version);
+  if (msgId === 0x8103) return decodeParamList(body);
+  if (msgId === 0x8106) return decodeParamIds(body);
+  return null;
+}
+
+export function decode0001(buf) {
+  // terminal (0x0001) / platform (0x8001) general response: reply seq(2)|reply msgId(2)|result(1)
+  // result: 0 success, 1 failure, 2 bad message, 3 unsupported
+  if (buf.length < 5) return null;
+  return { reply_seq: buf.readUInt16BE(0), reply_msg_id: buf.readUInt16BE(2), result: buf[4] };
+}
+
+export function decode8100(buf) {
+  // registration response: reply seq(2)|result(1)|auth code (on success)
+  if (buf.length < 3) return null;
+  return { reply_seq: buf.readUInt16BE(0), result: buf[2], auth_code: fixedString(buf.slice(3)) };
+}
+
+export function decode8003(buf, version = 2013) {
+  // sub-package retransmission request: first seq(2)|count (BYTE 2013, WORD 2019)|ids(2 each)
+  const wide = version === 2019;
+  if (buf.length < (wide ? 4 : 3)) return null;
+  const count = wide ? buf.readUInt16BE(2) : buf[2];
+  const ids = [];
+  for (let o = wide ? 4 : 3; ids.length < count && o + 2 <= buf.length; o += 2) ids.push(buf.readUInt16BE(o));
+  return { first_seq: buf.readUInt16BE(0), ids };
+}
+
+export function decode0704(buf) {
+  // count(2)|type(1)|{ len(2)|0x0200 body(len) } × count
+  // type 0 = normal batch, 1 = blind-area supplementary (buffered while offline)
+  if (buf.length < 3) return null;
+  const count = buf.readUInt16BE(0);
+  const type = buf[2];
+  const items = [];
+  let o = 3;
+  for (let i = 0; i < count && o + 2 <= buf.length; i++) {
+    const len = buf.readUInt16BE(o); o += 2;
+    const item = decode0200(buf.slice(o, o + len));
+    o += len;
+    if (item) items.push(item);
+  }
+  return { count, type, type_name: type === 1 ? "supplementary" : "normal", items };
+}
+
+export function decode0100(buf, version = 2013) {
+  // province(2)|city(2)|manufacturer|model|terminal id|plate color(1)|plate(rest)
+  // field widths: 2013 = 5/20/7, 2019 = 11/30/30
+  const [mLen, tLen, idLen] = version === 2019 ? [11, 30, 30] : [5, 20, 7];
+  if (buf.length < 4 + mLen + tLen + idLen + 1) return null;
+  let o = 0;
+  const province_id = buf.readUInt16BE(o); o += 2;
+  const city_id = buf.readUInt16BE(o); o += 2;
+  const manufacturer_id = fixedString(buf.slice(o, o + mLen)); o += mLen;
+  const terminal_model = fixedString(buf.slice(o, o + tLen)); o += tLen;
+  const terminal_id = fixedString(buf.slice(o, o + idLen)); o += idLen;
+  const plate_color = buf[o]; o += 1;
+  const plate_number = gbkString(buf.slice(o));
+  return { province_id, city_id, manufacturer_id, terminal_model, terminal_id, plate_color, plate_number };
+}
+
+export function decode0102(buf, version = 2013) {
+  // 2013: auth code is the whole body; 2019: len(1)|code|IMEI(15)|software version(20)
+  if (version !== 2019) return { auth_code: fixedString(buf) };
+  const len = buf[0] ?? 0;
+  const auth_code = fixedString(buf.slice(1, 1 + len));
+  const imei = fixedString(buf.slice(1 + len, 16 + len));
+  const software_version = fixedString(buf.slice(16 + len, 36 + len));
+  return { auth_code, imei, software_version };
+}
+
+export function decode0200(buf) {
+  // 0x0200 mandatory fields: alarm(4)|status(4)|lat(4)|lon(4)|alt(2)|speed(2)|course(2)|time(6)
+  if (buf.length < 28) return null;
+  let o = 0;
+  const alarm = buf.readUInt32BE(o); o += 4;
+  const status = buf.readUInt32BE(o); o += 4;
+
+  const latRaw = buf.readUInt32BE(o); o += 4;   // in 1e-6 deg
+  const lonRaw = buf.readUInt32BE(o); o += 4;
+  // hemisphere comes from status bits 2 (south) / 3 (west), not the sign
+  const latitude = +((status & 0x04 ? -latRaw : latRaw) / 1e6).toFixed(6);
+  const longitude = +((status & 0x08 ? -lonRaw : lonRaw) / 1e6).toFixed(6);
+
+  const altitude_m = buf.readUInt16BE(o); o += 2; // meters
+  const speed_tenth = buf.readUInt16BE(o); o += 2; // 0.1 km/h
+  const speed_kmh = +(speed_tenth / 10).toFixed(1);
+  const course_deg = buf.readUInt16BE(o); o += 2;
+
+  const time_utc = bcdDateTime(buf.slice(o, o + 6)); // YYMMDDhhmmss
+  o += 6;
+
+  // Optional additional-information TLVs: id(1)|len(1)|value(len)
+  const extra = decodeExtraInfo(buf.slice(o));
+
+  const alarm_flags = decodeAlarmFlags(alarm);
+  const status_flags = decodeStatusFlags(status);
+
+  return {
+    alarm, status, alarm_flags, status_flags,
+    latitude, longitude, altitude_m, speed_kmh, course_deg, time_utc, extra
+  };
+}
+
+/* ─────────── 0x0200 alarm / status bits ─────────── */
+
+// [bit, key, label] per JT/T 808-2013 tables 24 and 25
+const ALARM_BITS = [
+  [0, "emergency", "Emergency alarm"],
+  [1, "overspeed", "Overspeed"],
+  [2, "fatigue", "Fatigue driving"],
+  [3, "danger_warning", "Danger warning"],
+  [4, "gnss_fault", "GNSS module fault"],
+  [5, "gnss_antenna_cut", "GNSS antenna cut"],
+  [6, "gnss_antenna_short", "GNSS antenna short circuit"],
+  [7, "power_low", "Main power undervoltage"],
+  [8, "power_off", "Main power cut"],
+  [9, "lcd_fault", "LCD fault"],
+  [10, "tts_fault", "TTS module fault"],
+  [11, "camera_fault", "Camera fault"],
+  [12, "ic_card_fault", "IC card module fault"],
+  [13, "overspeed_warning", "Overspeed warning"],
+  [14, "fatigue_warning", "Fatigue driving warning"],
+  [18, "driving_overtime", "Accumulated driving overtime today"],
+  [19, "parking_overtime", "Parking overtime"],
+  [20, "area_in_out", "Entering/leaving area"],
+  [21, "route_in_out", "Entering/leaving route"],
+  [22, "route_time", "Route driving time too short/long"],
+  [23, "route_deviation", "Route deviation"],
+  [24, "vss_fault", "Vehicle VSS fault"],
+  [25, "fuel_abnormal", "Abnormal fuel level"],
+  [26, "stolen", "Vehicle stolen"],
+  [27, "illegal_ignition", "Illegal ignition"],
+  [28, "illegal_displacement", "Illegal displacement"],
+  [29, "collision", "Collision warning"],
+  [30, "rollover", "Rollover warning"],
+  [31, "illegal_door_open", "Illegal door opening"],
+];
+
+const STATUS_BITS = [
+  [0, "acc_on", "ACC on"],
+  [1, "gps_fixed", "GPS fixed"],
+  [2, "south_latitude", "South latitude"],
+  [3, "west_longitude", "West longitude"],
+  [4, "out_of_service", "Out of service"],
+  [5, "coords_encrypted", "Coordinates encrypted"],
+  [10, "fuel_cut", "Fuel circuit cut"],
+  [11, "power_cut", "Electric circuit cut"],
+  [12, "door_locked", "Doors locked"],
+  [13, "door1_open", "Door 1 open"],
+  [14, "door2_open", "Door 2 open"],
+  [15, "door3_open", "Door 3 open"],
+  [16, "door4_open", "Door 4 open"],
+  [17, "door5_open", "Door 5 open"],
+  [18, "gps_used", "GPS used"],
+  [19, "beidou_used", "BeiDou used"],
+  [20, "glonass_used", "GLONASS used"],
+  [21, "galileo_used", "Galileo used"],
+];
+
+const LOAD_STATES = ["empty", "half", "reserved", "full"]; // status bits 8-9
+
+function bitsToFlags(word, table) {
+  const flags = {};
+  for (const [bit, key] of table) flags[key] = ((word >>> bit) & 1) === 1;
+  return flags;
+}
+
+export function decodeAlarmFlags(alarm) {
+  return bitsToFlags(alarm, ALARM_BITS);
+}
+
+export function decodeStatusFlags(status) {
+  return { ...bitsToFlags(status, STATUS_BITS), load: LOAD_STATES[(status >>> 8) & 0x03] };
+}
+
+// Human-readable labels of the bits set in `word` (for logs / printing)
+export function activeLabels(word, kind /* "alarm" | "status" */) {
+  const table = kind === "alarm" ? ALARM_BITS : STATUS_BITS;
+  return table.filter(([bit]) => (word >>> bit) & 1).map(([, , label]) => label);
+}
+
+/**
+ * Alarm bits that changed between two consecutive 0x0200 reports of a
+ * terminal → [{ key, label, state: "raised" | "cleared" }]
+ */
+export function alarmTransitions(prevAlarm, alarm) {
+  const changed = (prevAlarm ^ alarm) >>> 0;
+  return ALARM_BITS
+    .filter(([bit]) => (changed >>> bit) & 1)
+    .map(([bit, key, label]) => ({ key, label, state: (alarm >>> bit) & 1 ? "raised" : "cleared" }));
+}
+
+/* ─────────── 0x0200 additional information ─────────── */
+
+// id → { name, decode(value), encode(value) }. Values per JT/T 808-2013 table 27.
+const EXTRA_INFO = new Map([
+  [0x01, { name: "mileage_km", decode: (v) => v.readUInt32BE(0) / 10, encode: (x) => u32(Math.round(x * 10)) }],          // 1/10 km
+  [0x02, { name: "fuel_l", decode: (v) => v.readUInt16BE(0) / 10, encode: (x) => u16(Math.round(x * 10)) }],              // 1/10 L
+  [0x03, { name: "recorder_speed_kmh", decode: (v) => v.readUInt16BE(0) / 10, encode: (x) => u16(Math.round(x * 10)) }],  // 1/10 km/h
+  [0x04, { name: "alarm_event_id", decode: (v) => v.readUInt16BE(0), encode: u16 }],
+  [0x11, { name: "overspeed", decode: (v) => ({
+    area_type: v[0],
+    area_id: v[0] ? v.readUInt32BE(1) : null,
+  }), encode: (x) => (x.area_type ? Buffer.concat([u8(x.area_type), u32(x.area_id)]) : u8(0)) }],
+  [0x12, { name: "area_alarm", decode: (v) => ({
+    area_type: v[0],
+    area_id: v.readUInt32BE(1),
+    direction: v[5] ? "out" : "in",
+  }), encode: (x) => Buffer.concat([u8(x.area_type), u32(x.area_id), u8(x.direction === "out" ? 1 : 0)]) }],
+  [0x13, { name: "route_time_alarm", decode: (v) => ({
+    route_id: v.readUInt32BE(0),
+    drive_time_s: v.readUInt16BE(4),
+    result: v[6] ? "too_long" : "too_short",
+  }), encode: (x) => Buffer.concat([u32(x.route_id), u16(x.drive_time_s), u8(x.result === "too_long" ? 1 : 0)]) }],
+  [0x25, { name: "ext_signal_status", decode: (v) => v.readUInt32BE(0), encode: u32 }],
+  [0x2a, { name: "io_status", decode: (v) => v.readUInt16BE(0), encode: u16 }],
+  [0x2b, { name: "analog", decode: (v) => ({ ad0: v.readUInt16BE(2), ad1: v.readUInt16BE(0) }),
+    encode: (x) => Buffer.concat([u16(x.ad1), u16(x.ad0)]) }],
+  [0x30, { name: "signal_strength", decode: (v) => v[0], encode: u8 }],
+  [0x31, { name: "satellites", decode: (v) => v[0], encode: u8 }],
+]);
+
+/**
+ * Register a decoder (and optionally an encoder) for a vendor-specific
+ * additional-information ID (typically 0xE1–0xFF). Later registrations
+ * override earlier ones. Without `encode` the value can only be sent raw,
+ * via `extra.unknown`.
+ */
+export function registerExtraInfo(id, name, decode, encode = null) {
+  EXTRA_INFO.set(id, { name, decode, encode });
+}
+
+export function decodeExtraInfo(buf) {
+  const extra = {};
+  let o = 0;
+  while (o + 2 <= buf.length) {
+    const id = buf[o];
+    const len = buf[o + 1];
+    if (o + 2 + len > buf.length) break; // truncated item
+    const value = buf.slice(o + 2, o + 2 + len);
+    o += 2 + len;
+
+    const def = EXTRA_INFO.get(id);
+    try {
+      if (def) { extra[def.name] = def.decode(value); continue; }
+    } catch {
+      // value shorter than the spec says; fall through and keep it raw
+    }
+    (extra.unknown ??= {})[`0x${id.toString(16).padStart(2, "0")}`] = value.toString("hex");
+  }
+  return extra;
+}
+
+// extra info object (as decoded) → TLVs, in key order; `unknown` values are sent raw
+export function encodeExtraInfo(extra = {}) {
+  const byName = new Map([...EXTRA_INFO].map(([id, def]) => [def.name, { id, ...def }]));
+  const items = [];
+  for (const [key, value] of Object.entries(extra)) {
+    if (key === "unknown") {
+      for (const [id, raw] of Object.entries(value)) items.push(tlv(parseInt(id, 16), Buffer.from(raw, "hex")));
+      continue;
+    }
+    const def = byName.get(key);
+    if (!def?.encode) throw new Error(`No encoder for additional information "${key}"`);
+    items.push(tlv(def.id, def.encode(value)));
+  }
+  return Buffer.concat(items);
+}
+
+function tlv(id, value) {
+  if (value.length > 255) throw new Error(`Additional information 0x${id.toString(16)} is too long`);
+  return Buffer.concat([u8(id), u8(value.length), value]);
+}
+
+/* ─────────── Encoding ─────────── */
+
+// msgId → (decoded, version) → body; the inverse of decodeJT808Body
+const BODY_ENCODERS = new Map([
+  [0x0001, encode0001],
+  [0x0100, encode0100],
+  [0x0102, encode0102],
+  [0x0104, (d) => encodeParamResponse(d)],
+  [0x0200, encode0200],
+  [0x0704, encode0704],
+  [0x8001, encode0001],
+  [0x8003, encode8003],
+  [0x8100, encode8100],
+  [0x8103, (d) => encodeParamList(d.params)],
+  [0x8106, (d) => encodeParamIds(d.params)],
+]);
+
+export function encodeJT808Body(msgId, decoded, version = 2013) {
+  const encodeBody = BODY_ENCODERS.get(msgId);
+  if (!encodeBody) throw new Error(`No encoder for msgId 0x${msgId.toString(16).padStart(4, "0")}`);
+  return encodeBody(decoded, version);
+}
+
+export function encode0001({ reply_seq, reply_msg_id, result = 0 }) {
+  return Buffer.concat([u16(reply_seq), u16(reply_msg_id), u8(result)]);
+}
+
+export function encode0100(d, version = 2013) {
+  const [mLen, tLen, idLen] = version === 2019 ? [11, 30, 30] : [5, 20, 7];
+  return Buffer.concat([
+    u16(d.province_id ?? 0),
+    u16(d.city_id ?? 0),
+    asciiField(d.manufacturer_id, mLen, "manufacturer_id"),
+    asciiField(d.terminal_model, tLen, "terminal_model"),
+    asciiField(d.terminal_id, idLen, "terminal_id"),
+    u8(d.plate_color ?? 0),
+    // no GBK encoder in Node, so only ASCII plates (e.g. VINs with plate_color 0) can be sent
+    asciiField(d.plate_number, null, "plate_number"),
+  ]);
+}
+
+export function encode0102({ auth_code = "", imei = "", software_version = "" }, version = 2013) {
+  const code = asciiField(auth_code, null, "auth_code");
+  if (version !== 2019) return code;
+  if (code.length > 255) throw new Error("auth_code is too long");
+  return Buffer.concat([u8(code.length), code, asciiField(imei, 15, "imei"), asciiField(software_version, 20, "software_version")]);
+}
+
+export function encode0200(d) {
+  // hemisphere bits follow the sign of the coordinates (kept as given for 0)
+  let status = d.status ?? 0;
+  status = d.latitude < 0 ? status | 0x04 : d.latitude > 0 ? status & ~0x04 : status;
+  status = d.longitude < 0 ? status | 0x08 : d.longitude > 0 ? status & ~0x08 : status;
+  return Buffer.concat([
+    u32(d.alarm ?? 0),
+    u32(status >>> 0),
+    u32(Math.round(Math.abs(d.latitude) * 1e6)),
+    u32(Math.round(Math.abs(d.longitude) * 1e6)),
+    u16(d.altitude_m ?? 0),
+    u16(Math.round((d.speed_kmh ?? 0) * 10)),
+    u16(d.course_deg ?? 0),
+    bcdFromDate(d.time_utc ? new Date(d.time_utc) : new Date()),
+    encodeExtraInfo(d.extra),
+  ]);
+}
+
+export function encode0704({ type = 0, items }) {
+  const bodies = items.map((item) => {
+    const body = encode0200(item);
+    return Buffer.concat([u16(body.length), body]);
+  });
+  return Buffer.concat([u16(items.length), u8(type), ...bodies]);
+}
+
+export function encode8003({ first_seq, ids }, version = 2013) {
+  const count = version === 2019 ? u16(ids.length) : u8(ids.length);
+  return Buffer.concat([u16(first_seq), count, ...ids.map(u16)]);
+}
+
+export function encode8100({ reply_seq, result = 0, auth_code = "" }) {
+  return Buffer.concat([u16(reply_seq), u8(result), Buffer.from(auth_code ?? "", "utf8")]);
+}
+
+let seqCounter = 1;
+export function nextSeq() { seqCounter = (seqCounter + 1) & 0xffff; return seqCounter || 1; }
+
+/**
+ * Message → frame. The header layout defaults to the version last seen from
+ * this terminal (2013 if unknown); `pkg: { total, idx }` sets the sub-package
+ * bit. The body is encoded from `decoded` when there is an encoder for the
+ * message type, otherwise `bodyBytes` is sent as is.
+ */
+export function encode({
+  msgId, terminal = "", seq = nextSeq(), version, protocolVersion, pkg = null, decoded = null, bodyBytes = null,
+}) {
+  const known = terminalVersions.get(terminal);
+  const v2019 = (version ?? known?.version) === 2019;
+  const body = decoded != null && BODY_ENCODERS.has(msgId)
+    ? encodeJT808Body(msgId, decoded, v2019 ? 2019 : 2013)
+    : bodyBytes ?? Buffer.alloc(0);
+  if (body.length > 0x03ff) throw new Error(`Body of ${body.length} bytes does not fit one frame, send it in sub-packages`);
+
+  let props = body.length; // no encryption
+  if (pkg) props |= 0x2000;
+  if (v2019) props |= 0x4000;
+
+  const head = [u16(msgId), u16(props)];
+  if (v2019) head.push(u8(protocolVersion ?? known?.protocolVersion ?? 1));
+  head.push(strToBcd(terminal, v2019 ? 10 : 6), u16(seq));
+  if (pkg) head.push(u16(pkg.total), u16(pkg.idx));
+  const data = Buffer.concat([...head, body]);
+
+  // checksum
+  let cs = 0x00; for (const b of data) cs ^= b;
+  const withCs = Buffer.concat([data, Buffer.from([cs])]);
+
+  // escape & wrap
+  const escaped = escapeJT808(withCs);
+  return Buffer.concat([Buffer.from([0x7e]), escaped, Buffer.from([0x7e])]);
+}
+
+export { parseJT808Frame as decode };
+
+export function build8001(terminal, origSeq, origMsgId, result /*0=success*/) {
+  return encode({ msgId: 0x8001, terminal, decoded: { reply_seq: origSeq, reply_msg_id: origMsgId, result } });
+}
+
+export function build8100(terminal, origSeq, result /*0=success*/, auth = "") {
+  return encode({ msgId: 0x8100, terminal, decoded: { reply_seq: origSeq, result, auth_code: auth } });
+}
+
+export function build8003(terminal, firstSeq, missingIds) {
+  // 0x8003 request sub-package retransmission (count width follows the terminal's version)
+  return encode({ msgId: 0x8003, terminal, decoded: { first_seq: firstSeq, ids: missingIds } });
+}
+
+/* ─────────── Platform → terminal requests ─────────── */
+// `seq` is taken by the caller so the terminal's reply (0x0001 / 0x0104,
+// which echo it) can be matched to the request.
+
+// 0x8103 set terminal parameters ({ name|id: value }, see jt808-params.js)
+export function build8103(terminal, params, seq = nextSeq()) {
+  return encode({ msgId: 0x8103, terminal, seq, decoded: { params } });
+}
+
+// 0x8104 query all terminal parameters
+export function build8104(terminal, seq = nextSeq()) {
+  return encode({ msgId: 0x8104, terminal, seq });
+}
+
+// 0x8106 query specific terminal parameters ([name|id])
+export function build8106(terminal, keys, seq = nextSeq()) {
+  return encode({ msgId: 0x8106, terminal, seq, decoded: { params: keys } });
+}
+
+// `header` defaults to the version last seen from this terminal (2013 if unknown)
+export function buildFrame(msgId, terminal, seq, body, header = terminalVersions.get(terminal)) {
+  return encode({ msgId, terminal, seq, bodyBytes: body, version: header?.version, protocolVersion: header?.protocolVersion });
+}
+
+/* ─────────── Framing ─────────── */
+
+// chunks in → complete 0x7E ... 0x7E frames out (bytes before a start flag are dropped)
+export function createFramer() {
+  let acc = Buffer.alloc(0);
+  return {
+    push(chunk) {
+      acc = Buffer.concat([acc, chunk]);
+      const frames = [];
+      while (true) {
+        const start = acc.indexOf(0x7e);
+        if (start === -1) break;
+        const end = acc.indexOf(0x7e, start + 1);
+        if (end === -1) break;
+        frames.push(acc.slice(start, end + 1));
+        acc = acc.slice(end + 1);
+      }
+      // avoid unbounded growth if the device sends noise without framing
+      if (acc.length > 65536) acc = acc.slice(-4096);
+      return frames;
+    },
+  };
+}
+
+/* ─────────── Utils ─────────── */
+
+export function unescapeJT808(buf) {
+  const out = [];
+  for (let i = 0; i < buf.length; i++) {
+    const b = buf[i];
+    if (b === 0x7d && i + 1 < buf.length) {
+      const n = buf[i + 1];
+      if (n === 0x01) { out.push(0x7d); i++; continue; }
+      if (n === 0x02) { out.push(0x7e); i++; continue; }
+    }
+    out.push(b);
+  }
+  return Buffer.from(out);
+}
+export function escapeJT808(buf) {
+  const out = [];
+  for (const b of buf) {
+    if (b === 0x7e) { out.push(0x7d, 0x02); continue; }
+    if (b === 0x7d) { out.push(0x7d, 0x01); continue; }
+    out.push(b);
+  }
+  return Buffer.from(out);
+}
+export function bcdToString(buf) {
+  let s = "";
+  for (const b of buf) {
+    const hi = (b >> 4) & 0x0f, lo = b & 0x0f;
+    s += (hi <= 9 ? hi : "");
+    s += (lo <= 9 ? lo : "");
+  }
+  return s.replace(/^0+/, "");
+}
+// digits → BCD, left-padded with zeros ("" → all zeros)
+export function strToBcd(str, len = 6) {
+  const digits = String(str ?? "");
+  if (!/^\d*$/.test(digits)) throw new Error(`Not a BCD number: "${digits}"`);
+  if (digits.length > len * 2) throw new Error(`"${digits}" does not fit in ${len} BCD bytes`);
+  return Buffer.from(digits.padStart(len * 2, "0"), "hex");
+}
+export function bcdDateTime(buf6) {
+  // YY MM DD hh mm ss (BCD)
+  if (!buf6 || buf6.length < 6) return null;
+  const yy = ((buf6[0] >> 4) & 0x0f) * 10 + (buf6[0] & 0x0f);
+  const mm = ((buf6[1] >> 4) & 0x0f) * 10 + (buf6[1] & 0x0f);
+  const dd = ((buf6[2] >> 4) & 0x0f) * 10 + (buf6[2] & 0x0f);
+  const hh = ((buf6[3] >> 4) & 0x0f) * 10 + (buf6[3] & 0x0f);
+  const mi = ((buf6[4] >> 4) & 0x0f) * 10 + (buf6[4] & 0x0f);
+  const ss = ((buf6[5] >> 4) & 0x0f) * 10 + (buf6[5] & 0x0f);
+  const fullY = yy < 80 ? 2000 + yy : 1900 + yy;
+  return new Date(Date.UTC(fullY, mm - 1, dd, hh, mi, ss)).toISOString();
+}
+// Date → YY MM DD hh mm ss (BCD, UTC)
+function bcdFromDate(date) {
+  if (Number.isNaN(date.getTime())) throw new Error("Invalid time_utc");
+  return Buffer.from(date.toISOString().replace(/\D/g, "").slice(2, 14), "hex");
+}
+// fixed-width ASCII field, padded with 0x00 (or spaces by some vendors)
+function fixedString(buf) {
+  return buf.toString("latin1").replace(/[\0 ]+$/, "").replace(/^\0+/, "");
+}
+// plate numbers are GBK (e.g. "粤B12345")
+function gbkString(buf) {
+  const trimmed = buf.slice(0, buf.indexOf(0) === -1 ? buf.length : buf.indexOf(0));
+  try { return new TextDecoder("gbk").decode(trimmed); } catch { return trimmed.toString("latin1"); }
+}
+// ASCII text → bytes; null-padded to `len` when given
+function asciiField(text = "", len = null, name = "field") {
+  if (/[^\x00-\x7f]/.test(text)) throw new Error(`${name} must be ASCII`);
+  const bytes = Buffer.from(text, "latin1");
+  if (len == null) return bytes;
+  if (bytes.length > len) throw new Error(`${name} is longer than ${len} bytes`);
+  return Buffer.concat([bytes, Buffer.alloc(len - bytes.length)]);
+}
+function u8(n) { return Buffer.from([n & 0xff]); }
+function u16(n) { const b = Buffer.alloc(2); b.writeUInt16BE(n & 0xffff, 0); return b; }
+function u32(n) { const b = Buffer.alloc(4); b.writeUInt32BE(n >>> 0, 0); return b; }
+function extractAscii(buf) {
+  const txt = buf.toString("latin1");
+  const spans = [];
+  let cur = "";
+  for (let i = 0; i < txt.length; i++) {
+    const ch = txt.charCodeAt(i);
+    if (ch >= 32 && ch <= 126) cur += txt[i];
+    else { if (cur.length >= 5) spans.push(cur); cur = ""; }
+  }
+  if (cur.length >= 5) spans.push(cur);
+  return spans;
+}
+export function hex(buf) { return [...buf].map(b => b.toString(16).padStart(2, "0")).join(" "); }
+
@@ -0,0 +1,338 @@
+// position-store.js  (ESM)
+// Embedded, file-backed history of normalized positions (position.js) and of
+// alarm records, which are positions with alarm fields added.
+// Records are appended as JSON lines to segment files in `dir`; once a
+// segment reaches `segmentBytes` a new one is started. Retention drops whole
+// segments, oldest first, once they were last written more than `maxAgeDays`
+// ago or while the store is larger than `maxBytes`.
+// The index lives in memory and is rebuilt from the segments on start:
+// { t, seg, off, len, lat, lon } entries ordered by timestamp, per device, for
+// all devices and per 1°×1° grid cell, so queries binary-search a time range
+// and filter on coordinates without reading any line they do not return.
+// Env:
+//  - POSITION_STORE_DIR=path       (default: data/positions)
+//  - POSITION_RETENTION_DAYS=n     (default: 30; 0 keeps everything)
+//  - POSITION_RETENTION_MB=n       (default: 512; 0 means no size limit)
+//  - POSITION_SEGMENT_MB=n         (default: 16)
+
+import fs from "fs";
+import path from "path";
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+const SEGMENT_RE = /^\d{13}-\d+-\d+\.jsonl$/;
+const MAX_GRID_CELLS = 64; // larger boxes are answered from the time index
+
+// Index order: timestamp, then storage position (stable across restarts)
+function compare(a, b) {
+  return a.t - b.t || (a.seg.name < b.seg.name ? -1 : a.seg.name > b.seg.name ? 1 : a.off - b.off);
+}
+
+// first index whose entry is after `probe` in index order
+function upperBound(list, probe) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compare(list[mid], probe) <= 0) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// first index whose entry is not before `probe` in index order
+function lowerBound(list, probe) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compare(list[mid], probe) < 0) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+function insertSorted(list, entry) {
+  list.splice(upperBound(list, entry), 0, entry);
+}
+
+const cellKey = (lat, lon) => `${Math.floor(lat)}:${Math.floor(lon)}`;
+const hasCoords = (e) => Number.isFinite(e.lat) && Number.isFinite(e.lon);
+
+// Cursors are opaque to clients: the index key of the last item returned
+function encodeCursor(e) {
+  return Buffer.from(JSON.stringify([e.t, e.seg.name, e.off])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [t, name, off] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isFinite(t) && typeof name === "string" && Number.isInteger(off)) return { t, seg: { name }, off };
+  } catch {
+    // fall through
+  }
+  throw new Error("Invalid cursor");
+}
+
+function pick(record, fields) {
+  if (!fields) return record;
+  const out = {};
+  for (const f of fields) if (f in record) out[f] = record[f];
+  return out;
+}
+
+export function createPositionStore({
+  dir = process.env.POSITION_STORE_DIR || "data/positions",
+  maxAgeDays = Number(process.env.POSITION_RETENTION_DAYS ?? 30),
+  maxBytes = Number(process.env.POSITION_RETENTION_MB ?? 512) * MB,
+  segmentBytes = Number(process.env.POSITION_SEGMENT_MB || 16) * MB,
+  pruneEveryMs = 60 * 60 * 1000,
+} = {}) {
+  const segments = [];        // { file, name, fd, size, lastWriteAt, deleted }, oldest first
+  const all = [];             // every entry in append order
+  let byTime = [];            // every entry in index order
+  const byDevice = new Map(); // deviceId → entries in index order
+  const grid = new Map();     // "lat:lon" cell → entries in index order
+  const latestByDevice = new Map(); // deviceId → newest live (non-historical) record
+  let latest = null;          // last live record appended
+  let active = null;          // segment being written by this process
+  let totalBytes = 0;
+  let segmentCounter = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const name of fs.readdirSync(dir).filter((n) => SEGMENT_RE.test(n)).sort()) {
+    load(path.join(dir, name));
+  }
+
+  const pruneTimer = setInterval(() => prune(), pruneEveryMs);
+  pruneTimer.unref?.();
+  prune();
+
+  function timeOf(record) {
+    return Date.parse(record.timestamp) || Date.parse(record.receivedAt) || Date.now();
+  }
+
+  function load(file) {
+    const data = fs.readFileSync(file);
+    const seg = {
+      file,
+      name: path.basename(file),
+      fd: fs.openSync(file, "r"),
+      size: data.length,
+      lastWriteAt: fs.statSync(file).mtimeMs,
+      deleted: false,
+    };
+    segments.push(seg);
+    totalBytes += seg.size;
+
+    let off = 0;
+    while (off < data.length) {
+      let end = data.indexOf(0x0a, off);
+      if (end === -1) end = data.length; // torn last line after a crash
+      try {
+        const record = JSON.parse(data.toString("utf8", off, end));
+        index({ t: timeOf(record), seg, off, len: end - off }, record);
+      } catch {
+        // skip lines that do not parse
+      }
+      off = end + 1;
+    }
+  }
+
+  function index(entry, record) {
+    entry.deviceId = record.deviceId ?? null;
+    entry.lat = record.latitude ?? null;
+    entry.lon = record.longitude ?? null;
+    all.push(entry);
+
+    // late uploads arrive out of order; every index stays sorted by time
+    insertSorted(byTime, entry);
+    let list = byDevice.get(entry.deviceId);
+    if (!list) byDevice.set(entry.deviceId, (list = []));
+    insertSorted(list, entry);
+    if (hasCoords(entry)) {
+      const key = cellKey(entry.lat, entry.lon);
+      if (!grid.has(key)) grid.set(key, []);
+      insertSorted(grid.get(key), entry);
+    }
+
+    if (!record.historical) {
+      latest = record;
+      const prev = latestByDevice.get(entry.deviceId);
+      if (!prev || timeOf(prev) <= entry.t) latestByDevice.set(entry.deviceId, record);
+    }
+  }
+
+  function read(entry) {
+    const buf = Buffer.alloc(entry.len);
+    fs.readSync(entry.seg.fd, buf, 0, entry.len, entry.off);
+    return JSON.parse(buf.toString("utf8"));
+  }
+
+  function roll() {
+    const name = `${String(Date.now()).padStart(13, "0")}-${process.pid}-${segmentCounter++}.jsonl`;
+    const file = path.join(dir, name);
+    active = { file, name, fd: fs.openSync(file, "a+"), size: 0, lastWriteAt: Date.now(), deleted: false };
+    segments.push(active);
+    prune();
+  }
+
+  function remove(seg) {
+    seg.deleted = true;
+    fs.closeSync(seg.fd);
+    fs.rmSync(seg.file, { force: true });
+    totalBytes -= seg.size;
+    segments.splice(segments.indexOf(seg), 1);
+  }
+
+  function dropDeletedEntries() {
+    let n = 0;
+    while (n < all.length && all[n].seg.deleted) n++;
+    all.splice(0, n);
+    byTime = byTime.filter((e) => !e.seg.deleted);
+    for (const map of [byDevice, grid]) {
+      for (const [key, list] of map) {
+        const kept = list.filter((e) => !e.seg.deleted);
+        if (kept.length) map.set(key, kept); else map.delete(key);
+      }
+    }
+  }
+
+  // Index lists that can hold every match of a query
+  function sourcesFor(deviceId, bbox) {
+    if (deviceId !== undefined) return [byDevice.get(deviceId) || []];
+    if (bbox) {
+      const [minLon, minLat, maxLon, maxLat] = bbox;
+      const rows = Math.floor(maxLat) - Math.floor(minLat) + 1;
+      const cols = Math.floor(maxLon) - Math.floor(minLon) + 1;
+      if (rows * cols <= MAX_GRID_CELLS) {
+        const lists = [];
+        for (let lat = Math.floor(minLat); lat <= Math.floor(maxLat); lat++) {
+          for (let lon = Math.floor(minLon); lon <= Math.floor(maxLon); lon++) {
+            const list = grid.get(`${lat}:${lon}`);
+            if (list) lists.push(list);
+          }
+        }
+        return lists;
+      }
+    }
+    return [byTime];
+  }
+
+  // Drop expired / excess segments; the one being written is always kept
+  function prune(now = Date.now()) {
+    const cutoff = maxAgeDays > 0 ? now - maxAgeDays * DAY : -Infinity;
+    let dropped = 0;
+    while (segments.length && segments[0] !== active) {
+      const seg = segments[0];
+      const tooOld = seg.lastWriteAt < cutoff;
+      const tooBig = maxBytes > 0 && totalBytes > maxBytes;
+      if (!tooOld && !tooBig) break;
+      remove(seg);
+      dropped++;
+    }
+    if (dropped) dropDeletedEntries();
+    return dropped;
+  }
+
+  return {
+    get size() { return all.length; },
+    get bytes() { return totalBytes; },
+
+    append(record) {
+      const line = Buffer.from(JSON.stringify(record) + "\n", "utf8");
+      if (!active || (active.size > 0 && active.size + line.length > segmentBytes)) roll();
+      fs.writeSync(active.fd, line);
+      const entry = { t: timeOf(record), seg: active, off: active.size, len: line.length - 1 };
+      active.size += line.length;
+      active.lastWriteAt = Date.now();
+      totalBytes += line.length;
+      index(entry, record);
+    },
+
+    // Last `limit` records in the order they were stored
+    recent(limit = 100) {
+      return all.slice(-limit).map(read);
+    },
+
+    // Last `limit` records of one device, ordered by timestamp
+    forDevice(deviceId, limit = 100) {
+      return (byDevice.get(deviceId) || []).slice(-limit).map(read);
+    },
+
+    // Newest live record of `deviceId`, or the last live record stored
+    latest(deviceId) {
+      return deviceId === undefined ? latest : latestByDevice.get(deviceId) ?? null;
+    },
+
+    /**
+     * Time-ordered history with filters and cursor paging.
+     * @param {object} [q]
+     * @param {string} [q.deviceId]
+     * @param {number} [q.from]   epoch ms, inclusive
+     * @param {number} [q.to]     epoch ms, inclusive
+     * @param {number[]} [q.bbox] [minLon, minLat, maxLon, maxLat]
+     * @param {"asc"|"desc"} [q.order]
+     * @param {number} [q.limit]
+     * @param {string} [q.cursor] `nextCursor` of the previous page
+     * @param {string[]} [q.fields] top-level fields to return (all by default)
+     * @returns {{ items: object[], nextCursor: string|null }}
+     */
+    query({ deviceId, from = -Infinity, to = Infinity, bbox, order = "asc", limit = 100, cursor, fields } = {}) {
+      const dir = order === "desc" ? -1 : 1;
+      const after = cursor ? decodeCursor(cursor) : null;
+      const inBox = bbox
+        ? (e) => hasCoords(e) && e.lon >= bbox[0] && e.lat >= bbox[1] && e.lon <= bbox[2] && e.lat <= bbox[3]
+        : () => true;
+
+      // each source yields at most limit + 1 matches in page order; merging
+      // them gives the page plus a look-ahead entry for the next cursor
+      const matches = [];
+      for (const list of sourcesFor(deviceId, bbox)) {
+        let lo = upperBound(list, { t: from, seg: { name: "" }, off: -1 });
+        let hi = upperBound(list, { t: to, seg: { name: "\uffff" }, off: Infinity });
+        // resume strictly after the cursor entry in page order
+        if (after && dir > 0) lo = Math.max(lo, upperBound(list, after));
+        if (after && dir < 0) hi = Math.min(hi, lowerBound(list, after));
+        let found = 0;
+        for (let i = dir > 0 ? lo : hi - 1; i >= lo && i < hi && found <= limit; i += dir) {
+          const e = list[i];
+          if (!inBox(e)) continue;
+          matches.push(e);
+          found++;
+        }
+      }
+      matches.sort((a, b) => dir * compare(a, b));
+
+      const page = matches.slice(0, limit);
+      return {
+        items: page.map((e) => pick(read(e), fields)),
+        nextCursor: matches.length > limit ? encodeCursor(page[page.length - 1]) : null,
+      };
+    },
+
+    devices() {
+      return [...byDevice.keys()];
+    },
+
+    prune,
+
+    clear() {
+      for (const seg of [...segments]) remove(seg);
+      active = null;
+      all.length = 0;
+      byTime = [];
+      byDevice.clear();
+      grid.clear();
+      latestByDevice.clear();
+      latest = null;
+    },
+
+    stats() {
+      return { records: all.length, bytes: totalBytes, segments: segments.length, devices: byDevice.size };
+    },
+
+    close() {
+      clearInterval(pruneTimer);
+      for (const seg of segments) fs.closeSync(seg.fd);
+      segments.length = 0;
+      active = null;
+    },
+  };
+}
@@ -0,0 +1,72 @@
+// position.js  (ESM)
+// One normalized position record shape for every protocol on the shared port:
+//   { deviceId, protocol, timestamp, latitude, longitude, speed (km/h),
+//     course (deg), altitude (m), satellites, gpsValid, ignition, historical,
+//     receivedAt, extra }
+// Fields a protocol does not report are null; `extra` holds protocol-specific
+// attributes (e.g. JT808 mileage/fuel TLVs) and is always an object.
+// `historical` marks positions the device buffered and uploaded late (JT808
+// 0x0704); they belong in the track by timestamp, not as the latest fix.
+
+export function makePosition(fields) {
+  return {
+    deviceId: fields.deviceId ?? null,
+    protocol: fields.protocol ?? null,
+    timestamp: fields.timestamp ?? null,
+    latitude: fields.latitude ?? null,
+    longitude: fields.longitude ?? null,
+    speed: fields.speed ?? null,
+    course: fields.course ?? null,
+    altitude: fields.altitude ?? null,
+    satellites: fields.satellites ?? null,
+    gpsValid: !!fields.gpsValid,
+    ignition: fields.ignition ?? null,
+    historical: !!fields.historical,
+    receivedAt: fields.receivedAt ?? new Date().toISOString(),
+    extra: fields.extra ?? {},
+  };
+}
+
+// parsePacket() result (hq.js) → position
+export function fromHQ(pkt) {
+  return makePosition({
+    deviceId: pkt.imei,
+    protocol: "hq",
+    timestamp: pkt.timestamp,
+    latitude: pkt.latitude,
+    longitude: pkt.longitude,
+    speed: pkt.speed_kmh,
+    course: pkt.course != null ? Number(pkt.course) : null,
+    gpsValid: pkt.valid,
+    ignition: pkt.status_flags?.acc_on ?? null,
+    extra: {
+      ...(pkt.state ? { status: pkt.state } : {}),
+      ...(pkt.battery != null ? { battery: pkt.battery } : {}),
+    },
+  });
+}
+
+// parseJT808Frame() result with a decoded 0x0200 body (jt808.js) → position.
+// `d` may be one item of a decoded 0x0704 batch instead.
+export function fromJT808(p, d = p.decoded, overrides = {}) {
+  return makePosition({
+    deviceId: p.terminal,
+    protocol: "jt808",
+    timestamp: d.time_utc,
+    latitude: d.latitude,
+    longitude: d.longitude,
+    speed: d.speed_kmh,
+    course: d.course_deg,
+    altitude: d.altitude_m,
+    satellites: d.extra?.satellites,
+    gpsValid: d.status_flags.gps_fixed,
+    ignition: d.status_flags.acc_on,
+    extra: d.extra,
+    ...overrides,
+  });
+}
+
+// parseLocationData() result (c_gps.js) → position
+export function fromGT06(info) {
+  return makePosition({ ...info, protocol: "gt06" });
+}
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// replay.js  (ESM)
+// Replays a capture (capture.js) to reproduce what a device sent:
+//   node replay.js <capture.jsonl>... [--conn ID] [--speed N] [--protocol P]
+//     decode every inbound frame offline with the protocol decoders
+//   node replay.js <capture.jsonl>... --target host:port [--conn ID] [--speed N]
+//     open one TCP connection per captured connection and send its inbound
+//     chunks to a running server, printing what the server answers
+// Chunks are sent exactly as captured (same split points), spaced by their
+// original gaps divided by --speed (default 1; 0 = no waiting).
+// --protocol gt06|jt808|hq skips detection (default: detect per connection).
+// Several files (a rotated capture) are read in the order given.
+
+import net from "net";
+import { readCapture } from "./capture.js";
+import { createFramer, createSniffer, PROTOCOL } from "./gps-mux.js";
+import * as gt06 from "./gt06.js";
+import * as hq from "./hq.js";
+import * as jt808 from "./jt808.js";
+
+const DECODERS = {
+  [PROTOCOL.GT06]: gt06.decode,
+  [PROTOCOL.JT808]: jt808.decode,
+  [PROTOCOL.HQ]: hq.decode,
+};
+
+const USAGE = "Usage: node replay.js <capture.jsonl>... [--conn ID] [--speed N] [--protocol gt06|jt808|hq] [--target host:port]";
+
+function parseArgs(argv) {
+  const opts = { files: [], conn: null, speed: 1, protocol: null, target: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "--conn") opts.conn = value();
+    else if (arg === "--speed") opts.speed = Number(value());
+    else if (arg === "--protocol") opts.protocol = value();
+    else if (arg === "--target") opts.target = value();
+    else if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else opts.files.push(arg);
+  }
+  if (!opts.help && !opts.files.length) throw new Error("No capture file given");
+  if (!(opts.speed >= 0)) throw new Error("--speed must be >= 0");
+  if (opts.protocol && !DECODERS[opts.protocol]) throw new Error(`--protocol must be one of ${Object.keys(DECODERS).join(", ")}`);
+  if (opts.target && !/^[^:]+:\d+$/.test(opts.target)) throw new Error("--target must be host:port");
+  return opts;
+}
+
+// Buffers print as hex instead of { type, data }
+const json = (value) => JSON.stringify(value, (key, v) => (v?.type === "Buffer" && Array.isArray(v.data) ? Buffer.from(v.data).toString("hex") : v));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// All events of the selected connections, in capture time order
+function timeline(files, only) {
+  const events = [];
+  for (const file of files) {
+    for (const [conn, { addr, events: list }] of readCapture(file)) {
+      if (only && conn !== only) continue;
+      for (const e of list) events.push({ ...e, conn, addr });
+    }
+  }
+  return events.sort((a, b) => a.t - b.t); // stable: same-ms events keep file order
+}
+
+async function play(events, speed, handle) {
+  let previous = events[0]?.t;
+  for (const e of events) {
+    if (speed > 0 && e.t > previous) await sleep((e.t - previous) / speed);
+    previous = e.t;
+    await handle(e);
+  }
+}
+
+// Offline: inbound chunks → framer → decoder
+async function decode(events, { speed, protocol }) {
+  const framers = new Map(); // conn → framer / sniffer
+  const stamp = (e) => `${new Date(e.t).toISOString()} ${e.conn}`;
+
+  await play(events, speed, (e) => {
+    if (e.ev === "open") {
+      framers.set(e.conn, protocol ? createFramer(protocol) : createSniffer());
+      console.log(`${stamp(e)} open ${e.addr ?? ""}`);
+    } else if (e.ev === "close") {
+      console.log(`${stamp(e)} close`);
+    } else if (e.ev === "out") {
+      console.log(`${stamp(e)} → ${e.data.toString("hex")}`);
+    } else if (e.ev === "in") {
+      if (!framers.has(e.conn)) framers.set(e.conn, protocol ? createFramer(protocol) : createSniffer());
+      const framer = framers.get(e.conn);
+      let frames;
+      try {
+        frames = framer.push(e.data);
+      } catch (error) {
+        console.log(`${stamp(e)} ✖ ${error.message}`);
+        framers.set(e.conn, createSniffer());
+        return;
+      }
+      const kind = protocol || framer.protocol;
+      for (const frame of frames) {
+        try {
+          console.log(`${stamp(e)} ← ${kind} ${json(DECODERS[kind](frame))}`);
+        } catch (error) {
+          console.log(`${stamp(e)} ✖ ${kind} ${frame.toString("hex")}: ${error.message}`);
+        }
+      }
+    }
+  });
+}
+
+// Against a server: one socket per captured connection
+async function replayTo(events, { speed, target }) {
+  const [host, port] = [target.slice(0, target.lastIndexOf(":")), Number(target.slice(target.lastIndexOf(":") + 1))];
+  const sockets = new Map(); // conn → socket
+
+  const open = (conn) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, host, () => resolve(socket));
+    socket.on("error", (error) => {
+      console.error(`❌ ${conn}: ${error.message}`);
+      reject(error);
+    });
+    socket.on("data", (chunk) => console.log(`${new Date().toISOString()} ${conn} ← ${chunk.toString("hex")}`));
+    socket.on("close", () => sockets.delete(conn));
+    sockets.set(conn, socket);
+  });
+
+  await play(events, speed, async (e) => {
+    if (e.ev === "open") {
+      await open(e.conn);
+      console.log(`${new Date().toISOString()} ${e.conn} connected (captured from ${e.addr ?? "?"})`);
+    } else if (e.ev === "in") {
+      const socket = sockets.get(e.conn) ?? await open(e.conn);
+      socket.write(e.data);
+      console.log(`${new Date().toISOString()} ${e.conn} → ${e.data.toString("hex")}`);
+    } else if (e.ev === "close") {
+      sockets.get(e.conn)?.end();
+    }
+  });
+
+  // give the server a moment to answer the last chunks
+  await sleep(1000);
+  for (const socket of sockets.values()) socket.destroy();
+}
+
+try {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(USAGE);
+  } else {
+    const events = timeline(opts.files, opts.conn);
+    if (!events.length) throw new Error("Nothing to replay");
+    await (opts.target ? replayTo(events, opts) : decode(events, opts));
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
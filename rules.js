@@ -0,0 +1,277 @@
+// rules.js  (ESM)
+// Server-side alarm rules evaluated on the normalized position stream:
+//  - overspeed      { maxSpeed (km/h), duration (s, default 0) }
+//  - idling         { minutes, maxSpeed (km/h, default 3) }    ignition on, not moving
+//  - after_hours    { from "HH:MM", to "HH:MM", days [0-6] (default all),
+//                     timezone (IANA, default server), minSpeed (km/h, default 5) }
+//                   moving outside the allowed window (which may wrap midnight)
+//  - no_report      { minutes }                                 silent device
+//  - low_satellites { minSatellites }
+// A rule applies to the devices in its `devices` list and the members of its
+// `groups` (listed here, or the device's registry group via `groupOf`), or to
+// every device when it names neither. Each rule fires once per
+// episode and re-arms when the condition clears.
+// Rules and groups are kept in a JSON file ({ groups: { name: [deviceId] },
+// rules: [...] }) that can be edited by hand or over HTTP.
+// Env:
+//  - RULES_FILE=path   (default: data/rules.json)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const positive = (v) => Number.isFinite(Number(v)) && Number(v) > 0;
+const nonNegative = (v) => Number.isFinite(Number(v)) && Number(v) >= 0;
+
+// type → validator of its own fields (throws on invalid input)
+const TYPES = {
+  overspeed(r) {
+    if (!positive(r.maxSpeed)) throw new Error("overspeed needs a positive maxSpeed (km/h)");
+    if (r.duration != null && !nonNegative(r.duration)) throw new Error("duration must be >= 0 (s)");
+    return { maxSpeed: Number(r.maxSpeed), duration: Number(r.duration ?? 0) };
+  },
+  idling(r) {
+    if (!positive(r.minutes)) throw new Error("idling needs positive minutes");
+    return { minutes: Number(r.minutes), maxSpeed: Number(r.maxSpeed ?? 3) };
+  },
+  after_hours(r) {
+    if (!HHMM.test(r.from || "") || !HHMM.test(r.to || "")) throw new Error('after_hours needs from/to as "HH:MM"');
+    if (r.days != null && (!Array.isArray(r.days) || !r.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      throw new Error("days must be weekday numbers 0 (Sunday) .. 6");
+    }
+    if (r.timezone != null) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: r.timezone });
+      } catch {
+        throw new Error(`Unknown timezone ${r.timezone}`);
+      }
+    }
+    return {
+      from: r.from,
+      to: r.to,
+      days: r.days ?? [0, 1, 2, 3, 4, 5, 6],
+      timezone: r.timezone ?? null,
+      minSpeed: Number(r.minSpeed ?? 5),
+    };
+  },
+  no_report(r) {
+    if (!positive(r.minutes)) throw new Error("no_report needs positive minutes");
+    return { minutes: Number(r.minutes) };
+  },
+  low_satellites(r) {
+    if (!positive(r.minSatellites)) throw new Error("low_satellites needs a positive minSatellites");
+    return { minSatellites: Number(r.minSatellites) };
+  },
+};
+
+function validate(body, id) {
+  const { type, name, devices, groups } = body || {};
+  if (!TYPES[type]) throw new Error(`type must be one of ${Object.keys(TYPES).join(", ")}`);
+  const strings = (v) => v == null || (Array.isArray(v) && v.every((s) => typeof s === "string"));
+  if (!strings(devices) || !strings(groups)) throw new Error("devices and groups must be arrays of strings");
+  return {
+    id,
+    name: typeof name === "string" && name.trim() ? name.trim() : id,
+    type,
+    ...(devices ? { devices } : {}),
+    ...(groups ? { groups } : {}),
+    ...TYPES[type](body),
+  };
+}
+
+// minutes since local midnight and weekday of `t` in `timezone`
+function localTime(t, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone ?? undefined, hourCycle: "h23", weekday: "short", hour: "2-digit", minute: "2-digit",
+  }).formatToParts(new Date(t));
+  const get = (type) => parts.find((p) => p.type === type).value;
+  const day = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday"));
+  return { day, minutes: Number(get("hour")) * 60 + Number(get("minute")) };
+}
+
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+function withinHours(rule, t) {
+  const { day, minutes } = localTime(t, rule.timezone);
+  const from = toMinutes(rule.from), to = toMinutes(rule.to);
+  if (from <= to) return rule.days.includes(day) && minutes >= from && minutes < to;
+  // window wraps midnight: the early-morning part belongs to the previous day
+  if (minutes >= from) return rule.days.includes(day);
+  return minutes < to && rule.days.includes((day + 6) % 7);
+}
+
+export function createRuleEngine({
+  file = process.env.RULES_FILE || "data/rules.json",
+  groupOf = () => null, // deviceId → group name from elsewhere (device-registry.js)
+} = {}) {
+  const rules = new Map();  // id → rule
+  let groups = {};          // name → [deviceId]
+  const state = new Map();  // `${deviceId}\n${ruleId}` → { since, fired }
+  const lastSeen = new Map(); // deviceId → { position, at } of its last live report
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(file, "utf8"));
+      // all or nothing: a half-loaded rule set would go unnoticed
+      const loaded = (config.rules || []).map((rule, i) => {
+        try {
+          return validate(rule, String(rule.id ?? crypto.randomUUID()));
+        } catch (e) {
+          throw new Error(`rule ${rule?.id ?? `#${i + 1}`}: ${e.message}`);
+        }
+      });
+      groups = config.groups || {};
+      for (const rule of loaded) rules.set(rule.id, rule);
+    } catch (e) {
+      console.error(`⚠️ Could not read ${file}:`, e.message);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ groups, rules: [...rules.values()] }, null, 2));
+  }
+
+  function forget(ruleId) {
+    for (const key of state.keys()) if (key.endsWith(`\n${ruleId}`)) state.delete(key);
+  }
+
+  function appliesTo(rule, deviceId) {
+    if (!rule.devices && !rule.groups) return true;
+    return !!(rule.devices?.includes(deviceId) ||
+      rule.groups?.some((g) => groups[g]?.includes(deviceId) || g === groupOf(deviceId)));
+  }
+
+  function stateOf(deviceId, rule) {
+    const key = `${deviceId}\n${rule.id}`;
+    if (!state.has(key)) state.set(key, { since: null, fired: false });
+    return state.get(key);
+  }
+
+  // condition true at t → fire once it has held for `holdMs`; false → re-arm
+  function track(s, active, t, holdMs = 0) {
+    if (!active) {
+      s.since = null;
+      s.fired = false;
+      return false;
+    }
+    if (s.since == null) s.since = t;
+    if (s.fired || t - s.since < holdMs) return false;
+    s.fired = true;
+    return true;
+  }
+
+  function check(rule, p, t, s) {
+    const speed = p.speed ?? 0;
+    switch (rule.type) {
+      case "overspeed":
+        return track(s, speed > rule.maxSpeed, t, rule.duration * 1000) &&
+          `speed ${speed} km/h above ${rule.maxSpeed} km/h for ${rule.duration} s`;
+      case "idling":
+        return track(s, p.ignition === true && speed <= rule.maxSpeed, t, rule.minutes * 60_000) &&
+          `engine idling for ${rule.minutes} min`;
+      case "after_hours":
+        return track(s, speed >= rule.minSpeed && !withinHours(rule, t), t) &&
+          `moving outside ${rule.from}-${rule.to}`;
+      case "low_satellites":
+        return track(s, p.satellites != null && p.satellites < rule.minSatellites, t) &&
+          `${p.satellites} satellites (minimum ${rule.minSatellites})`;
+      case "no_report":
+        track(s, false, t); // any report re-arms it
+        return false;
+    }
+    return false;
+  }
+
+  return {
+    list() {
+      return [...rules.values()];
+    },
+
+    get(id) {
+      return rules.get(id) ?? null;
+    },
+
+    create(body) {
+      const rule = validate(body, body?.id != null ? String(body.id) : crypto.randomUUID());
+      if (rules.has(rule.id)) throw new Error(`Rule ${rule.id} already exists`);
+      rules.set(rule.id, rule);
+      save();
+      return rule;
+    },
+
+    // Replace a rule; returns null when it does not exist
+    update(id, body) {
+      if (!rules.has(id)) return null;
+      const rule = validate(body, id);
+      rules.set(id, rule);
+      forget(id);
+      save();
+      return rule;
+    },
+
+    remove(id) {
+      if (!rules.delete(id)) return false;
+      forget(id);
+      save();
+      return true;
+    },
+
+    groups() {
+      return groups;
+    },
+
+    setGroup(name, deviceIds) {
+      if (!Array.isArray(deviceIds) || !deviceIds.every((d) => typeof d === "string")) {
+        throw new Error("A group is an array of device IDs");
+      }
+      groups = { ...groups, [name]: deviceIds };
+      save();
+      return deviceIds;
+    },
+
+    removeGroup(name) {
+      if (!(name in groups)) return false;
+      const { [name]: _removed, ...rest } = groups;
+      groups = rest;
+      save();
+      return true;
+    },
+
+    /**
+     * Evaluate a live position → [{ rule, message }] for every rule that fired.
+     * Late (historical) uploads are skipped; they describe the past.
+     */
+    evaluate(position, now = Date.now()) {
+      if (position.historical) return [];
+      lastSeen.set(position.deviceId, { position, at: now });
+      const t = Date.parse(position.timestamp) || now;
+      const fired = [];
+      for (const rule of rules.values()) {
+        if (!appliesTo(rule, position.deviceId)) continue;
+        const message = check(rule, position, t, stateOf(position.deviceId, rule));
+        if (message) fired.push({ rule, message });
+      }
+      return fired;
+    },
+
+    // no_report rules → [{ rule, message, position }] for devices silent too long
+    checkSilence(now = Date.now()) {
+      const fired = [];
+      for (const rule of rules.values()) {
+        if (rule.type !== "no_report") continue;
+        for (const [deviceId, { position, at }] of lastSeen) {
+          if (!appliesTo(rule, deviceId)) continue;
+          const s = stateOf(deviceId, rule);
+          if (s.fired || now - at < rule.minutes * 60_000) continue;
+          s.fired = true;
+          fired.push({ rule, position, message: `no report for ${rule.minutes} min` });
+        }
+      }
+      return fired;
+    },
+  };
+}
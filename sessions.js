@@ -0,0 +1,180 @@
+// sessions.js  (ESM)
+// One session per device, shared by every protocol: current socket, remote
+// address, protocol, connect time, last packet time, counters of the current
+// connection and last known position. Entries stay after a disconnect (offline,
+// with the reason) so the last state of every device seen since boot is known.
+// A device logging in again on a new socket replaces its session and the old
+// socket is closed; `onEnd` is told about sessions ended that way, since the
+// closed socket no longer carries them when release() runs. A device silent
+// for longer than its heartbeat timeout is considered dead: its socket is
+// closed and the session goes offline.
+// Env:
+//  - SESSION_TIMEOUT_SECONDS=n   (default: 600; no packet for that long → offline)
+
+const SWEEP_MS = 15000;
+
+export const DISCONNECT_REASON = Object.freeze({
+  CLOSED: "closed",
+  TIMEOUT: "timeout",
+  REPLACED: "replaced",
+  REVOKED: "revoked",
+});
+
+export function createSessionManager({
+  timeoutSeconds = Number(process.env.SESSION_TIMEOUT_SECONDS || 600),
+  timeoutFor = () => null, // deviceId → seconds, overrides timeoutSeconds when set
+  sweepMs = SWEEP_MS,
+  onEnd = () => {}, // session view → called when bind() ends a session (replaced, or its socket switched identity)
+} = {}) {
+  const sessions = new Map();     // deviceId → session
+  const bound = new WeakMap();    // socket → deviceId
+  const closing = new WeakMap();  // socket → why we closed it
+
+  function view(s) {
+    const { socket, ...rest } = s;
+    return rest;
+  }
+
+  // Mark a session offline; `reason` is the closing reason we gave, if any
+  function end(s, reason) {
+    s.online = false;
+    s.disconnectedAt = new Date().toISOString();
+    s.disconnectReason = reason;
+    bound.delete(s.socket);
+    s.socket = null;
+  }
+
+  function sweep(now = Date.now()) {
+    const expired = [];
+    for (const s of sessions.values()) {
+      if (!s.online) continue;
+      const timeout = (timeoutFor(s.deviceId) ?? timeoutSeconds) * 1000;
+      if (now - Date.parse(s.lastPacketAt) < timeout) continue;
+      console.log(`💤 ${s.protocol} device ${s.deviceId} silent for ${Math.round((now - Date.parse(s.lastPacketAt)) / 1000)} s, closing`);
+      closing.set(s.socket, DISCONNECT_REASON.TIMEOUT);
+      s.socket.destroy();
+      expired.push(view(s));
+    }
+    return expired;
+  }
+
+  const timer = setInterval(sweep, sweepMs);
+  timer.unref?.();
+
+  return {
+    get online() {
+      let n = 0;
+      for (const s of sessions.values()) if (s.online) n++;
+      return n;
+    },
+
+    /**
+     * Tie `socket` to `deviceId` once the device identified itself.
+     * Returns true when this starts a new session (a connect), false when the
+     * socket was already bound to that device. An older socket of the same
+     * device is closed.
+     */
+    bind(socket, deviceId, protocol, address) {
+      const previousId = bound.get(socket);
+      if (previousId === deviceId) return false;
+      // the socket switched identity; its old device goes offline
+      if (previousId !== undefined) {
+        const previous = sessions.get(previousId);
+        end(previous, DISCONNECT_REASON.CLOSED);
+        onEnd(view(previous));
+      }
+
+      const old = sessions.get(deviceId);
+      if (old?.online) {
+        console.log(`♻️ ${deviceId} logged in again from ${address}, closing its old connection from ${old.address}`);
+        const oldSocket = old.socket;
+        end(old, DISCONNECT_REASON.REPLACED);
+        oldSocket.destroy();
+        onEnd(view(old));
+      }
+
+      const now = new Date().toISOString();
+      sessions.set(deviceId, {
+        deviceId,
+        protocol,
+        address,
+        socket,
+        online: true,
+        connectedAt: now,
+        lastPacketAt: now,
+        disconnectedAt: null,
+        disconnectReason: null,
+        packets: 0,
+        bytes: 0,
+        positions: 0,
+        lastPosition: old?.lastPosition ?? null,
+      });
+      bound.set(socket, deviceId);
+      return true;
+    },
+
+    // Count a packet received on `socket` (ignored until the socket is bound)
+    packet(socket, bytes = 0) {
+      const s = sessions.get(bound.get(socket));
+      if (!s) return;
+      s.packets++;
+      s.bytes += bytes;
+      s.lastPacketAt = new Date().toISOString();
+    },
+
+    // Keep the newest position of a device with a live or past session
+    position(position) {
+      const s = sessions.get(position.deviceId);
+      if (!s) return;
+      if (s.online) s.positions++;
+      const last = s.lastPosition;
+      if (!last || Date.parse(position.timestamp) >= Date.parse(last.timestamp)) s.lastPosition = position;
+    },
+
+    /**
+     * The socket closed → the session it carried (now offline), or null when
+     * it carried none (never identified, or replaced by a newer login).
+     */
+    release(socket) {
+      const s = sessions.get(bound.get(socket));
+      if (!s || s.socket !== socket) return null;
+      end(s, closing.get(socket) ?? DISCONNECT_REASON.CLOSED);
+      return view(s);
+    },
+
+    // Close a device's live socket; its session goes offline with `reason` once the socket closes
+    disconnect(deviceId, reason = DISCONNECT_REASON.CLOSED) {
+      const s = sessions.get(deviceId);
+      if (!s?.online) return false;
+      closing.set(s.socket, reason);
+      s.socket.destroy();
+      return true;
+    },
+
+    deviceOf(socket) {
+      return bound.get(socket) ?? null;
+    },
+
+    // Live socket of a device (optionally only for `protocol`), or null
+    socketOf(deviceId, protocol) {
+      const s = sessions.get(deviceId);
+      if (!s?.online || s.socket.destroyed || (protocol && s.protocol !== protocol)) return null;
+      return s.socket;
+    },
+
+    get(deviceId) {
+      const s = sessions.get(deviceId);
+      return s ? view(s) : null;
+    },
+
+    list() {
+      return [...sessions.values()].map(view);
+    },
+
+    sweep,
+
+    close() {
+      clearInterval(timer);
+    },
+  };
+}
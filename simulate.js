@@ -0,0 +1,484 @@
+#!/usr/bin/env node
+// simulate.js  (ESM)
+// Tracker simulator: N concurrent TCP connections behaving like GT06, JT808
+// or HQ/H02 terminals, to exercise the servers without hardware.
+//   node simulate.js [--protocol gt06|jt808|hq] [--host H] [--port P] [--devices N]
+//                    [--id FIRST_ID] [--interval s] [--heartbeat s] [--count N]
+//                    [--route file.gpx|file.geojson] [--start lat,lon] [--speed kmh]
+//                    [--alarm-every N] [--chaos split,concat,malformed] [--chaos-rate r]
+// Each terminal logs in (GT06 0x01 / JT808 0x0100 + 0x0102 with the code from
+// 0x8100, only 0x0102 on reconnect; H02 has no login), then sends a position every --interval seconds
+// and a heartbeat every --heartbeat seconds, and answers server commands.
+// Positions follow --route (one point per report, looping) or a random walk.
+// Type "alarm [sos|overspeed|power] [device#]" on stdin to make the next
+// report an alarm. --chaos corrupts, splits or glues frames together at
+// --chaos-rate to stress the server's framing.
+
+import net from "net";
+import fs from "fs";
+import readline from "readline";
+import { distanceMeters } from "./geo.js";
+import { createFramer, PROTOCOL } from "./gps-mux.js";
+import * as gt06 from "./gt06.js";
+import * as hq from "./hq.js";
+import * as jt808 from "./jt808.js";
+
+const { GT06_PROTOCOL } = gt06;
+
+const USAGE = "Usage: node simulate.js [--protocol gt06|jt808|hq] [--host H] [--port P] [--devices N] [--id FIRST_ID]\n" +
+  "  [--interval s] [--heartbeat s] [--count N] [--route file.gpx|file.geojson] [--start lat,lon] [--speed kmh]\n" +
+  "  [--alarm-every N] [--chaos split,concat,malformed] [--chaos-rate r]";
+
+const DEFAULT_ID = { [PROTOCOL.GT06]: "868120000000000", [PROTOCOL.JT808]: "013800000000", [PROTOCOL.HQ]: "4106000000" };
+const ALARMS = ["sos", "overspeed", "power"];
+const CHAOS = ["split", "concat", "malformed"];
+const LOGIN_TIMEOUT_MS = 15000;
+const RECONNECT_MS = 5000;
+
+function parseArgs(argv) {
+  const opts = {
+    protocol: PROTOCOL.GT06, host: "127.0.0.1", port: Number(process.env.GPS_PORT || 7700), devices: 1, id: null,
+    interval: 10, heartbeat: 60, count: Infinity, route: null, start: [32.0853, 34.7818], speed: 40,
+    alarmEvery: 0, chaos: [], chaosRate: 0.1,
+  };
+  const numeric = (name, v, min) => {
+    const n = Number(v);
+    if (!(n >= min)) throw new Error(`${name} must be a number >= ${min}`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case "--protocol": opts.protocol = value(); break;
+      case "--host": opts.host = value(); break;
+      case "--port": opts.port = numeric(arg, value(), 1); break;
+      case "--devices": opts.devices = numeric(arg, value(), 1); break;
+      case "--id": opts.id = value(); break;
+      case "--interval": opts.interval = numeric(arg, value(), 0.1); break;
+      case "--heartbeat": opts.heartbeat = numeric(arg, value(), 1); break;
+      case "--count": opts.count = numeric(arg, value(), 1); break;
+      case "--route": opts.route = value(); break;
+      case "--start": opts.start = value().split(",").map(Number); break;
+      case "--speed": opts.speed = numeric(arg, value(), 0); break;
+      case "--alarm-every": opts.alarmEvery = numeric(arg, value(), 0); break;
+      case "--chaos": opts.chaos = value().split(",").map((s) => s.trim()).filter(Boolean); break;
+      case "--chaos-rate": opts.chaosRate = numeric(arg, value(), 0); break;
+      case "-h": case "--help": opts.help = true; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  if (!DEFAULT_ID[opts.protocol]) throw new Error(`--protocol must be one of ${Object.keys(DEFAULT_ID).join(", ")}`);
+  if (opts.id != null && !/^\d+$/.test(opts.id)) throw new Error("--id must be digits");
+  if (opts.start.length !== 2 || opts.start.some((n) => !Number.isFinite(n))) throw new Error("--start must be lat,lon");
+  const unknown = opts.chaos.filter((c) => !CHAOS.includes(c));
+  if (unknown.length) throw new Error(`--chaos accepts ${CHAOS.join(", ")}`);
+  return opts;
+}
+
+/* ─────────── Routes ─────────── */
+
+// GPX track/route/way points or GeoJSON LineString/MultiLineString/Point coordinates
+function loadRoute(file) {
+  const text = fs.readFileSync(file, "utf8");
+  let points = [];
+  if (/\.gpx$/i.test(file) || text.trimStart().startsWith("<")) {
+    for (const m of text.matchAll(/<(?:trkpt|rtept|wpt)\b([^>]*)>/g)) {
+      const lat = /lat="([^"]+)"/.exec(m[1]);
+      const lon = /lon="([^"]+)"/.exec(m[1]);
+      if (lat && lon) points.push({ latitude: Number(lat[1]), longitude: Number(lon[1]) });
+    }
+  } else {
+    const collect = (g) => {
+      if (!g) return;
+      if (g.type === "FeatureCollection") g.features.forEach((f) => collect(f));
+      else if (g.type === "Feature") collect(g.geometry);
+      else if (g.type === "GeometryCollection") g.geometries.forEach(collect);
+      else if (g.type === "Point") points.push(g.coordinates);
+      else if (g.type === "LineString" || g.type === "MultiPoint") points.push(...g.coordinates);
+      else if (g.type === "MultiLineString") g.coordinates.forEach((line) => points.push(...line));
+    };
+    collect(JSON.parse(text));
+    points = points.map(([longitude, latitude]) => ({ latitude, longitude }));
+  }
+  points = points.filter((p) => Number.isFinite(p.latitude) && Number.isFinite(p.longitude));
+  if (points.length < 2) throw new Error(`${file}: need at least 2 points`);
+  return points;
+}
+
+function bearing(a, b) {
+  const rad = Math.PI / 180;
+  const y = Math.sin((b.longitude - a.longitude) * rad) * Math.cos(b.latitude * rad);
+  const x = Math.cos(a.latitude * rad) * Math.sin(b.latitude * rad) -
+    Math.sin(a.latitude * rad) * Math.cos(b.latitude * rad) * Math.cos((b.longitude - a.longitude) * rad);
+  return Math.round((Math.atan2(y, x) / rad + 360) % 360);
+}
+
+// → next() returning { latitude, longitude, speed (km/h), course }
+function createMovement(opts, index) {
+  if (opts.route) {
+    const route = opts.route;
+    let i = (index * 7) % route.length; // devices start spread along the route
+    return () => {
+      const a = route[i];
+      i = (i + 1) % route.length;
+      const b = route[i];
+      const speed = +((distanceMeters(a, b) / opts.interval) * 3.6).toFixed(1);
+      return { ...b, speed: Math.min(speed, 250), course: bearing(a, b) };
+    };
+  }
+  let position = { latitude: opts.start[0] + (Math.random() - 0.5) * 0.01, longitude: opts.start[1] + (Math.random() - 0.5) * 0.01 };
+  let course = Math.floor(Math.random() * 360);
+  return () => {
+    course = (course + Math.round((Math.random() - 0.5) * 60) + 360) % 360;
+    const speed = +Math.max(0, opts.speed * (0.7 + Math.random() * 0.6)).toFixed(1);
+    const meters = (speed / 3.6) * opts.interval;
+    const rad = Math.PI / 180;
+    position = {
+      latitude: +(position.latitude + (meters * Math.cos(course * rad)) / 111320).toFixed(6),
+      longitude: +(position.longitude + (meters * Math.sin(course * rad)) / (111320 * Math.cos(position.latitude * rad))).toFixed(6),
+    };
+    return { ...position, speed, course };
+  };
+}
+
+/* ─────────── Terminal messages (encoded with the shared codecs) ─────────── */
+
+const LBS = { mcc: 425, mnc: 1, lac: 100, cell_id: 200 };
+
+// fix: { latitude, longitude, speed, course, satellites, ignition, time: Date }; alarm: one of ALARMS or null
+const ENCODERS = {
+  [PROTOCOL.GT06]: {
+    login: (id) => [gt06.encode({ protocol: GT06_PROTOCOL.LOGIN, decoded: { imei: id, type_id: 0, timezone_minutes: 0 } })],
+    position(id, fix, alarm) {
+      const gps = gt06Gps(fix);
+      if (alarm) {
+        const code = { sos: 0x01, power: 0x02, overspeed: 0x06 }[alarm];
+        return gt06.encode({ protocol: GT06_PROTOCOL.ALARM, decoded: { ...gps, lbs: LBS, ...gt06Status(fix, code) } });
+      }
+      // 0x22 adds ACC, upload mode, re-upload flag and mileage after the LBS block
+      return gt06.encode({
+        protocol: GT06_PROTOCOL.LOCATION_2,
+        decoded: { ...gps, lbs: LBS, acc_on: fix.ignition, upload_mode: 0, reupload: false, mileage_m: 0 },
+      });
+    },
+    heartbeat: (id, fix) => gt06.encode({ protocol: GT06_PROTOCOL.STATUS, decoded: gt06Status(fix, 0x00) }),
+  },
+
+  [PROTOCOL.JT808]: {
+    login: (id) => [jt808.encode({
+      msgId: 0x0100, terminal: id,
+      decoded: {
+        province_id: 0, city_id: 0, manufacturer_id: "SIMUL", terminal_model: "simulate.js", terminal_id: id.slice(-7),
+        plate_color: 0, plate_number: `SIM${id.slice(-4)}`,
+      },
+    })],
+    authenticate: (id, code) => jt808.encode({ msgId: 0x0102, terminal: id, decoded: { auth_code: code } }),
+    position(id, fix, alarm) {
+      const alarmBit = { sos: 0, overspeed: 1, power: 8 }[alarm];
+      return jt808.encode({
+        msgId: 0x0200, terminal: id,
+        decoded: {
+          alarm: alarm ? (1 << alarmBit) >>> 0 : 0,
+          status: (fix.ignition ? 0x01 : 0) | 0x02, // hemisphere bits follow the coordinates
+          latitude: fix.latitude, longitude: fix.longitude, altitude_m: fix.altitude,
+          speed_kmh: fix.speed, course_deg: fix.course, time_utc: fix.time.toISOString(),
+          extra: { satellites: fix.satellites },
+        },
+      });
+    },
+    heartbeat: (id) => jt808.encode({ msgId: 0x0002, terminal: id }),
+  },
+
+  [PROTOCOL.HQ]: {
+    login: () => [],
+    position: (id, fix, alarm) => hq.encode({ imei: id, command: "V1", ...hqPosition(fix, alarm) }),
+    heartbeat: (id, fix) => hq.encode({
+      imei: id, command: "LINK", timestamp: fix.time.toISOString(),
+      gsm: 20, satellites: fix.satellites, battery: 90, steps: 0, turnovers: 0, state: hqState(fix),
+    }),
+  },
+};
+
+function gt06Gps(fix) {
+  return {
+    timestamp: fix.time.toISOString(), satellites: Math.min(fix.satellites, 15),
+    latitude: fix.latitude, longitude: fix.longitude, speed: fix.speed, course: fix.course, gps_valid: true,
+  };
+}
+
+// terminal info (GPS tracking on, ACC) | voltage 6 | GSM 4 | alarm | language English
+const gt06Status = (fix, alarm) => ({
+  terminal: { gps_tracking: true, acc_on: fix.ignition }, voltage_level: 6, gsm_signal: 4, alarm, language: 0x02,
+});
+
+// status word bits are active-low: bit 1 SOS, bit 2 overspeed, bit 10 ACC on
+function hqState(fix, alarm) {
+  let state = 0xffffffff;
+  if (fix.ignition) state &= ~(1 << 10);
+  if (alarm === "sos" || alarm === "power") state &= ~(1 << 1);
+  if (alarm === "overspeed") state &= ~(1 << 2);
+  return (state >>> 0).toString(16).toUpperCase().padStart(8, "0");
+}
+
+// typed V1 / V4 position fields (hq.js formats them)
+function hqPosition(fix, alarm = null) {
+  return {
+    timestamp: fix.time.toISOString(), valid: true, latitude: fix.latitude, longitude: fix.longitude,
+    speed_kmh: fix.speed, course: String(fix.course), state: hqState(fix, alarm),
+  };
+}
+
+/* ─────────── Chaos ─────────── */
+
+// frame → what actually goes on the wire; glued frames wait for the next one.
+// Login frames are sent intact (chaos = false) so terminals do get online.
+function createWire(socket, opts, stats) {
+  let held = null;
+  let chaos = false;
+  const roll = (kind) => chaos && opts.chaos.includes(kind) && Math.random() < opts.chaosRate;
+
+  return (frame, withChaos) => {
+    chaos = withChaos;
+    if (roll("malformed")) {
+      frame = Buffer.from(frame);
+      if (Math.random() < 0.5) frame[Math.floor(frame.length / 2)] ^= 0x5a; // checksum / CRC mismatch
+      else frame = frame.slice(0, Math.max(1, frame.length - 3));            // truncated
+      stats.malformed++;
+    }
+    if (held) {
+      frame = Buffer.concat([held, frame]);
+      held = null;
+    } else if (roll("concat")) {
+      held = frame;
+      stats.concatenated++;
+      return;
+    }
+    if (roll("split") && frame.length > 2) {
+      const at = 1 + Math.floor(Math.random() * (frame.length - 1));
+      socket.write(frame.slice(0, at));
+      setTimeout(() => socket.destroyed || socket.write(frame.slice(at)), 50);
+      stats.split++;
+      return;
+    }
+    socket.write(frame);
+  };
+}
+
+/* ─────────── Terminal ─────────── */
+
+function simulateDevice(id, index, opts, stats, done) {
+  const encoder = ENCODERS[opts.protocol];
+  const move = createMovement(opts, index);
+  const tag = `[${id}]`;
+  let fix = { ...move(), altitude: 30, satellites: 9, ignition: true, time: new Date() };
+  let socket = null;
+  let wire = null;
+  let ready = false;
+  let timers = [];
+  let sent = 0;
+  let pendingAlarm = null;
+  let finished = false;
+  let authCode = null; // JT808 code from 0x8100, reused on reconnect like a real terminal
+
+  function stop() {
+    timers.forEach(clearInterval); // clears timeouts too
+    timers = [];
+    ready = false;
+  }
+
+  function goOnline() {
+    if (ready) return;
+    ready = true;
+    stats.online++;
+    console.log(`🟢 ${tag} online`);
+    report();
+    timers.push(setInterval(report, opts.interval * 1000));
+    timers.push(setInterval(() => send(encoder.heartbeat(id, fix)), opts.heartbeat * 1000));
+  }
+
+  function send(frame) {
+    if (!socket || socket.destroyed) return;
+    wire(frame, ready);
+    stats.frames++;
+  }
+
+  function report() {
+    fix = { ...fix, ...move(), time: new Date() };
+    let alarm = pendingAlarm;
+    if (!alarm && opts.alarmEvery && (sent + 1) % opts.alarmEvery === 0) alarm = ALARMS[0];
+    pendingAlarm = null;
+    send(encoder.position(id, fix, alarm));
+    sent++;
+    stats.positions++;
+    if (alarm) {
+      stats.alarms++;
+      console.log(`🚨 ${tag} ${alarm} alarm sent`);
+    }
+    if (sent >= opts.count) {
+      finished = true;
+      stop();
+      setTimeout(() => socket.end(), 500); // leave time for the last ACK
+    }
+  }
+
+  // server → terminal frames
+  function handle(frame) {
+    if (opts.protocol === PROTOCOL.GT06) {
+      const msg = gt06.decode(frame);
+      stats.acks++;
+      if (msg.protocol === GT06_PROTOCOL.LOGIN) goOnline();
+      if (msg.protocol === GT06_PROTOCOL.SERVER_COMMAND && msg.decoded) {
+        // 0x80 command → 0x15 reply with the same server flag
+        const { server_flag, command } = msg.decoded;
+        console.log(`💬 ${tag} command "${command}"`);
+        send(gt06.encode({
+          protocol: GT06_PROTOCOL.STRING_INFO, decoded: { server_flag, response: `${command}:OK`, language: 0x0002 },
+        }));
+      }
+    } else if (opts.protocol === PROTOCOL.JT808) {
+      const p = jt808.decode(frame);
+      if (!p.ok) return;
+      stats.acks++;
+      if (p.msgId === 0x8100) {
+        const { result, auth_code } = p.decoded;
+        if (result !== 0) {
+          const hint = result === 3 ? ", already registered: reset it with POST /jt808/terminals/:terminal/reset" : "";
+          console.log(`⛔ ${tag} registration refused (result ${result}${hint})`);
+          return socket.destroy();
+        }
+        authCode = auth_code;
+        send(encoder.authenticate(id, auth_code));
+      } else if (p.msgId === 0x8001) {
+        const { reply_msg_id: msgId, result } = p.decoded;
+        if (msgId === 0x0102) {
+          if (result === 0) goOnline();
+          else {
+            console.log(`⛔ ${tag} authentication refused (result ${result})`);
+            authCode = null; // register again on the next connection
+            socket.destroy();
+          }
+        }
+      } else {
+        // platform request → 0x0001 general response (parameters accepted, everything else unsupported)
+        console.log(`💬 ${tag} platform request 0x${p.msgId.toString(16)}`);
+        send(jt808.encode({
+          msgId: 0x0001, terminal: id, decoded: { reply_seq: p.seq, reply_msg_id: p.msgId, result: p.msgId === 0x8103 ? 0 : 3 },
+        }));
+      }
+    } else {
+      const { command, args } = hq.decode(frame);
+      stats.acks++;
+      if (command !== "V4") {
+        // *HQ,IMEI,CMD,HHMMSS,args# → V4 confirmation with the current position
+        const ackArgs = args.slice(1);
+        console.log(`💬 ${tag} command ${[command, ...ackArgs].join(",")}`);
+        send(hq.encode({
+          imei: id, command: "V4", ack_command: command, ack_args: ackArgs, ...hqPosition({ ...fix, time: new Date() }),
+        }));
+      }
+    }
+  }
+
+  function connect() {
+    const framer = createFramer(opts.protocol);
+    socket = net.connect(opts.port, opts.host);
+    wire = createWire(socket, opts, stats);
+    socket.on("connect", () => {
+      stats.connections++;
+      if (authCode) send(encoder.authenticate(id, authCode));
+      else encoder.login(id).forEach(send);
+      if (opts.protocol === PROTOCOL.HQ) goOnline();
+      else {
+        timers.push(setTimeout(() => {
+          if (ready) return;
+          console.log(`⌛ ${tag} no login ACK within ${LOGIN_TIMEOUT_MS / 1000} s, reconnecting`);
+          socket.destroy();
+        }, LOGIN_TIMEOUT_MS));
+      }
+    });
+    socket.on("data", (chunk) => {
+      let frames;
+      try {
+        frames = framer.push(chunk);
+      } catch (error) {
+        return console.log(`⚠️ ${tag} ${error.message}`);
+      }
+      for (const frame of frames) {
+        try {
+          handle(frame);
+        } catch (error) {
+          console.log(`⚠️ ${tag} bad server frame ${frame.toString("hex")}: ${error.message}`);
+        }
+      }
+    });
+    socket.on("error", (error) => console.log(`⚠️ ${tag} ${error.message}`));
+    socket.on("close", () => {
+      if (ready) stats.online--;
+      stop();
+      if (finished) return done();
+      console.log(`🔴 ${tag} disconnected, reconnecting in ${RECONNECT_MS / 1000} s`);
+      stats.reconnects++;
+      setTimeout(connect, RECONNECT_MS);
+    });
+  }
+
+  connect();
+  return {
+    id,
+    alarm(type) {
+      pendingAlarm = type;
+    },
+  };
+}
+
+/* ─────────── Main ─────────── */
+
+let opts;
+try {
+  opts = parseArgs(process.argv.slice(2));
+  if (opts.route) opts.route = loadRoute(opts.route);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+if (opts.help) {
+  console.log(USAGE);
+} else {
+  const stats = { connections: 0, online: 0, reconnects: 0, frames: 0, positions: 0, alarms: 0, acks: 0, split: 0, concatenated: 0, malformed: 0 };
+  const firstId = BigInt(opts.id ?? DEFAULT_ID[opts.protocol]);
+  const width = (opts.id ?? DEFAULT_ID[opts.protocol]).length;
+  let running = opts.devices;
+
+  const finish = () => {
+    console.log("📊", JSON.stringify(stats));
+    process.exit(0);
+  };
+  const devices = [];
+  for (let i = 0; i < opts.devices; i++) {
+    const id = String(firstId + BigInt(i)).padStart(width, "0");
+    devices.push(simulateDevice(id, i, opts, stats, () => --running || finish()));
+  }
+  console.log(`🚗 ${opts.devices} ${opts.protocol} terminal(s) → ${opts.host}:${opts.port}` +
+    `${opts.route ? ` along a ${opts.route.length}-point route` : ", random walk"}${opts.chaos.length ? `, chaos ${opts.chaos.join("+")} @ ${opts.chaosRate}` : ""}`);
+
+  const statsTimer = setInterval(() => console.log("📊", JSON.stringify(stats)), 10000);
+  statsTimer.unref();
+
+  // "alarm [type] [device#]" on stdin
+  readline.createInterface({ input: process.stdin }).on("line", (line) => {
+    const [word, type = ALARMS[0], which] = line.trim().split(/\s+/);
+    if (word !== "alarm") return console.log("Commands: alarm [sos|overspeed|power] [device#]");
+    if (!ALARMS.includes(type)) return console.log(`Alarm types: ${ALARMS.join(", ")}`);
+    const targets = which != null ? [devices[Number(which)]].filter(Boolean) : devices;
+    targets.forEach((d) => d.alarm(type));
+    console.log(`⏳ ${type} alarm queued for ${targets.map((d) => d.id).join(", ") || "nobody"}`);
+  });
+
+  process.on("SIGINT", finish);
+}
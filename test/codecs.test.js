@@ -0,0 +1,389 @@
+// codecs.test.js  (ESM)
+// Golden frames for the JT808, GT06 and HQ codecs. Every case is checked
+// three ways: encode(message) gives the golden frame, decode(frame) gives the
+// message back, and encode(decode(frame)) reproduces the frame byte for byte.
+// The framers are fed the frames at once, byte by byte and split at every offset.
+// Run: npm test
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as jt808 from "../jt808.js";
+import * as gt06 from "../gt06.js";
+import * as hq from "../hq.js";
+
+const hex = (s) => Buffer.from(s, "hex");
+
+// `actual` cut down to the keys of `expected`; decoders add derived fields
+// (flags, raw strings, ...) that the encoders do not take
+function pick(actual, expected) {
+  if (Array.isArray(expected)) return Array.isArray(actual) ? expected.map((e, i) => pick(actual[i], e)) : actual;
+  if (expected && typeof expected === "object" && !Buffer.isBuffer(expected) && actual && typeof actual === "object") {
+    return Object.fromEntries(Object.keys(expected).map((key) => [key, pick(actual[key], expected[key])]));
+  }
+  return actual;
+}
+
+function roundTrips(codec, cases) {
+  for (const { name, message, frame } of cases) {
+    describe(name, () => {
+      it("encodes to the golden frame", () => {
+        assert.equal(codec.encode(message).toString("hex"), frame);
+      });
+      it("decodes the golden frame to the message", () => {
+        assert.deepEqual(pick(codec.decode(hex(frame)), message), message);
+      });
+      it("re-encodes the decoded frame byte for byte", () => {
+        assert.equal(codec.encode(codec.decode(hex(frame))).toString("hex"), frame);
+      });
+    });
+  }
+}
+
+function frames(createFramer, cases) {
+  const golden = cases.map(({ frame }) => hex(frame));
+  const stream = Buffer.concat(golden);
+
+  it("splits concatenated frames", () => {
+    assert.deepEqual(createFramer().push(stream), golden);
+  });
+  it("skips bytes before the first frame", () => {
+    assert.deepEqual(createFramer().push(Buffer.concat([hex("000102"), stream])), golden);
+  });
+  it("joins frames fed byte by byte", () => {
+    const framer = createFramer();
+    const out = [];
+    for (let i = 0; i < stream.length; i++) out.push(...framer.push(stream.subarray(i, i + 1)));
+    assert.deepEqual(out, golden);
+  });
+  it("joins frames split at any offset", () => {
+    for (let i = 1; i < stream.length; i++) {
+      const framer = createFramer();
+      const out = [...framer.push(stream.subarray(0, i)), ...framer.push(stream.subarray(i))];
+      assert.deepEqual(out, golden, `split at ${i}`);
+    }
+  });
+}
+
+/* ─────────── JT808 ─────────── */
+
+const TERMINAL = "13800138000";
+
+const JT808_LOCATION = {
+  alarm: 0x00000002,
+  status: 0x00040007, // ACC on, fixed, south latitude, GPS used
+  latitude: -33.86882,
+  longitude: 151.209296,
+  altitude_m: 58,
+  speed_kmh: 72.5,
+  course_deg: 270,
+  time_utc: "2026-10-19T08:30:15.000Z",
+};
+
+const JT808_CASES = [
+  {
+    name: "0x0001 terminal general response",
+    message: { msgId: 0x0001, terminal: TERMINAL, seq: 7, version: 2013,
+      decoded: { reply_seq: 0x1234, reply_msg_id: 0x8103, result: 3 } },
+    frame: "7e00010005013800138000000712348103030e7e",
+  },
+  {
+    name: "0x0100 register (2013)",
+    message: { msgId: 0x0100, terminal: TERMINAL, seq: 1, version: 2013,
+      decoded: { province_id: 44, city_id: 300, manufacturer_id: "MV77G", terminal_model: "MV77G-4G",
+        terminal_id: "T000001", plate_color: 0, plate_number: "LSVAM4187C2184847" } },
+    frame: "7e010000360138001380000001002c012c4d563737474d563737472d3447000000000000000000000000543030303030" +
+      "31004c5356414d343138374332313834383437ae7e",
+  },
+  {
+    name: "0x0100 register (2019)",
+    message: { msgId: 0x0100, terminal: TERMINAL, seq: 1, version: 2019, protocolVersion: 1,
+      decoded: { province_id: 44, city_id: 300, manufacturer_id: "MICODUS", terminal_model: "MV77G-4G-2019",
+        terminal_id: "MV77G0000000001", plate_color: 0, plate_number: "LSVAM4187C2184847" } },
+    frame: "7e0100405d01000000000138001380000001002c012c4d49434f445553000000004d563737472d34472d323031390000" +
+      "0000000000000000000000000000004d5637374730303030303030303031000000000000000000000000000000004c53" +
+      "56414d343138374332313834383437bd7e",
+  },
+  {
+    name: "0x0102 authentication (2013)",
+    message: { msgId: 0x0102, terminal: TERMINAL, seq: 2, version: 2013,
+      decoded: { auth_code: "910e97acfee14b1b" } },
+    frame: "7e01020010013800138000000239313065393761636665653134623162b87e",
+  },
+  {
+    name: "0x0102 authentication (2019)",
+    message: { msgId: 0x0102, terminal: TERMINAL, seq: 2, version: 2019, protocolVersion: 1,
+      decoded: { auth_code: "910e97acfee14b1b", imei: "861234567890123", software_version: "V1.2.3" } },
+    frame: "7e0102403401000000000138001380000002103931306539376163666565313462316238363132333435363738393031" +
+      "323356312e322e330000000000000000000000000000947e",
+  },
+  {
+    name: "0x0104 parameter query response",
+    message: { msgId: 0x0104, terminal: TERMINAL, seq: 9, version: 2013,
+      decoded: { reply_seq: 0x0021, params: { heartbeat_interval: 30, apn: "internet", "0xf001": "0a0b" } } },
+    frame: "7e01040020013800138000000900210300000001040000001e0000001008696e7465726e65740000f001020a0b4e7e",
+  },
+  {
+    name: "0x0200 location with additional information",
+    message: { msgId: 0x0200, terminal: TERMINAL, seq: 3, version: 2013,
+      decoded: { ...JT808_LOCATION, extra: {
+        mileage_km: 12345.6,
+        fuel_l: 40.5,
+        recorder_speed_kmh: 72.4,
+        alarm_event_id: 3,
+        overspeed: { area_type: 1, area_id: 9 },
+        area_alarm: { area_type: 2, area_id: 17, direction: "out" },
+        route_time_alarm: { route_id: 5, drive_time_s: 600, result: "too_long" },
+        ext_signal_status: 1,
+        io_status: 2,
+        analog: { ad0: 100, ad1: 200 },
+        signal_strength: 25,
+        satellites: 11,
+        unknown: { "0xe1": "01020304" },
+      } } },
+    frame: "7e02000062013800138000000300000002000400070204cc1409034550003a02d5010e26101908301501040001e24002" +
+      "020195030202d4040200031105010000000912060200000011011307000000050258012504000000012a0200022b0400" +
+      "c8006430011931010be10401020304227e",
+  },
+  {
+    name: "0x0200 location with escaped bytes",
+    message: { msgId: 0x0200, terminal: TERMINAL, seq: 0x7e7d, version: 2013,
+      decoded: { alarm: 0, status: 0x00000003, latitude: 22.543096, longitude: 114.057865, altitude_m: 12,
+        speed_kmh: 0, course_deg: 0, time_utc: "2026-10-19T08:31:00.000Z", extra: {} } },
+    frame: "7e0200001c0138001380007d027d0100000000000000030157faf806cc6289000c00000000261019083100db7e",
+  },
+  {
+    name: "0x0704 batch location upload",
+    message: { msgId: 0x0704, terminal: TERMINAL, seq: 4, version: 2013,
+      decoded: { type: 1, items: [
+        { ...JT808_LOCATION, extra: { satellites: 9 } },
+        { ...JT808_LOCATION, speed_kmh: 60, time_utc: "2026-10-19T08:30:45.000Z", extra: {} },
+      ] } },
+    frame: "7e070400420138001380000004000201001f00000002000400070204cc1409034550003a02d5010e2610190830153101" +
+      "09001c00000002000400070204cc1409034550003a0258010e2610190830450b7e",
+  },
+  {
+    name: "0x8001 platform general response",
+    message: { msgId: 0x8001, terminal: TERMINAL, seq: 10, version: 2013,
+      decoded: { reply_seq: 3, reply_msg_id: 0x0200, result: 1 } },
+    frame: "7e80010005013800138000000a0003020001247e",
+  },
+  {
+    name: "0x8003 retransmission request (2013)",
+    message: { msgId: 0x8003, terminal: TERMINAL, seq: 11, version: 2013,
+      decoded: { first_seq: 100, ids: [2, 4] } },
+    frame: "7e80030007013800138000000b00640200020004457e",
+  },
+  {
+    name: "0x8003 retransmission request (2019)",
+    message: { msgId: 0x8003, terminal: TERMINAL, seq: 11, version: 2019, protocolVersion: 1,
+      decoded: { first_seq: 100, ids: [2, 4] } },
+    frame: "7e800340080100000000013800138000000b00640002000200040b7e",
+  },
+  {
+    name: "0x8100 register response",
+    message: { msgId: 0x8100, terminal: TERMINAL, seq: 12, version: 2013,
+      decoded: { reply_seq: 1, result: 0, auth_code: "910e97acfee14b1b" } },
+    frame: "7e81000013013800138000000c00010039313065393761636665653134623162367e",
+  },
+  {
+    name: "0x8103 set terminal parameters",
+    message: { msgId: 0x8103, terminal: TERMINAL, seq: 13, version: 2013,
+      decoded: { params: { heartbeat_interval: 60, server_address: "gps.example.com", tcp_port: 7700,
+        province_id: 44, plate_color: 1 } } },
+    frame: "7e81030034013800138000000d0500000001040000003c000000130f6770732e6578616d706c652e636f6d0000001804" +
+      "00001e140000008102002c000000840101617e",
+  },
+  {
+    name: "0x8104 query all parameters (no body)",
+    message: { msgId: 0x8104, terminal: TERMINAL, seq: 14, version: 2013, bodyBytes: Buffer.alloc(0) },
+    frame: "7e81040000013800138000000e217e",
+  },
+  {
+    name: "0x8106 query terminal parameters",
+    message: { msgId: 0x8106, terminal: TERMINAL, seq: 15, version: 2013,
+      decoded: { params: ["heartbeat_interval", "apn", "0x0f01"] } },
+    frame: "7e8106000d013800138000000f03000000010000001000000f01337e",
+  },
+  {
+    name: "sub-package of a 0x0200 location",
+    message: { msgId: 0x0200, terminal: TERMINAL, seq: 16, version: 2013, pkg: { total: 2, idx: 1 },
+      bodyBytes: hex("00000000000000030158fb18") },
+    frame: "7e0200200c01380013800000100002000100000000000000030158fb182e7e",
+  },
+];
+
+describe("jt808", () => {
+  roundTrips(jt808, JT808_CASES);
+  describe("createFramer", () => frames(jt808.createFramer, JT808_CASES));
+});
+
+/* ─────────── GT06 ─────────── */
+
+const GT06_FIX = {
+  timestamp: "2026-10-19T08:30:15.000Z",
+  satellites: 9,
+  latitude: 22.5,
+  longitude: 114.057865,
+  speed: 60,
+  course: 180,
+  gps_valid: true,
+  gps_differential: false,
+};
+const GT06_LBS = { mcc: 460, mnc: 0, lac: 0x2795, cell_id: 0x00e3c9 };
+const GT06_TERMINAL = { armed: false, acc_on: true, charging: true, alarm_code: 4, gps_tracking: true, fuel_cut: false };
+
+const GT06_CASES = [
+  {
+    name: "0x01 login",
+    message: { protocol: 0x01, serial: 1, decoded: { imei: "359339075123456", type_id: 0x3132, timezone_minutes: 480 } },
+    frame: "787811010359339075123456313232000001630b0d0a",
+  },
+  {
+    name: "0x01 login (west timezone)",
+    message: { protocol: 0x01, serial: 1, decoded: { imei: "359339075123456", type_id: 0x3132, timezone_minutes: -330 } },
+    frame: "787811010359339075123456313221280001409e0d0a",
+  },
+  {
+    name: "0x01 login ack (no content)",
+    message: { protocol: 0x01, serial: 1, info: Buffer.alloc(0) },
+    frame: "787805010001d9dc0d0a",
+  },
+  {
+    name: "0x12 location",
+    message: { protocol: 0x12, serial: 2, decoded: { ...GT06_FIX, lbs: GT06_LBS } },
+    frame: "78781f121a0a13081e0fc90269fb200c3cb15d3c14b401cc00279500e3c90002e4ae0d0a",
+  },
+  {
+    name: "0x22 location with ACC and mileage",
+    message: { protocol: 0x22, serial: 3, decoded: { ...GT06_FIX, latitude: -34.6037, longitude: -58.3816,
+      gps_differential: true, lbs: GT06_LBS, acc_on: true, upload_mode: 2, reupload: true, mileage_m: 123456 } },
+    frame: "787826221a0a13081e0fc903b66b4406437fa03c38b401cc00279500e3c90102010001e2400003fe8f0d0a",
+  },
+  {
+    name: "0x22 location without ACC",
+    message: { protocol: 0x22, serial: 4, decoded: { ...GT06_FIX, gps_valid: false, lbs: GT06_LBS } },
+    frame: "78781f221a0a13081e0fc90269fb200c3cb15d3c04b401cc00279500e3c90004a0600d0a",
+  },
+  {
+    name: "0x13 status",
+    message: { protocol: 0x13, serial: 5, decoded: { terminal: GT06_TERMINAL, voltage_level: 6, gsm_signal: 4,
+      alarm: 0x01, language: 2 } },
+    frame: "78780a1366060401020005b3730d0a",
+  },
+  {
+    name: "0x16 alarm with LBS",
+    message: { protocol: 0x16, serial: 6, decoded: { ...GT06_FIX, lbs: GT06_LBS, terminal: GT06_TERMINAL,
+      voltage_level: 5, gsm_signal: 3, alarm: 0x01, language: 2 } },
+    frame: "787825161a0a13081e0fc90269fb200c3cb15d3c14b40901cc00279500e3c9660503010200062d860d0a",
+  },
+  {
+    name: "0x26 alarm without LBS",
+    message: { protocol: 0x26, serial: 7, decoded: { ...GT06_FIX, lbs: null, terminal: { ...GT06_TERMINAL, alarm_code: 2 },
+      voltage_level: 3, gsm_signal: 2, alarm: 0x02 } },
+    frame: "78781c261a0a13081e0fc90269fb200c3cb15d3c14b40056030202000723380d0a",
+  },
+  {
+    name: "0x15 command reply",
+    message: { protocol: 0x15, serial: 8, decoded: { server_flag: 1, response: "RELAY:OK", language: 2 } },
+    frame: "787814150c0000000152454c41593a4f4b00020008e0700d0a",
+  },
+  {
+    name: "0x21 command reply (ASCII)",
+    message: { protocol: 0x21, serial: 9, extended: true, decoded: { server_flag: 2, encoding: 1, response: "Relay:1" } },
+    frame: "7979001121000000020152656c61793a310009a0e20d0a",
+  },
+  {
+    name: "0x21 command reply (UTF-16)",
+    message: { protocol: 0x21, serial: 10, extended: true, decoded: { server_flag: 2, encoding: 2, response: "断油电成功" } },
+    frame: "7979001421000000020265ad6cb975356210529f000a4b110d0a",
+  },
+  {
+    name: "0x80 server command",
+    message: { protocol: 0x80, serial: 11, decoded: { server_flag: 3, command: "RELAY,1#", language: 2 } },
+    frame: "787814800c0000000352454c41592c31230002000b4a4d0d0a",
+  },
+];
+
+describe("gt06", () => {
+  roundTrips(gt06, GT06_CASES);
+  describe("createFramer", () => frames(gt06.createFramer, GT06_CASES));
+});
+
+/* ─────────── HQ ─────────── */
+
+const IMEI = "4209917478";
+const HQ_FIX = {
+  timestamp: "2026-10-19T08:30:15.000Z",
+  valid: true,
+  latitude: 32.5,
+  longitude: -34.75,
+  speed_knots: 12.5,
+  course: "90",
+  state: "FFFFFBFF",
+};
+
+const HQ_CASES = [
+  {
+    name: "V1 position",
+    message: { imei: IMEI, command: "V1", ...HQ_FIX },
+    frame: "2a48512c343230393931373437382c56312c3038333031352c412c333233302e303030302c4e2c30333434352e303030" +
+      "302c572c31322e35302c39302c3139313032362c464646464642464623",
+  },
+  {
+    name: "V19 position",
+    message: { imei: IMEI, command: "V19", ...HQ_FIX, valid: false },
+    frame: "2a48512c343230393931373437382c5631392c3038333031352c562c333233302e303030302c4e2c30333434352e3030" +
+      "30302c572c31322e35302c39302c3139313032362c464646464642464623",
+  },
+  {
+    name: "V4 confirmation with position",
+    message: { imei: IMEI, command: "V4", ack_command: "S20", ack_args: ["1", "1"], ...HQ_FIX },
+    frame: "2a48512c343230393931373437382c56342c5332302c312c312c3038333031352c412c333233302e303030302c4e2c30" +
+      "333434352e303030302c572c31322e35302c39302c3139313032362c464646464642464623",
+  },
+  {
+    name: "V4 confirmation without position",
+    message: { imei: IMEI, command: "V4", ack_command: "D1", ack_args: ["30", "1"] },
+    frame: "2a48512c343230393931373437382c56342c44312c33302c3123",
+  },
+  {
+    name: "NBR cell report",
+    message: { imei: IMEI, command: "NBR", time_raw: "083015", mcc: 460, mnc: 0, ta: 255,
+      cells: [{ lac: 10133, cid: 58313, rssi: -62 }, { lac: 10133, cid: 58314, rssi: -75 }],
+      date_raw: "191026", state: "FFFFFBFF" },
+    frame: "2a48512c343230393931373437382c4e42522c3038333031352c3436302c302c3235352c322c31303133332c35383331" +
+      "332c2d36322c31303133332c35383331342c2d37352c3139313032362c464646464642464623",
+  },
+  {
+    name: "LINK heartbeat",
+    message: { imei: IMEI, command: "LINK", time_raw: "083015", gsm: 25, satellites: 9, battery: 80, steps: 1200,
+      turnovers: 3, date_raw: "191026", state: "FFFFFBFF" },
+    frame: "2a48512c343230393931373437382c4c494e4b2c3038333031352c32352c392c38302c313230302c332c313931303236" +
+      "2c464646464642464623",
+  },
+  {
+    name: "HTBT heartbeat with battery",
+    message: { imei: IMEI, command: "HTBT", battery: 80 },
+    frame: "2a48512c343230393931373437382c485442542c383023",
+  },
+  {
+    name: "HTBT heartbeat",
+    message: { imei: IMEI, command: "HTBT" },
+    frame: "2a48512c343230393931373437382c4854425423",
+  },
+  {
+    name: "raw command fields",
+    message: { imei: IMEI, command: "S20", args: ["083015", "1", "1"] },
+    frame: "2a48512c343230393931373437382c5332302c3038333031352c312c3123",
+  },
+  {
+    name: "$ binary position report",
+    message: { imei: IMEI, command: "BIN", ...HQ_FIX, speed_knots: 12, battery: 80, trailer: "0a0b0c" },
+    frame: "24420991747808301519102632300000500344500006012090fffffbff0a0b0c",
+  },
+];
+
+describe("hq", () => {
+  roundTrips(hq, HQ_CASES);
+  describe("createFramer", () => frames(hq.createFramer, HQ_CASES));
+});
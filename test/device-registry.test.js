@@ -0,0 +1,158 @@
+// device-registry.test.js  (ESM)
+// Device registry: which devices are refused, and a strict-mode server that
+// drops unknown and disabled devices on every protocol.
+
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { createDeviceRegistry } from "../device-registry.js";
+import { PROTOCOL } from "../gps-mux.js";
+import * as gt06 from "../gt06.js";
+import * as hq from "../hq.js";
+import * as jt808 from "../jt808.js";
+
+describe("device registry", () => {
+  it("refuses only disabled devices outside strict mode", () => {
+    const registry = createDeviceRegistry({ file: null, strict: false });
+    registry.create({ id: "A", protocol: PROTOCOL.GT06 });
+    registry.create({ id: "B", enabled: false });
+
+    assert.equal(registry.refusal("A", PROTOCOL.GT06), null);
+    assert.equal(registry.refusal("A", PROTOCOL.HQ), null);
+    assert.equal(registry.refusal("unknown", PROTOCOL.JT808), null);
+    for (const protocol of Object.values(PROTOCOL)) assert.equal(registry.refusal("B", protocol), "disabled");
+  });
+
+  it("also refuses unknown devices and the wrong protocol in strict mode", () => {
+    const registry = createDeviceRegistry({ file: null, strict: true });
+    registry.create({ id: "A", protocol: PROTOCOL.GT06 });
+    registry.create({ id: "any" });
+    registry.create({ id: "B", protocol: PROTOCOL.JT808, enabled: false });
+
+    assert.equal(registry.refusal("A", PROTOCOL.GT06), null);
+    assert.equal(registry.refusal("A", PROTOCOL.JT808), "registered for gt06");
+    for (const protocol of Object.values(PROTOCOL)) {
+      assert.equal(registry.refusal("any", protocol), null);
+      assert.equal(registry.refusal("unknown", protocol), "not registered");
+      assert.equal(registry.refusal("B", protocol), "disabled");
+    }
+  });
+
+  it("validates entries and enriches records with their metadata", () => {
+    const registry = createDeviceRegistry({ file: null });
+    assert.throws(() => registry.create({ name: "no id" }), /id .* is required/);
+    assert.throws(() => registry.create({ id: "A", protocol: "nmea" }), /protocol must be one of/);
+    assert.throws(() => registry.create({ id: "A", enabled: "no" }), /enabled must be true or false/);
+
+    registry.create({ id: "A", name: " Van 1 ", plate: "B-AB 123" });
+    assert.deepEqual(registry.enrich({ deviceId: "A", speed: 1 }).device, { name: "Van 1", plate: "B-AB 123", driver: null, group: null });
+    assert.deepEqual(registry.enrich({ deviceId: "B" }), { deviceId: "B" });
+  });
+});
+
+describe("strict registry on the TCP server", () => {
+  const GT06_IMEI = "868120145233604";
+  const HQ_IMEI = "4209917478";
+  const TERMINAL = "13800000001";
+  let dir;
+  let server;
+  let port;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+    Object.assign(process.env, {
+      POSITION_STORE_DIR: path.join(dir, "positions"),
+      ALARM_STORE_DIR: path.join(dir, "alarms"),
+      GEOFENCE_FILE: path.join(dir, "geofences.json"),
+      RULES_FILE: path.join(dir, "rules.json"),
+      WEBHOOK_DIR: path.join(dir, "webhooks"),
+      JT808_AUTH_FILE: path.join(dir, "jt808-auth.json"),
+      DEVICE_REGISTRY_FILE: path.join(dir, "registry.json"),
+      DEVICE_REGISTRY_STRICT: "true",
+    });
+    mock.method(console, "log", () => {}); // the server logs every packet
+    const { MV77GServer } = await import("../c_gps.js");
+    server = new MV77GServer();
+    server.tcpPort = 0;
+    server.httpPort = 0;
+    await server.start();
+    port = server.tcpServer.address().port;
+  });
+
+  after(() => {
+    server.stop();
+    mock.restoreAll();
+    delete process.env.DEVICE_REGISTRY_STRICT;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // send `frame`; resolves with { dropped, replies } once the server closed
+  // the connection or stayed quiet for a while
+  async function send(frame) {
+    const socket = net.connect(port, "127.0.0.1");
+    const replies = [];
+    socket.on("data", (chunk) => replies.push(chunk));
+    const closed = new Promise((resolve) => socket.on("close", () => resolve(true)));
+    await new Promise((resolve) => socket.on("connect", resolve));
+    socket.write(frame);
+    const dropped = await Promise.race([closed, new Promise((resolve) => setTimeout(resolve, 300, false))]);
+    return { socket, dropped, replies: Buffer.concat(replies) };
+  }
+
+  const gt06Login = () => gt06.encode({ protocol: gt06.GT06_PROTOCOL.LOGIN, decoded: { imei: GT06_IMEI } });
+  const hqFix = () => hq.encode({
+    imei: HQ_IMEI, command: "V1", timestamp: new Date().toISOString(), valid: true,
+    latitude: 32.5, longitude: -34.75, speed_knots: 12.5, course: "90", state: "FFFFFBFF",
+  });
+  const jt808Register = () => jt808.encode({
+    msgId: 0x0100,
+    terminal: TERMINAL,
+    decoded: { province_id: 0, city_id: 0, manufacturer_id: "M", terminal_model: "X", terminal_id: "D1", plate_color: 0, plate_number: "P" },
+  });
+
+  it("drops devices that are not registered", async () => {
+    for (const frame of [gt06Login(), hqFix(), jt808Register()]) {
+      const { dropped, replies } = await send(frame);
+      assert.equal(dropped, true);
+      assert.equal(replies.length, 0);
+    }
+    assert.equal(server.sessions.list().length, 0);
+    assert.equal(server.positionStore.size, 0);
+    assert.equal(server.jt808Auth.get(TERMINAL), null);
+  });
+
+  it("accepts a registered device and drops it once disabled", async () => {
+    server.registry.create({ id: GT06_IMEI, protocol: PROTOCOL.GT06 });
+    const { socket, dropped, replies } = await send(gt06Login());
+    assert.equal(dropped, false);
+    assert.deepEqual(replies, gt06.buildGT06Ack(gt06.GT06_PROTOCOL.LOGIN, gt06.decode(replies).serial));
+    assert.equal(server.sessions.get(GT06_IMEI).online, true);
+
+    server.registry.update(GT06_IMEI, { protocol: PROTOCOL.GT06, enabled: false });
+    const closed = new Promise((resolve) => socket.on("close", resolve));
+    socket.write(gt06.encode({ protocol: gt06.GT06_PROTOCOL.STATUS, decoded: { terminal_info: 0, voltage_level: 4, gsm_signal: 3 } }));
+    await closed;
+    assert.equal((await send(gt06Login())).dropped, true);
+  });
+
+  it("refuses a disabled device on each protocol", async () => {
+    server.registry.create({ id: HQ_IMEI, enabled: false });
+    server.registry.create({ id: TERMINAL, enabled: false });
+    assert.equal((await send(hqFix())).dropped, true);
+    assert.equal((await send(jt808Register())).dropped, true);
+    assert.equal(server.positionStore.size, 0);
+
+    // enabled, but registered for another protocol
+    server.registry.update(HQ_IMEI, { protocol: PROTOCOL.JT808 });
+    assert.equal((await send(hqFix())).dropped, true);
+    server.registry.update(HQ_IMEI, { protocol: PROTOCOL.HQ });
+    const { socket, dropped } = await send(hqFix());
+    assert.equal(dropped, false);
+    assert.equal(server.positionStore.size, 1);
+    socket.destroy();
+    while (server.sessions.get(HQ_IMEI).online) await new Promise((resolve) => setTimeout(resolve, 5));
+  });
+});
@@ -0,0 +1,170 @@
+// event-stream.test.js  (ESM)
+// SSE hub: resuming with Last-Event-ID over a real HTTP connection, gaps, and
+// a slow client that backs up its socket (a stand-in response object).
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import http from "http";
+import express from "express";
+import { createEventHub } from "../event-stream.js";
+
+// "id: ..\nevent: ..\ndata: ..\n\n" blocks → [{ id, event, data }]
+function parseEvents(text) {
+  return text.split("\n\n").flatMap((block) => {
+    const fields = Object.fromEntries(block.split("\n").filter((l) => /^(id|event|data): /.test(l)).map((l) => l.split(/: (.*)/s)));
+    return fields.event ? [{ ...fields, data: JSON.parse(fields.data) }] : [];
+  });
+}
+
+describe("event stream", () => {
+  let hub;
+  let server;
+  let base;
+
+  before(async () => {
+    hub = createEventHub({ bufferSize: 5 });
+    const app = express();
+    app.get("/stream", (req, res) => hub.serve(req, res, { devices: req.query.devices?.split(",") }));
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}/stream`;
+  });
+  after(() => server.close());
+
+  // open a stream; `events()` is everything parsed so far
+  async function connect(query = "", headers = {}) {
+    let text = "";
+    const req = http.get(base + query, { headers });
+    const res = await new Promise((resolve) => req.on("response", resolve));
+    res.setEncoding("utf8");
+    res.on("data", (chunk) => (text += chunk));
+    await waitFor(() => text.includes("retry:"));
+    return { events: () => parseEvents(text), close: () => req.destroy() };
+  }
+
+  async function waitFor(check, ms = 2000) {
+    const until = Date.now() + ms;
+    while (!check()) {
+      if (Date.now() > until) throw new Error("timed out");
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  const position = (deviceId, seq) => hub.publish("position", { deviceId, seq });
+  const seqs = (events) => events.map((e) => e.data.seq);
+
+  it("resumes after Last-Event-ID with what the client missed", async () => {
+    const first = await connect();
+    position("A", 1);
+    position("A", 2);
+    await waitFor(() => first.events().length === 2);
+    const lastId = first.events()[1].id;
+    first.close();
+    await waitFor(() => hub.clients === 0);
+
+    position("A", 3);
+    position("A", 4);
+    const second = await connect("", { "Last-Event-ID": lastId });
+    await waitFor(() => second.events().length === 2);
+    position("A", 5);
+    await waitFor(() => second.events().length === 3);
+    second.close();
+
+    const events = second.events();
+    assert.deepEqual(seqs(events), [3, 4, 5]);
+    assert.ok(events.every((e) => e.event === "position"));
+    assert.equal(new Set(events.map((e) => e.id)).size, 3);
+  });
+
+  it("takes the ID from ?lastEventId= and applies the filter to the replay", async () => {
+    const from = position("A", 1);
+    position("B", 2);
+    position("A", 3);
+    const client = await connect(`?devices=A&lastEventId=${from.id}`);
+    await waitFor(() => client.events().length === 1);
+    client.close();
+    assert.deepEqual(seqs(client.events()), [3]);
+  });
+
+  it("sends a gap event when the requested ID is no longer buffered", async () => {
+    const from = position("A", 1);
+    for (let seq = 2; seq <= 8; seq++) position("A", seq);
+
+    for (const lastEventId of [from.id, "older-boot.12"]) {
+      const client = await connect("", { "Last-Event-ID": lastEventId });
+      await waitFor(() => client.events().length === 6);
+      client.close();
+      const [gap, ...replayed] = client.events();
+      assert.equal(gap.event, "gap");
+      assert.equal(gap.data.lastEventId, lastEventId);
+      assert.equal(gap.data.oldestAvailable, replayed[0].id);
+      assert.deepEqual(seqs(replayed), [4, 5, 6, 7, 8]);
+    }
+  });
+});
+
+describe("event stream backpressure", () => {
+  // a response whose socket backs up while `full` is set
+  function slowClient(hub, { headers = {}, full = false } = {}) {
+    const req = Object.assign(new EventEmitter(), { query: {}, get: (name) => headers[name] });
+    const res = Object.assign(new EventEmitter(), {
+      full,
+      chunks: [],
+      writeHead() {},
+      write(chunk) {
+        this.chunks.push(chunk);
+        return !this.full;
+      },
+    });
+    hub.serve(req, res);
+    const seqs = () => parseEvents(res.chunks.join("")).map((e) => (e.event === "gap" ? "gap" : e.data.seq));
+    return { req, res, seqs };
+  }
+
+  it("stops writing to a backed-up client and catches up on drain", () => {
+    const hub = createEventHub({ bufferSize: 10 });
+    const { req, res, seqs } = slowClient(hub);
+    hub.publish("position", { deviceId: "A", seq: 1 });
+    res.full = true;
+    hub.publish("position", { deviceId: "A", seq: 2 }); // write() returns false
+    hub.publish("position", { deviceId: "A", seq: 3 });
+    hub.publish("position", { deviceId: "A", seq: 4 });
+    assert.deepEqual(seqs(), [1, 2]);
+
+    // still full after one more write: the rest waits for the next drain
+    res.emit("drain");
+    assert.deepEqual(seqs(), [1, 2, 3]);
+    res.full = false;
+    res.emit("drain");
+    assert.deepEqual(seqs(), [1, 2, 3, 4]);
+    hub.publish("position", { deviceId: "A", seq: 5 });
+    assert.deepEqual(seqs(), [1, 2, 3, 4, 5]);
+
+    req.emit("close");
+    assert.equal(hub.clients, 0);
+  });
+
+  it("reports a gap when the buffer moved past a backed-up client", () => {
+    const hub = createEventHub({ bufferSize: 3 });
+    const { res, seqs } = slowClient(hub);
+    res.full = true;
+    for (let seq = 1; seq <= 6; seq++) hub.publish("position", { deviceId: "A", seq });
+    res.full = false;
+    res.emit("drain");
+    assert.deepEqual(seqs(), [1, "gap", 4, 5, 6]);
+  });
+
+  it("pauses a replay that fills the socket", () => {
+    const hub = createEventHub({ bufferSize: 10 });
+    const first = hub.publish("position", { deviceId: "A", seq: 1 });
+    for (let seq = 2; seq <= 5; seq++) hub.publish("position", { deviceId: "A", seq });
+    const { res, seqs } = slowClient(hub, { headers: { "Last-Event-ID": first.id }, full: true });
+    assert.deepEqual(seqs(), [2]);
+    hub.publish("position", { deviceId: "A", seq: 6 });
+    assert.deepEqual(seqs(), [2]);
+    res.full = false;
+    res.emit("drain");
+    assert.deepEqual(seqs(), [2, 3, 4, 5, 6]);
+  });
+});
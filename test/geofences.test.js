@@ -0,0 +1,109 @@
+// geofences.test.js  (ESM)
+// Geofence evaluation: enter/exit with hysteresis and one dwell per visit.
+// Fences are kept in memory only (file: null).
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createGeofenceRegistry, GEOFENCE_EVENT, signedDistance } from "../geofences.js";
+
+const T0 = Date.parse("2026-10-19T08:00:00.000Z");
+const CENTER = { latitude: 52, longitude: 13 };
+const M_PER_DEGREE = 111_195;
+
+// a position `meters` outside the 100 m yard (negative: inside), `seconds` after T0
+const at = (meters, seconds = 0, extra = {}) => ({
+  deviceId: "A",
+  timestamp: new Date(T0 + seconds * 1000).toISOString(),
+  latitude: CENTER.latitude + (100 + meters) / M_PER_DEGREE,
+  longitude: CENTER.longitude,
+  ...extra,
+});
+
+function create(opts = {}, fence = {}) {
+  const registry = createGeofenceRegistry({ file: null, hysteresisMeters: 25, dwellSeconds: 600, ...opts });
+  registry.create({ id: "yard", type: "circle", center: CENTER, radius: 100, ...fence });
+  const events = (p) => registry.evaluate(p).map((e) => e.event);
+  return { registry, events };
+}
+
+describe("geofences", () => {
+  it("measures the signed distance to circles and polygons", () => {
+    const { registry } = create();
+    assert.ok(Math.abs(signedDistance(registry.get("yard"), at(40)) - 40) < 0.5);
+    assert.ok(Math.abs(signedDistance(registry.get("yard"), at(-40)) + 40) < 0.5);
+
+    const square = registry.create({
+      type: "polygon",
+      points: [{ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 0.01 }, { latitude: 0.01, longitude: 0.01 }, { latitude: 0.01, longitude: 0 }],
+    });
+    assert.ok(signedDistance(square, { latitude: 0.005, longitude: 0.005 }) < 0);
+    assert.ok(signedDistance(square, { latitude: 0.02, longitude: 0.005 }) > 0);
+  });
+
+  it("only sets the side on the first position", () => {
+    const { events } = create();
+    assert.deepEqual(events(at(-50)), []);
+    assert.deepEqual(events(at(50, 10)), [GEOFENCE_EVENT.EXIT]);
+  });
+
+  it("does not flap on jitter across the boundary", () => {
+    const { events } = create();
+    events(at(200));
+    assert.deepEqual(events(at(-30, 10)), [GEOFENCE_EVENT.ENTER]);
+
+    // ±20 m around the edge: inside the 25 m hysteresis band on both sides
+    const jitter = [20, -20, 15, -10, 20, 5, -20];
+    assert.deepEqual(jitter.flatMap((m, i) => events(at(m, 20 + i * 10))), []);
+
+    assert.deepEqual(events(at(30, 100)), [GEOFENCE_EVENT.EXIT]);
+    assert.deepEqual(jitter.flatMap((m, i) => events(at(m, 110 + i * 10))), []);
+    assert.deepEqual(events(at(-26, 200)), [GEOFENCE_EVENT.ENTER]);
+  });
+
+  it("fires dwell once per visit", () => {
+    const { events } = create();
+    events(at(200));
+    events(at(-50, 0));
+    assert.deepEqual(events(at(-50, 599)), []);
+    // jitter just outside the fence does not restart the clock
+    assert.deepEqual(events(at(20, 300)), []);
+    assert.deepEqual(events(at(-50, 600)), [GEOFENCE_EVENT.DWELL]);
+    assert.deepEqual(events(at(-50, 900)), []);
+    assert.deepEqual(events(at(10, 1200)), []);
+    assert.deepEqual(events(at(-50, 3600)), []);
+
+    // leaving and coming back starts a new visit
+    assert.deepEqual(events(at(100, 4000)), [GEOFENCE_EVENT.EXIT]);
+    assert.deepEqual(events(at(-50, 4100)), [GEOFENCE_EVENT.ENTER]);
+    assert.deepEqual(events(at(-50, 4700)), [GEOFENCE_EVENT.DWELL]);
+  });
+
+  it("lets a fence override or disable dwell", () => {
+    const short = create({}, { dwellSeconds: 60 });
+    short.events(at(-50, 0));
+    assert.deepEqual(short.events(at(-50, 60)), [GEOFENCE_EVENT.DWELL]);
+
+    const off = create({}, { dwellSeconds: 0 });
+    off.events(at(-50, 0));
+    assert.deepEqual(off.events(at(-50, 86_400)), []);
+  });
+
+  it("skips other devices, historical uploads and positions without a fix", () => {
+    const { events } = create({}, { devices: ["B"] });
+    events(at(200));
+    assert.deepEqual(events(at(-50, 10)), []);
+    assert.deepEqual(events(at(200, 20, { deviceId: "B" })), []);
+    assert.deepEqual(events(at(-50, 30, { deviceId: "B", historical: true })), []);
+    assert.deepEqual(events({ deviceId: "B", timestamp: new Date(T0).toISOString() }), []);
+    assert.deepEqual(events(at(-50, 40, { deviceId: "B" })), [GEOFENCE_EVENT.ENTER]);
+  });
+
+  it("re-establishes every device's side when a fence changes", () => {
+    const { registry, events } = create();
+    events(at(-50));
+    registry.update("yard", { type: "circle", center: CENTER, radius: 40 });
+    // now outside, but the first position after the change only sets the side
+    assert.deepEqual(events(at(-50, 10)), []);
+    assert.deepEqual(events(at(-100, 20)), [GEOFENCE_EVENT.ENTER]);
+  });
+});
@@ -0,0 +1,205 @@
+// jt808-auth.test.js  (ESM)
+// JT808 registration / authentication state, the 0x8100 / 0x8001 answers,
+// and a server where a socket that did not authenticate cannot take over an
+// authenticated terminal's session.
+
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { PROTOCOL } from "../gps-mux.js";
+import * as jt808 from "../jt808.js";
+import { ACK_RESULT, createAuthRegistry, REGISTER_RESULT, sendAckIfNeeded } from "../jt808-auth.js";
+
+const TERMINAL = "13800000001";
+const REGISTRATION = { province_id: 0, city_id: 0, manufacturer_id: "M", terminal_model: "X", terminal_id: "D1", plate_color: 1, plate_number: "B-AB 123" };
+
+const create = (opts = {}) => createAuthRegistry({ file: null, allowed: [TERMINAL, "13800000002"], ...opts });
+
+describe("JT808 auth registry", () => {
+  it("issues an auth code that authenticates only its terminal", () => {
+    const auth = create();
+    const { result, authCode } = auth.register(TERMINAL, REGISTRATION);
+    assert.equal(result, REGISTER_RESULT.OK);
+    assert.match(authCode, /^[0-9a-f]{16}$/);
+
+    assert.equal(auth.authenticate(TERMINAL, authCode), ACK_RESULT.OK);
+    assert.ok(auth.get(TERMINAL).lastAuthAt);
+    assert.equal(auth.authenticate("13800000002", authCode), ACK_RESULT.FAIL);
+  });
+
+  it("fails authentication with a wrong or missing code", () => {
+    const auth = create();
+    const { authCode } = auth.register(TERMINAL, REGISTRATION);
+    assert.equal(auth.authenticate(TERMINAL, "0".repeat(16)), ACK_RESULT.FAIL);
+    assert.equal(auth.authenticate(TERMINAL, ""), ACK_RESULT.FAIL);
+    assert.equal(auth.authenticate(TERMINAL, undefined), ACK_RESULT.FAIL);
+    assert.equal(auth.get(TERMINAL).lastAuthAt, null);
+    assert.equal(auth.authenticate(TERMINAL, authCode), ACK_RESULT.OK);
+  });
+
+  it("refuses to register a terminal again while it holds a code", () => {
+    const auth = create();
+    const { authCode } = auth.register(TERMINAL, REGISTRATION);
+    assert.deepEqual(auth.register(TERMINAL, REGISTRATION), { result: REGISTER_RESULT.TERMINAL_REGISTERED });
+    // the held code is untouched
+    assert.equal(auth.get(TERMINAL).authCode, authCode);
+    assert.equal(auth.authenticate(TERMINAL, authCode), ACK_RESULT.OK);
+  });
+
+  it("lets a reset terminal register again with a new code", () => {
+    const auth = create();
+    const first = auth.register(TERMINAL, REGISTRATION).authCode;
+    assert.equal(auth.reset(TERMINAL), true);
+    assert.equal(auth.authenticate(TERMINAL, first), ACK_RESULT.FAIL);
+
+    const second = auth.register(TERMINAL, REGISTRATION);
+    assert.equal(second.result, REGISTER_RESULT.OK);
+    assert.notEqual(second.authCode, first);
+    assert.equal(auth.reset("13800000009"), false);
+  });
+
+  it("keeps a revoked terminal out until it is reinstated", () => {
+    const auth = create();
+    const { authCode } = auth.register(TERMINAL, REGISTRATION);
+    auth.revoke(TERMINAL);
+    assert.equal(auth.authenticate(TERMINAL, authCode), ACK_RESULT.FAIL);
+    assert.deepEqual(auth.register(TERMINAL, REGISTRATION), { result: REGISTER_RESULT.NO_TERMINAL });
+    assert.equal(auth.reset(TERMINAL), false);
+
+    assert.equal(auth.reinstate(TERMINAL), true);
+    // the old code is gone for good
+    assert.equal(auth.authenticate(TERMINAL, authCode), ACK_RESULT.FAIL);
+    assert.equal(auth.register(TERMINAL, REGISTRATION).result, REGISTER_RESULT.OK);
+    assert.equal(auth.reinstate("13800000009"), false);
+
+    // a terminal never seen can be revoked ahead of time
+    auth.revoke("13800000002");
+    assert.equal(auth.register("13800000002", {}).result, REGISTER_RESULT.NO_TERMINAL);
+  });
+
+  it("refuses terminals off the allow-list and plates already taken", () => {
+    const auth = create();
+    assert.deepEqual(auth.register("13900000000", REGISTRATION), { result: REGISTER_RESULT.NO_TERMINAL });
+    auth.register(TERMINAL, REGISTRATION);
+    assert.deepEqual(auth.register("13800000002", REGISTRATION), { result: REGISTER_RESULT.VEHICLE_REGISTERED });
+    assert.equal(auth.register("13800000002", { ...REGISTRATION, plate_number: "B-CD 456" }).result, REGISTER_RESULT.OK);
+  });
+
+  it("keeps codes across restarts", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jt808-auth-"));
+    try {
+      const file = path.join(dir, "auth.json");
+      const { authCode } = create({ file }).register(TERMINAL, REGISTRATION);
+      const reopened = create({ file });
+      assert.equal(reopened.authenticate(TERMINAL, authCode), ACK_RESULT.OK);
+      assert.deepEqual(reopened.list().map((t) => t.terminal), [TERMINAL]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("answers 0x0100 with 0x8100 and 0x0102 with 0x8001", () => {
+    const auth = create();
+    const written = [];
+    const socket = { write: (frame) => written.push(jt808.decode(frame)) };
+    const message = (msgId, decoded, seq) => jt808.decode(jt808.encode({ msgId, terminal: TERMINAL, seq, decoded }));
+
+    assert.equal(sendAckIfNeeded(socket, message(0x0100, REGISTRATION, 5), auth), REGISTER_RESULT.OK);
+    const [registered] = written;
+    assert.equal(registered.msgId, 0x8100);
+    assert.equal(registered.decoded.reply_seq, 5);
+    assert.equal(registered.decoded.auth_code, auth.get(TERMINAL).authCode);
+
+    assert.equal(sendAckIfNeeded(socket, message(0x0102, { auth_code: "nope" }, 6), auth), ACK_RESULT.FAIL);
+    assert.equal(sendAckIfNeeded(socket, message(0x0102, { auth_code: registered.decoded.auth_code }, 7), auth), ACK_RESULT.OK);
+    assert.deepEqual(written.slice(1).map((p) => [p.msgId, p.decoded.reply_seq, p.decoded.result]), [
+      [0x8001, 6, ACK_RESULT.FAIL],
+      [0x8001, 7, ACK_RESULT.OK],
+    ]);
+  });
+});
+
+describe("JT808 session takeover", () => {
+  let dir;
+  let server;
+  let port;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jt808-session-"));
+    Object.assign(process.env, {
+      POSITION_STORE_DIR: path.join(dir, "positions"),
+      ALARM_STORE_DIR: path.join(dir, "alarms"),
+      GEOFENCE_FILE: path.join(dir, "geofences.json"),
+      RULES_FILE: path.join(dir, "rules.json"),
+      WEBHOOK_DIR: path.join(dir, "webhooks"),
+      JT808_AUTH_FILE: path.join(dir, "jt808-auth.json"),
+      DEVICE_REGISTRY_FILE: path.join(dir, "registry.json"),
+    });
+    mock.method(console, "log", () => {}); // the server logs every packet
+    const { MV77GServer } = await import("../c_gps.js");
+    server = new MV77GServer();
+    server.tcpPort = 0;
+    server.httpPort = 0;
+    await server.start();
+    port = server.tcpServer.address().port;
+  });
+
+  after(() => {
+    server.stop();
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // a terminal connection; `send` resolves with the platform's reply
+  async function connect() {
+    const socket = net.connect(port, "127.0.0.1");
+    const framer = jt808.createFramer();
+    const waiting = [];
+    socket.gone = new Promise((resolve) => socket.on("close", resolve));
+    socket.on("data", (chunk) => {
+      for (const frame of framer.push(chunk)) {
+        waiting.shift()?.(jt808.decode(frame));
+      }
+    });
+    await new Promise((resolve) => socket.on("connect", resolve));
+    socket.send = (msgId, decoded) => {
+      socket.write(jt808.encode({ msgId, terminal: TERMINAL, decoded }));
+      return new Promise((resolve) => waiting.push(resolve));
+    };
+    return socket;
+  }
+
+  const isOpen = async (socket) => Promise.race([socket.gone.then(() => false), new Promise((resolve) => setTimeout(resolve, 200, true))]);
+
+  it("keeps the authenticated socket when another one spoofs its terminal number", async () => {
+    const a = await connect();
+    const { decoded: { auth_code: authCode } } = await a.send(0x0100, REGISTRATION);
+    assert.equal((await a.send(0x0102, { auth_code: authCode })).decoded.result, ACK_RESULT.OK);
+    assert.ok(server.sessions.socketOf(TERMINAL, PROTOCOL.JT808));
+
+    // registering again or authenticating with a wrong code is answered, but does not take over
+    const b = await connect();
+    assert.equal((await b.send(0x0100, REGISTRATION)).decoded.result, REGISTER_RESULT.TERMINAL_REGISTERED);
+    assert.equal((await b.send(0x0102, { auth_code: "0".repeat(16) })).decoded.result, ACK_RESULT.FAIL);
+    assert.equal(await isOpen(a), true);
+    assert.equal(server.sessions.get(TERMINAL).online, true);
+
+    // nor do data messages from it
+    b.write(jt808.encode({ msgId: 0x0002, terminal: TERMINAL }));
+    assert.equal(await isOpen(a), true);
+    assert.equal(server.sessions.get(TERMINAL).address.endsWith(`:${a.localPort}`), true);
+
+    // the terminal logging in again with its code does replace the old connection
+    const c = await connect();
+    assert.equal((await c.send(0x0102, { auth_code: authCode })).decoded.result, ACK_RESULT.OK);
+    await a.gone;
+    assert.equal(server.sessions.get(TERMINAL).address.endsWith(`:${c.localPort}`), true);
+
+    for (const socket of [b, c]) socket.destroy();
+    await Promise.all([b.gone, c.gone]);
+    while (server.sessions.get(TERMINAL).online) await new Promise((resolve) => setTimeout(resolve, 5));
+  });
+});
@@ -0,0 +1,133 @@
+// jt808-subpack.test.js  (ESM)
+// Sub-package reassembly: pieces in any order, 0x8003 retransmission requests
+// for missing pieces, expiry and duplicate pieces. Pieces are real frames of a
+// 0x0200 body split in three, run through the codec.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as jt808 from "../jt808.js";
+import { createReassembler } from "../jt808-subpack.js";
+
+const TERMINAL = "13800138000";
+const LOCATION = {
+  alarm: 0,
+  status: 0x00000003,
+  latitude: 52.520008,
+  longitude: 13.404954,
+  altitude_m: 34,
+  speed_kmh: 50,
+  course_deg: 90,
+  time_utc: "2026-10-19T08:30:15.000Z",
+};
+const BODY = jt808.encodeJT808Body(0x0200, LOCATION);
+const FIRST_SEQ = 0xfffe; // the serials of the pieces wrap around
+
+// piece `idx` (1-based) of 3, decoded from its frame like the server sees it
+function piece(idx, bodyBytes = null) {
+  const size = Math.ceil(BODY.length / 3);
+  const frame = jt808.encode({
+    msgId: 0x0200,
+    terminal: TERMINAL,
+    seq: (FIRST_SEQ + idx - 1) & 0xffff,
+    pkg: { total: 3, idx },
+    bodyBytes: bodyBytes ?? BODY.subarray((idx - 1) * size, idx * size),
+  });
+  return jt808.decode(frame);
+}
+
+function create(t, opts = {}) {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.parse("2026-10-19T08:00:00.000Z") });
+  const expired = [];
+  const requests = [];
+  const reassembler = createReassembler({
+    retransmitAfterMs: 1000,
+    timeoutMs: 5000,
+    decode: jt808.decodeJT808Body,
+    onExpire: (entry) => expired.push(entry),
+    ...opts,
+  });
+  const push = (p) => reassembler.push(p, (firstSeq, missing) => requests.push(jt808.build8003(TERMINAL, firstSeq, missing)));
+  return { reassembler, push, expired, requests };
+}
+
+describe("JT808 sub-package reassembly", () => {
+  it("reassembles pieces that arrive out of order", (t) => {
+    const { reassembler, push } = create(t);
+    assert.equal(piece(2).subpack, true);
+    assert.equal(push(piece(3)), null);
+    assert.equal(push(piece(1)), null);
+    assert.equal(reassembler.size, 1);
+
+    const message = push(piece(2));
+    assert.equal(reassembler.size, 0);
+    assert.deepEqual(message.bodyBytes, BODY);
+    assert.equal(message.seq, FIRST_SEQ);
+    assert.equal(message.reassembled, true);
+    assert.equal(message.subpack, false);
+    assert.equal(message.decoded.latitude, LOCATION.latitude);
+    assert.equal(message.decoded.time_utc, LOCATION.time_utc);
+  });
+
+  it("asks for the missing pieces with 0x8003, up to maxRetransmits times", (t) => {
+    const { push, requests } = create(t, { maxRetransmits: 2 });
+    push(piece(1));
+    push(piece(3));
+    t.mock.timers.tick(999);
+    assert.equal(requests.length, 0);
+    t.mock.timers.tick(1);
+    assert.equal(requests.length, 1);
+
+    const request = jt808.decode(requests[0]);
+    assert.equal(request.msgId, 0x8003);
+    assert.equal(request.terminal, TERMINAL);
+    assert.deepEqual(request.decoded, { first_seq: FIRST_SEQ, ids: [2] });
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+    assert.equal(requests.length, 2);
+    assert.deepEqual(push(piece(2)).bodyBytes, BODY);
+    t.mock.timers.tick(5000);
+    assert.equal(requests.length, 2);
+  });
+
+  it("drops an incomplete message after timeoutMs", (t) => {
+    const { reassembler, push, expired } = create(t);
+    push(piece(2));
+    t.mock.timers.tick(4999);
+    assert.equal(expired.length, 0);
+    t.mock.timers.tick(1);
+
+    assert.equal(reassembler.size, 0);
+    assert.equal(expired.length, 1);
+    assert.equal(expired[0].terminal, TERMINAL);
+    assert.equal(expired[0].firstSeq, FIRST_SEQ);
+    assert.deepEqual(expired[0].missing, [1, 3]);
+  });
+
+  it("counts a duplicate piece once and ignores it after reassembly", (t) => {
+    const { reassembler, push, requests, expired } = create(t);
+    push(piece(1, Buffer.from("stale")));
+    push(piece(1));
+    assert.equal(push(piece(3)), null);
+    assert.equal(push(piece(3)), null);
+    // the later copy of a piece wins
+    assert.deepEqual(push(piece(2)).bodyBytes, BODY);
+
+    // a retransmitted piece arriving late does not start the message over
+    assert.equal(push(piece(2)), null);
+    assert.equal(reassembler.size, 0);
+    t.mock.timers.tick(10_000);
+    assert.deepEqual([requests.length, expired.length], [0, 0]);
+
+    // once the window has passed, the same serials are a new message
+    push(piece(1));
+    assert.equal(reassembler.size, 1);
+  });
+
+  it("ignores pieces with an impossible index", (t) => {
+    const { reassembler } = create(t);
+    assert.equal(reassembler.push({ ...piece(1), pkg: { total: 3, idx: 4 } }), null);
+    assert.equal(reassembler.push({ ...piece(1), pkg: { total: 0, idx: 0 } }), null);
+    assert.equal(reassembler.size, 0);
+  });
+});
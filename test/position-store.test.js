@@ -0,0 +1,181 @@
+// position-store.test.js  (ESM)
+// Position store: time, device and grid indexes, cursor paging and rebuilding
+// the index from the segment files. Each test gets its own directory.
+
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPositionStore } from "../position-store.js";
+
+const T0 = Date.parse("2026-10-19T08:00:00.000Z");
+
+let store;
+let dir;
+afterEach(() => {
+  store?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function open(opts = {}) {
+  dir ??= fs.mkdtempSync(path.join(os.tmpdir(), "positions-"));
+  store = createPositionStore({ dir, maxAgeDays: 0, maxBytes: 0, ...opts });
+  return store;
+}
+
+function create(opts) {
+  dir = undefined;
+  return open(opts);
+}
+
+const fix = (n, extra = {}) => ({
+  deviceId: "A",
+  timestamp: new Date(T0 + n * 1000).toISOString(),
+  latitude: 10.5,
+  longitude: 20.5,
+  seq: n,
+  ...extra,
+});
+
+const seqs = (page) => page.items.map((p) => p.seq);
+
+// every page of a query, following nextCursor until it runs out
+function pages(positions, q) {
+  const out = [];
+  let cursor;
+  do {
+    const page = positions.query({ ...q, cursor });
+    out.push(seqs(page));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return out;
+}
+
+describe("position store", () => {
+  it("orders by timestamp, also for late uploads, and filters on a time range", () => {
+    const positions = create();
+    for (const n of [1, 2, 5, 3, 4]) positions.append(fix(n));
+
+    assert.deepEqual(seqs(positions.query()), [1, 2, 3, 4, 5]);
+    assert.deepEqual(seqs(positions.query({ order: "desc" })), [5, 4, 3, 2, 1]);
+    assert.deepEqual(seqs(positions.query({ from: T0 + 2000, to: T0 + 4000 })), [2, 3, 4]);
+    assert.deepEqual(seqs(positions.query({ from: T0 + 6000 })), []);
+    // recent() keeps the order they were stored in
+    assert.deepEqual(positions.recent(2).map((p) => p.seq), [3, 4]);
+  });
+
+  it("answers per-device queries from the device index", () => {
+    const positions = create();
+    positions.append(fix(1));
+    positions.append(fix(2, { deviceId: "B" }));
+    positions.append(fix(3));
+    positions.append(fix(0, { deviceId: "B", historical: true }));
+
+    assert.deepEqual(seqs(positions.query({ deviceId: "A" })), [1, 3]);
+    assert.deepEqual(seqs(positions.query({ deviceId: "B" })), [0, 2]);
+    assert.deepEqual(seqs(positions.query({ deviceId: "C" })), []);
+    assert.deepEqual(positions.forDevice("B").map((p) => p.seq), [0, 2]);
+    assert.deepEqual(positions.devices().sort(), ["A", "B"]);
+    // a historical upload does not replace the latest live position
+    assert.equal(positions.latest("B").seq, 2);
+    assert.equal(positions.latest().seq, 3);
+  });
+
+  it("filters on a bounding box, from grid cells or from the time index", () => {
+    const positions = create();
+    positions.append(fix(1, { latitude: 10.5, longitude: 20.5 }));
+    positions.append(fix(2, { latitude: 11.5, longitude: 21.5 }));
+    positions.append(fix(3, { latitude: 12, longitude: 22 })); // on the box edge
+    positions.append(fix(4, { latitude: 40, longitude: 50 }));
+    positions.append(fix(5, { latitude: null, longitude: null }));
+
+    const small = [20, 10, 22, 12]; // 9 cells
+    const large = [0, 0, 22, 12]; // 299 cells: scans the time index
+    assert.deepEqual(seqs(positions.query({ bbox: small })), [1, 2, 3]);
+    assert.deepEqual(seqs(positions.query({ bbox: large })), [1, 2, 3]);
+    assert.deepEqual(seqs(positions.query({ bbox: small, order: "desc", deviceId: "A" })), [3, 2, 1]);
+    assert.deepEqual(seqs(positions.query({ bbox: [21, 11, 22, 12], from: T0 + 3000 })), [3]);
+  });
+
+  it("returns only the requested fields", () => {
+    const positions = create();
+    positions.append(fix(1));
+    assert.deepEqual(positions.query({ fields: ["seq", "latitude", "nope"] }).items, [{ seq: 1, latitude: 10.5 }]);
+  });
+
+  it("pages with cursors without repeating or skipping records", () => {
+    const positions = create();
+    for (let n = 1; n <= 10; n++) positions.append(fix(n));
+
+    assert.deepEqual(pages(positions, { limit: 3 }), [[1, 2, 3], [4, 5, 6], [7, 8, 9], [10]]);
+    assert.deepEqual(pages(positions, { limit: 4, order: "desc" }), [[10, 9, 8, 7], [6, 5, 4, 3], [2, 1]]);
+    assert.deepEqual(pages(positions, { limit: 3, from: T0 + 2000, to: T0 + 8000 }), [[2, 3, 4], [5, 6, 7], [8]]);
+  });
+
+  it("ends on the last full page instead of handing out a cursor to an empty one", () => {
+    const positions = create();
+    for (let n = 1; n <= 6; n++) positions.append(fix(n));
+
+    assert.deepEqual(pages(positions, { limit: 3 }), [[1, 2, 3], [4, 5, 6]]);
+    assert.deepEqual(pages(positions, { limit: 6 }), [[1, 2, 3, 4, 5, 6]]);
+    assert.equal(positions.query({ limit: 7 }).nextCursor, null);
+    assert.deepEqual(pages(positions, { limit: 1, order: "desc", from: T0 + 5000 }), [[6], [5]]);
+  });
+
+  it("keeps cursors stable when records share a timestamp", () => {
+    const positions = create();
+    for (let n = 1; n <= 7; n++) positions.append(fix(0, { seq: n }));
+
+    assert.deepEqual(pages(positions, { limit: 2 }), [[1, 2], [3, 4], [5, 6], [7]]);
+    assert.deepEqual(pages(positions, { limit: 3, order: "desc" }), [[7, 6, 5], [4, 3, 2], [1]]);
+
+    // records stored after the cursor was handed out come after it
+    const first = positions.query({ limit: 4 });
+    positions.append(fix(0, { seq: 8 }));
+    assert.deepEqual(seqs(positions.query({ limit: 10, cursor: first.nextCursor })), [5, 6, 7, 8]);
+  });
+
+  it("resumes a cursor across grid cells in both orders", () => {
+    const positions = create();
+    // alternate between two cells so each page merges both lists
+    for (let n = 1; n <= 9; n++) positions.append(fix(n % 3 ? n : 0, { seq: n, latitude: 10 + (n % 2), longitude: 20.5 }));
+
+    const expectAsc = positions.query({ limit: 100 }).items.map((p) => p.seq);
+    const bbox = [20, 10, 21, 11.9];
+    assert.deepEqual(pages(positions, { bbox, limit: 2 }).flat(), expectAsc);
+    assert.deepEqual(pages(positions, { bbox, limit: 2, order: "desc" }).flat(), [...expectAsc].reverse());
+  });
+
+  it("rejects a cursor it did not hand out", () => {
+    const positions = create();
+    assert.throws(() => positions.query({ cursor: "not-a-cursor" }), /Invalid cursor/);
+    const forged = Buffer.from(JSON.stringify(["x", 1, 2])).toString("base64url");
+    assert.throws(() => positions.query({ cursor: forged }), /Invalid cursor/);
+  });
+
+  it("rebuilds the indexes from its segments when reopened", () => {
+    let positions = create({ segmentBytes: 400 });
+    for (let n = 1; n <= 12; n++) positions.append(fix(n, { deviceId: n % 2 ? "A" : "B" }));
+    const before = positions.stats();
+    const cursor = positions.query({ limit: 5 }).nextCursor;
+    assert.ok(before.segments > 1);
+    positions.close();
+
+    // a crash can leave a torn last line behind
+    const last = fs.readdirSync(dir).sort().at(-1);
+    fs.appendFileSync(path.join(dir, last), '{"deviceId":"A","timest');
+
+    positions = open({ segmentBytes: 400 });
+    assert.equal(positions.size, 12);
+    assert.equal(positions.stats().segments, before.segments);
+    assert.deepEqual(seqs(positions.query({ deviceId: "B" })), [2, 4, 6, 8, 10, 12]);
+    assert.deepEqual(seqs(positions.query({ bbox: [20, 10, 21, 11] })), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    assert.deepEqual(seqs(positions.query({ limit: 3, cursor })), [6, 7, 8]);
+    assert.equal(positions.latest("A").seq, 11);
+
+    // new records go to a fresh segment and are found alongside the old ones
+    positions.append(fix(13));
+    assert.deepEqual(seqs(positions.query({ from: T0 + 12000 })), [12, 13]);
+  });
+});
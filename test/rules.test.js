@@ -0,0 +1,150 @@
+// rules.test.js  (ESM)
+// Rule engine: overspeed, idling and no_report firing once per episode, which
+// devices a rule applies to, and loading the rules file.
+
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRuleEngine } from "../rules.js";
+
+const T0 = Date.parse("2026-10-19T08:00:00.000Z");
+
+const at = (seconds, extra = {}) => ({
+  deviceId: "A",
+  timestamp: new Date(T0 + seconds * 1000).toISOString(),
+  latitude: 52,
+  longitude: 13,
+  speed: 0,
+  ...extra,
+});
+
+function create(...bodies) {
+  const engine = createRuleEngine({ file: null });
+  for (const body of bodies) engine.create(body);
+  // fired messages per position, evaluated "now" at the position's time
+  const fire = (p) => engine.evaluate(p, Date.parse(p.timestamp)).map((f) => f.message);
+  return { engine, fire };
+}
+
+describe("rules", () => {
+  it("fires overspeed once the speed held for its duration, once per episode", () => {
+    const { fire } = create({ id: "fast", type: "overspeed", maxSpeed: 90, duration: 30 });
+    assert.deepEqual(fire(at(0, { speed: 100 })), []);
+    assert.deepEqual(fire(at(20, { speed: 95 })), []);
+    assert.deepEqual(fire(at(30, { speed: 110 })), ["speed 110 km/h above 90 km/h for 30 s"]);
+    assert.deepEqual(fire(at(60, { speed: 120 })), []);
+
+    // slowing down re-arms it, and the hold starts over
+    assert.deepEqual(fire(at(70, { speed: 90 })), []);
+    assert.deepEqual(fire(at(80, { speed: 100 })), []);
+    assert.deepEqual(fire(at(110, { speed: 100 })), ["speed 100 km/h above 90 km/h for 30 s"]);
+  });
+
+  it("does not count a short burst of speed as overspeed", () => {
+    const { fire } = create({ id: "fast", type: "overspeed", maxSpeed: 90, duration: 30 });
+    const speeds = [100, 80, 100, 80, 100];
+    assert.deepEqual(speeds.flatMap((speed, i) => fire(at(i * 20, { speed }))), []);
+  });
+
+  it("fires idling for a running engine that does not move", () => {
+    const { fire } = create({ id: "idle", type: "idling", minutes: 5 });
+    assert.deepEqual(fire(at(0, { ignition: true, speed: 2 })), []);
+    assert.deepEqual(fire(at(299, { ignition: true })), []);
+    assert.deepEqual(fire(at(300, { ignition: true })), ["engine idling for 5 min"]);
+    assert.deepEqual(fire(at(900, { ignition: true })), []);
+
+    // the engine going off ends the episode; so would driving off
+    assert.deepEqual(fire(at(960, { ignition: false })), []);
+    assert.deepEqual(fire(at(1000, { ignition: true })), []);
+    assert.deepEqual(fire(at(1200, { ignition: true, speed: 40 })), []);
+    assert.deepEqual(fire(at(1300, { ignition: true })), []);
+    assert.deepEqual(fire(at(1600, { ignition: true })), ["engine idling for 5 min"]);
+  });
+
+  it("never counts idling without a reported ignition", () => {
+    const { fire } = create({ id: "idle", type: "idling", minutes: 5 });
+    assert.deepEqual([0, 600, 1200].flatMap((s) => fire(at(s))), []);
+  });
+
+  it("fires no_report for a silent device once, until it reports again", () => {
+    const { engine, fire } = create({ id: "silent", type: "no_report", minutes: 10 });
+    fire(at(0));
+    fire(at(0, { deviceId: "B" }));
+    fire(at(300, { deviceId: "B" }));
+
+    assert.deepEqual(engine.checkSilence(T0 + 599_000), []);
+    const fired = engine.checkSilence(T0 + 600_000);
+    assert.deepEqual(fired.map((f) => [f.position.deviceId, f.message]), [["A", "no report for 10 min"]]);
+    assert.deepEqual(engine.checkSilence(T0 + 3_600_000).map((f) => f.position.deviceId), ["B"]);
+    assert.deepEqual(engine.checkSilence(T0 + 7_200_000), []);
+
+    fire(at(7200));
+    assert.deepEqual(engine.checkSilence(T0 + 7_800_000).map((f) => f.position.deviceId), ["A"]);
+  });
+
+  it("applies rules to their devices and groups only", () => {
+    const engine = createRuleEngine({ file: null, groupOf: (id) => (id === "C" ? "vans" : null) });
+    engine.setGroup("trucks", ["B"]);
+    engine.create({ id: "a", type: "overspeed", maxSpeed: 90, devices: ["A"] });
+    engine.create({ id: "trucks", type: "overspeed", maxSpeed: 80, groups: ["trucks"] });
+    engine.create({ id: "vans", type: "overspeed", maxSpeed: 70, groups: ["vans"] });
+    const ids = (deviceId) => engine.evaluate(at(0, { deviceId, speed: 100 })).map((f) => f.rule.id);
+
+    assert.deepEqual(ids("A"), ["a"]);
+    assert.deepEqual(ids("B"), ["trucks"]);
+    assert.deepEqual(ids("C"), ["vans"]);
+    assert.deepEqual(ids("D"), []);
+  });
+
+  it("skips historical uploads", () => {
+    const { fire } = create({ id: "fast", type: "overspeed", maxSpeed: 90 });
+    assert.deepEqual(fire(at(0, { speed: 100, historical: true })), []);
+    assert.deepEqual(fire(at(10, { speed: 100 })).length, 1);
+  });
+
+  it("rejects invalid rules", () => {
+    const { engine } = create();
+    assert.throws(() => engine.create({ type: "speeding" }), /type must be one of/);
+    assert.throws(() => engine.create({ type: "overspeed", maxSpeed: -1 }), /positive maxSpeed/);
+    assert.throws(() => engine.create({ type: "no_report" }), /positive minutes/);
+    assert.throws(() => engine.create({ type: "idling", minutes: 5, devices: "A" }), /arrays of strings/);
+    assert.deepEqual(engine.list(), []);
+  });
+
+  describe("rules file", () => {
+    let dir;
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    function writeRules(config) {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-"));
+      const file = path.join(dir, "rules.json");
+      fs.writeFileSync(file, JSON.stringify(config));
+      return file;
+    }
+
+    it("loads every rule and the groups", () => {
+      const file = writeRules({
+        groups: { trucks: ["B"] },
+        rules: [{ id: "fast", type: "overspeed", maxSpeed: 90 }, { type: "no_report", minutes: 10 }],
+      });
+      const engine = createRuleEngine({ file });
+      assert.deepEqual(engine.list().map((r) => r.type), ["overspeed", "no_report"]);
+      assert.equal(engine.get("fast").duration, 0);
+      assert.deepEqual(engine.groups(), { trucks: ["B"] });
+    });
+
+    it("loads nothing when one rule is invalid", (t) => {
+      const file = writeRules({
+        groups: { trucks: ["B"] },
+        rules: [{ id: "fast", type: "overspeed", maxSpeed: 90 }, { id: "broken", type: "idling" }, { type: "no_report", minutes: 10 }],
+      });
+      const errors = t.mock.method(console, "error", () => {});
+      const engine = createRuleEngine({ file });
+      assert.deepEqual(engine.list(), []);
+      assert.deepEqual(engine.groups(), {});
+      assert.match(errors.mock.calls[0].arguments[1], /rule broken: idling needs positive minutes/);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// sessions.test.js  (ESM)
+// Session manager: binding, duplicate logins, onEnd and the heartbeat sweep.
+// Sockets are stand-ins with a destroy() the manager calls.
+
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createSessionManager, DISCONNECT_REASON } from "../sessions.js";
+
+const fakeSocket = () => ({ destroyed: false, destroy() { this.destroyed = true; } });
+
+let manager;
+afterEach(() => manager?.close());
+
+function create(opts = {}) {
+  const ended = [];
+  manager = createSessionManager({ timeoutSeconds: 60, onEnd: (s) => ended.push(s), ...opts });
+  return { sessions: manager, ended };
+}
+
+describe("sessions", () => {
+  it("starts a session on the first bind only", () => {
+    const { sessions } = create();
+    const socket = fakeSocket();
+    assert.equal(sessions.bind(socket, "A", "jt808", "1.2.3.4:1000"), true);
+    assert.equal(sessions.bind(socket, "A", "jt808", "1.2.3.4:1000"), false);
+    assert.equal(sessions.deviceOf(socket), "A");
+    assert.equal(sessions.socketOf("A", "jt808"), socket);
+    assert.equal(sessions.socketOf("A", "gt06"), null);
+    assert.equal(sessions.online, 1);
+  });
+
+  it("replaces the session of a device logging in again and closes its old socket", () => {
+    const { sessions, ended } = create();
+    const first = fakeSocket();
+    const second = fakeSocket();
+    sessions.bind(first, "A", "jt808", "1.2.3.4:1000");
+    sessions.position({ deviceId: "A", timestamp: "2026-10-19T08:00:00.000Z", latitude: 1, longitude: 2 });
+
+    assert.equal(sessions.bind(second, "A", "jt808", "5.6.7.8:2000"), true);
+    assert.equal(first.destroyed, true);
+    assert.equal(ended.length, 1);
+    assert.equal(ended[0].deviceId, "A");
+    assert.equal(ended[0].disconnectReason, DISCONNECT_REASON.REPLACED);
+    assert.equal(ended[0].address, "1.2.3.4:1000");
+
+    const s = sessions.get("A");
+    assert.equal(s.online, true);
+    assert.equal(s.address, "5.6.7.8:2000");
+    assert.equal(s.lastPosition.latitude, 1, "the last position survives the new login");
+    // the old socket closing afterwards does not end the new session
+    assert.equal(sessions.release(first), null);
+    assert.equal(sessions.get("A").online, true);
+  });
+
+  it("ends the old device's session when a socket switches identity", () => {
+    const { sessions, ended } = create();
+    const socket = fakeSocket();
+    sessions.bind(socket, "A", "hq", "1.2.3.4:1000");
+    sessions.bind(socket, "B", "hq", "1.2.3.4:1000");
+    assert.deepEqual(ended.map((s) => [s.deviceId, s.disconnectReason]), [["A", DISCONNECT_REASON.CLOSED]]);
+    assert.equal(socket.destroyed, false);
+    assert.equal(sessions.get("A").online, false);
+    assert.equal(sessions.get("B").online, true);
+  });
+
+  it("takes a socket closed by the device offline without calling onEnd", () => {
+    const { sessions, ended } = create();
+    const socket = fakeSocket();
+    sessions.bind(socket, "A", "gt06", "1.2.3.4:1000");
+    sessions.packet(socket, 20);
+    const s = sessions.release(socket);
+    assert.equal(s.online, false);
+    assert.equal(s.disconnectReason, DISCONNECT_REASON.CLOSED);
+    assert.equal(s.packets, 1);
+    assert.equal(s.bytes, 20);
+    assert.equal(ended.length, 0);
+    assert.equal(sessions.release(fakeSocket()), null, "an unbound socket carried no session");
+  });
+
+  it("closes devices silent for longer than their timeout on a sweep", () => {
+    const { sessions } = create({ timeoutFor: (id) => (id === "slow" ? 600 : null) });
+    const quiet = fakeSocket();
+    const slow = fakeSocket();
+    sessions.bind(quiet, "quiet", "jt808", "1.2.3.4:1000");
+    sessions.bind(slow, "slow", "jt808", "1.2.3.4:1001");
+
+    assert.deepEqual(sessions.sweep(Date.now() + 30_000), []);
+    const expired = sessions.sweep(Date.now() + 61_000);
+    assert.deepEqual(expired.map((s) => s.deviceId), ["quiet"]);
+    assert.equal(quiet.destroyed, true);
+    assert.equal(slow.destroyed, false, "timeoutFor overrides the default");
+    assert.equal(sessions.release(quiet).disconnectReason, DISCONNECT_REASON.TIMEOUT);
+  });
+
+  it("sweeps on its own timer and keeps devices alive while packets arrive", (t) => {
+    t.mock.timers.enable({ apis: ["setInterval", "Date"], now: Date.parse("2026-10-19T08:00:00Z") });
+    const { sessions } = create();
+    const socket = fakeSocket();
+    sessions.bind(socket, "A", "jt808", "1.2.3.4:1000");
+    t.mock.timers.tick(45_000);
+    sessions.packet(socket);
+    t.mock.timers.tick(45_000);
+    assert.equal(socket.destroyed, false);
+    t.mock.timers.tick(30_000);
+    assert.equal(socket.destroyed, true);
+  });
+
+  it("disconnects a device with the given reason", () => {
+    const { sessions } = create();
+    const socket = fakeSocket();
+    sessions.bind(socket, "A", "jt808", "1.2.3.4:1000");
+    assert.equal(sessions.disconnect("A", DISCONNECT_REASON.REVOKED), true);
+    assert.equal(socket.destroyed, true);
+    assert.equal(sessions.release(socket).disconnectReason, DISCONNECT_REASON.REVOKED);
+    assert.equal(sessions.disconnect("A"), false, "already offline");
+  });
+});
@@ -0,0 +1,162 @@
+// track-export.test.js  (ESM)
+// Track export: paging through more than one store page into a slow stream,
+// alarms merged by time, and the HTTP route's parameter checks.
+
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Writable } from "stream";
+import { createPositionStore } from "../position-store.js";
+import { exportTrack } from "../track-export.js";
+
+const T0 = Date.parse("2026-10-19T08:00:00.000Z");
+const POINTS = 2500; // the export reads the store 1000 records at a time
+
+// one point every 10 s, driving north at ~54 km/h
+const fix = (i) => ({
+  deviceId: "A",
+  timestamp: new Date(T0 + i * 10_000).toISOString(),
+  latitude: 52 + i * 0.0015,
+  longitude: 13,
+  speed: 54,
+  ignition: true,
+});
+
+// a writable that takes one chunk per event-loop turn and records how far it backed up
+function slowWritable() {
+  const chunks = [];
+  const stats = { drains: 0, peak: 0 };
+  const out = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    },
+  });
+  const write = out.write.bind(out);
+  out.write = (chunk) => {
+    const ok = write(chunk);
+    stats.peak = Math.max(stats.peak, out.writableLength);
+    return ok;
+  };
+  out.on("drain", () => stats.drains++);
+  const text = () => Buffer.concat(chunks).toString("utf8");
+  return { out, stats, text };
+}
+
+function tempDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+}
+
+describe("exportTrack", () => {
+  let dir;
+  let positions;
+  let alarms;
+
+  before(() => {
+    dir = tempDir("export");
+    positions = createPositionStore({ dir: path.join(dir, "positions"), maxAgeDays: 0, maxBytes: 0 });
+    alarms = createPositionStore({ dir: path.join(dir, "alarms"), maxAgeDays: 0, maxBytes: 0 });
+    for (let i = 0; i < POINTS; i++) positions.append(fix(i));
+    for (const i of [5, 1500]) alarms.append({ ...fix(i), alarmType: "overspeed" });
+  });
+
+  after(() => {
+    positions.close();
+    alarms.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (format, out, range = {}) =>
+    exportTrack({ format, deviceId: "A", positionStore: positions, alarmStore: alarms, out, ...range });
+
+  it("pages through every point and waits for a slow stream to drain", async () => {
+    const { out, stats, text } = slowWritable();
+    await run("csv", out);
+    out.end();
+    await new Promise((resolve) => out.on("finish", resolve));
+
+    const rows = text().trim().split("\n").slice(1).map((line) => line.split(","));
+    const points = rows.filter((r) => r[0] === "position");
+    assert.equal(points.length, POINTS);
+    assert.deepEqual(points.map((r) => r[2]), Array.from({ length: POINTS }, (_, i) => fix(i).timestamp));
+    // alarms land between the points of their time
+    const alarmRows = rows.map((r, i) => [r[0], i]).filter(([kind]) => kind === "alarm").map(([, i]) => i);
+    assert.deepEqual(alarmRows, [5, 1501]);
+
+    // it stopped for drain along the way instead of buffering the whole export
+    assert.ok(stats.drains >= 3, `drained ${stats.drains} times`);
+    assert.ok(stats.peak < Buffer.byteLength(text()) / 2, `peaked at ${stats.peak} bytes`);
+  });
+
+  it("exports one GPX track with every point of the range", async () => {
+    const { out, text } = slowWritable();
+    await run("gpx", out, { from: T0 + 100 * 10_000, to: T0 + 2199 * 10_000 });
+    out.end();
+    await new Promise((resolve) => out.on("finish", resolve));
+
+    const gpx = text();
+    assert.equal(gpx.match(/<trkpt /g).length, 2100);
+    assert.equal(gpx.match(/<trk>/g).length, 1);
+    assert.equal(gpx.match(/<wpt /g).length, 1);
+    assert.ok(gpx.trimEnd().endsWith("</gpx>"));
+  });
+
+  it("stops when the output closes mid-export", async () => {
+    const { out } = slowWritable();
+    const exporting = run("geojson", out);
+    out.destroy();
+    await assert.rejects(exporting, /Export output closed/);
+  });
+});
+
+describe("GET /device/:deviceId/export", () => {
+  let dir;
+  let server;
+  let base;
+
+  before(async () => {
+    dir = tempDir("export-route");
+    Object.assign(process.env, {
+      POSITION_STORE_DIR: path.join(dir, "positions"),
+      ALARM_STORE_DIR: path.join(dir, "alarms"),
+      GEOFENCE_FILE: path.join(dir, "geofences.json"),
+      RULES_FILE: path.join(dir, "rules.json"),
+      WEBHOOK_DIR: path.join(dir, "webhooks"),
+      JT808_AUTH_FILE: path.join(dir, "jt808-auth.json"),
+      DEVICE_REGISTRY_FILE: path.join(dir, "registry.json"),
+    });
+    mock.method(console, "log", () => {}); // the server logs every packet
+    const { MV77GServer } = await import("../c_gps.js");
+    server = new MV77GServer();
+    server.tcpPort = 0;
+    server.httpPort = 0;
+    await server.start();
+    base = `http://127.0.0.1:${server.httpServer.address().port}/device/A/export`;
+    for (let i = 0; i < 10; i++) server.positionStore.append(fix(i));
+  });
+
+  after(() => {
+    server.stop();
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const param of ["sort=-timestamp", "cursor=abc", "limit=10", "bbox=0,0,1,1", "fields=latitude"]) {
+    it(`rejects ?${param}`, async () => {
+      const res = await fetch(`${base}?format=csv&${param}`);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, new RegExp(`does not support ${param.split("=")[0]}`));
+    });
+  }
+
+  it("exports a time range", async () => {
+    const res = await fetch(`${base}?format=csv&from=${T0 + 20_000}&to=${new Date(T0 + 50_000).toISOString()}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /A\.csv/);
+    const rows = (await res.text()).trim().split("\n").slice(1);
+    assert.deepEqual(rows.map((r) => r.split(",")[2]), [2, 3, 4, 5].map((i) => fix(i).timestamp));
+  });
+});
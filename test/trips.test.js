@@ -0,0 +1,110 @@
+// trips.test.js  (ESM)
+// Trip and stop detection on synthetic tracks: one point every 30 s, driving
+// north at a steady speed or parked in place.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { segmentTrack } from "../trips.js";
+
+const T0 = Date.parse("2026-10-19T08:00:00.000Z");
+const STEP_MS = 30_000;
+const M_PER_DEGREE = 111_195;
+
+function route() {
+  const points = [];
+  let t = T0;
+  let latitude = 52;
+  const at = (speed, extra) => ({ deviceId: "A", timestamp: new Date(t).toISOString(), latitude, longitude: 13, speed, ...extra });
+  return {
+    points,
+    drive(n, speed = 50) {
+      for (let i = 0; i < n; i++) {
+        points.push(at(speed));
+        t += STEP_MS;
+        latitude += (speed / 3.6) * (STEP_MS / 1000) / M_PER_DEGREE;
+      }
+      return this;
+    },
+    park(seconds, { speed = 0, ...extra } = {}) {
+      for (let s = 0; s < seconds; s += STEP_MS / 1000) {
+        points.push(at(speed, extra));
+        t += STEP_MS;
+      }
+      return this;
+    },
+    // nothing heard for `seconds` after the last point
+    silence(seconds) {
+      t += seconds * 1000 - STEP_MS;
+      return this;
+    },
+  };
+}
+
+const iso = (ms) => new Date(ms).toISOString();
+
+describe("segmentTrack", () => {
+  it("keeps a steady drive as one ongoing trip", () => {
+    const { trips, stops } = segmentTrack(route().drive(20).points);
+    assert.equal(stops.length, 0);
+    assert.equal(trips.length, 1);
+    assert.equal(trips[0].ongoing, true);
+    assert.equal(trips[0].points, 20);
+    assert.equal(trips[0].maxSpeed, 50);
+    assert.ok(Math.abs(trips[0].averageSpeed - 50) < 1);
+  });
+
+  it("splits trips at a stop below the speed threshold", () => {
+    const { trips, stops } = segmentTrack(route().drive(10).park(300, { speed: 3 }).drive(10).points);
+    assert.equal(trips.length, 2);
+    assert.deepEqual(stops.map((s) => [s.startTime, s.duration, s.ignitionOff, s.ongoing]), [
+      [iso(T0 + 10 * STEP_MS), 300, false, false],
+    ]);
+    // a trip runs up to the point where the stop begins
+    assert.equal(trips[0].endTime, stops[0].startTime);
+    assert.equal(trips[1].startTime, stops[0].endTime);
+    assert.equal(trips[1].ongoing, true);
+  });
+
+  it("ends a trip when the ignition goes off, however short the stop", () => {
+    const { trips, stops } = segmentTrack(route().drive(10).park(60, { ignition: false, speed: 20 }).drive(10).points);
+    assert.equal(trips.length, 2);
+    assert.equal(stops.length, 1);
+    assert.equal(stops[0].ignitionOff, true);
+    assert.equal(stops[0].duration, 60);
+  });
+
+  it("merges a short stop into the trip", () => {
+    const { trips, stops } = segmentTrack(route().drive(10).park(90).drive(10).points);
+    assert.equal(stops.length, 0);
+    assert.equal(trips.length, 1);
+    assert.equal(trips[0].points, 23);
+    assert.equal(trips[0].duration, 22 * 30);
+  });
+
+  it("splits a trip at a gap in the track", () => {
+    const points = route().drive(10).silence(1800).drive(10).points;
+    const { trips, stops } = segmentTrack(points);
+    assert.equal(trips.length, 2);
+    assert.equal(stops.length, 1);
+    assert.equal(stops[0].startTime, points[9].timestamp);
+    assert.equal(stops[0].endTime, points[10].timestamp);
+    assert.equal(stops[0].duration, 1800);
+    assert.deepEqual(stops[0].position, { latitude: points[9].latitude, longitude: 13 });
+
+    // a gap longer than maxGapSeconds but shorter than minStopSeconds still splits
+    assert.equal(segmentTrack(route().drive(10).silence(120).drive(10).points, { maxGapSeconds: 60 }).trips.length, 2);
+    // a short gap is just a missed report or two
+    assert.equal(segmentTrack(route().drive(10).silence(120).drive(10).points).trips.length, 1);
+  });
+
+  it("does not make a trip out of GPS drift while parked", () => {
+    // one fix 100 m off, reporting 12 km/h
+    const points = route().park(300).points;
+    points.push({ ...points[0], timestamp: iso(T0 + 300_000), latitude: 52.0009, speed: 12 });
+    points.push({ ...points[0], timestamp: iso(T0 + 330_000), speed: 0 });
+    const { trips, stops } = segmentTrack(points);
+    assert.equal(trips.length, 0);
+    assert.equal(stops.length, 1);
+    assert.equal(stops[0].ongoing, true);
+  });
+});
@@ -0,0 +1,162 @@
+// webhooks.test.js  (ESM)
+// Webhook dispatcher against a local HTTP receiver: signatures, batching,
+// retries with backoff, dead letters and the per-subscriber queue cap.
+
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createWebhookDispatcher, signPayload } from "../webhooks.js";
+
+// The receiver answers with the next queued status (200 once they run out)
+let server;
+let url;
+let received = [];
+let statuses = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ at: Date.now(), headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(statuses.shift() ?? 200).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+after(() => server.close());
+
+let dispatcher;
+let dir;
+afterEach(() => {
+  dispatcher?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  received = [];
+  statuses = [];
+});
+
+function create(opts = {}) {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+  dispatcher = createWebhookDispatcher({ dir, batchWindowMs: 20, retryBaseMs: 20, tickMs: 5, ...opts });
+  return dispatcher;
+}
+
+async function waitFor(check, ms = 2000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("timed out");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const position = (n) => ({ deviceId: "A", timestamp: new Date(n * 1000).toISOString(), latitude: 1, longitude: 2, speed: n });
+
+describe("webhooks", () => {
+  it("signs the body with the subscriber's secret", async () => {
+    const webhooks = create();
+    const { secret } = webhooks.create({ url, events: ["position"] });
+    webhooks.publish("position", position(1));
+    await waitFor(() => received.length === 1);
+
+    const [{ headers, body, json }] = received;
+    assert.equal(headers["x-webhook-id"], json.id);
+    assert.equal(headers["x-webhook-signature"], signPayload(secret, headers["x-webhook-timestamp"], body));
+    assert.notEqual(headers["x-webhook-signature"], signPayload("other", headers["x-webhook-timestamp"], body));
+    assert.deepEqual(json.events.map((e) => [e.type, e.deviceId, e.data.speed]), [["position", "A", 1]]);
+  });
+
+  it("batches events up to batchSize and keeps them in order", async () => {
+    const webhooks = create({ batchSize: 2 });
+    webhooks.create({ url, events: ["position"] });
+    webhooks.create({ url, events: ["alarm"] });
+    for (let n = 1; n <= 5; n++) webhooks.publish("position", position(n));
+    await waitFor(() => received.length === 3);
+
+    assert.deepEqual(received.map((r) => r.json.events.map((e) => e.data.speed)), [[1, 2], [3, 4], [5]]);
+    await waitFor(() => webhooks.outbox().length === 0);
+  });
+
+  it("retries a failed batch with growing backoff", async () => {
+    const webhooks = create();
+    webhooks.create({ url, events: ["position"] });
+    statuses = [500, 503];
+    webhooks.publish("position", position(1));
+    await waitFor(() => received.length === 3);
+
+    assert.equal(new Set(received.map((r) => r.json.id)).size, 1);
+    // 20 ms, then 40 ms, with ±20 % jitter
+    assert.ok(received[1].at - received[0].at >= 16);
+    assert.ok(received[2].at - received[1].at >= 32);
+    await waitFor(() => webhooks.outbox().length === 0);
+    assert.deepEqual(webhooks.deadLetters(), []);
+  });
+
+  it("dead-letters a batch after maxAttempts and can retry it", async () => {
+    const webhooks = create({ maxAttempts: 2 });
+    webhooks.create({ url, events: ["position"] });
+    statuses = [500, 500];
+    webhooks.publish("position", position(1));
+    await waitFor(() => webhooks.deadLetters().length === 1);
+
+    const [letter] = webhooks.deadLetters();
+    assert.equal(letter.lastError, "HTTP 500");
+    assert.equal(letter.attempts, 2);
+    assert.deepEqual(webhooks.outbox(), []);
+
+    assert.equal(webhooks.retryDeadLetter(letter.id), true);
+    await waitFor(() => received.length === 3 && webhooks.outbox().length === 0);
+    assert.equal(received[2].json.id, letter.id);
+    assert.deepEqual(webhooks.deadLetters(), []);
+  });
+
+  it("dead-letters a batch that cannot be sent instead of crashing", async () => {
+    const webhooks = create();
+    webhooks.create({ url, events: ["position"] });
+    webhooks.publish("position", { deviceId: "A", big: 1n });
+    await waitFor(() => webhooks.deadLetters().length === 1);
+    assert.match(webhooks.deadLetters()[0].lastError, /BigInt/);
+    assert.deepEqual(webhooks.outbox(), []);
+  });
+
+  it("sheds the oldest batches of a subscriber past maxQueued", () => {
+    // a tick that never comes: nothing is delivered
+    const webhooks = create({ batchSize: 1, maxQueued: 2, tickMs: 60_000 });
+    webhooks.create({ url, events: ["position"] });
+    for (let n = 1; n <= 5; n++) webhooks.publish("position", position(n));
+
+    assert.equal(webhooks.outbox().length, 2);
+    const dead = webhooks.deadLetters();
+    assert.deepEqual(dead.map((d) => d.events[0].data.speed), [1, 2, 3]);
+    assert.ok(dead.every((d) => d.lastError === "queue full (2 batches)"));
+  });
+
+  it("writes the outbox compactly and only when it changed", async () => {
+    const webhooks = create({ tickMs: 10, retryBaseMs: 60_000 });
+    const outboxFile = path.join(dir, "outbox.json");
+    webhooks.publish("position", position(1)); // no subscribers
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.equal(fs.existsSync(outboxFile), false);
+
+    webhooks.create({ url, events: ["position"], id: "hook" });
+    statuses = [500];
+    webhooks.publish("position", position(2));
+    await waitFor(() => fs.existsSync(outboxFile));
+    const saved = fs.readFileSync(outboxFile, "utf8");
+    assert.equal(saved.includes("\n"), false);
+    assert.equal(JSON.parse(saved)[0].subscriberId, "hook");
+  });
+
+  it("picks up the saved outbox after a restart", () => {
+    const webhooks = create({ tickMs: 60_000 });
+    webhooks.create({ url, events: ["position"], id: "hook" });
+    webhooks.publish("position", position(1));
+    webhooks.close();
+
+    dispatcher = createWebhookDispatcher({ dir, tickMs: 60_000 });
+    assert.deepEqual(dispatcher.outbox().map((d) => [d.subscriberId, d.eventCount]), [["hook", 1]]);
+  });
+});
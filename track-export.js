@@ -0,0 +1,306 @@
+// track-export.js  (ESM)
+// Streams a device's stored track as GPX, KML, GeoJSON or CSV.
+// Each trip (trips.js) becomes its own track / placemark / LineString; when no
+// trip is detected the whole range is exported as one track. Alarm records in
+// the same range are exported as waypoints (GPX), point placemarks (KML),
+// Point features (GeoJSON) or "alarm" rows (CSV). CSV also keeps the points
+// recorded while parked; the other formats only draw the trips.
+// Positions and alarms are read from the store a page at a time and written
+// with backpressure (the export waits for 'drain' between pages). Trip
+// detection needs the whole range, so a light outline of it (time, position,
+// speed, ignition) is kept in memory; KML and GeoJSON also buffer one trip,
+// as its times come before its coordinates.
+
+import { hasCoords } from "./geo.js";
+import { segmentTrack } from "./trips.js";
+
+const PAGE_SIZE = 1000;
+
+const xml = (v) => String(v ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+const num = (v) => (Number.isFinite(v) ? v : null);
+
+/* ─────────── Writers: begin(deviceId) / alarm(a) / point(p, trip) / end() ─────────── */
+
+function gpxWriter(write) {
+  let open = null; // trip index of the open <trk>
+  const close = () => { if (open !== null) write("</trkseg></trk>\n"); open = null; };
+  return {
+    begin(deviceId) {
+      write('<?xml version="1.0" encoding="UTF-8"?>\n');
+      write('<gpx version="1.1" creator="kosher_navigation" xmlns="http://www.topografix.com/GPX/1/1">\n');
+      write(`<metadata><name>${xml(deviceId)}</name></metadata>\n`);
+    },
+    alarm(a) {
+      write(`<wpt lat="${a.latitude}" lon="${a.longitude}"><time>${xml(a.timestamp)}</time>` +
+        `<name>${xml(a.alarmType)}</name><type>${xml(a.alarmKey ?? "alarm")}</type></wpt>\n`);
+    },
+    point(p, trip) {
+      if (trip === null) return;
+      if (trip !== open) {
+        close();
+        write(`<trk><name>Trip ${trip + 1}</name><trkseg>\n`);
+        open = trip;
+      }
+      // GPX 1.1 has no speed/course; they go in extensions (speed in m/s, as GPX 1.0)
+      write(`<trkpt lat="${p.latitude}" lon="${p.longitude}">` +
+        (p.altitude != null ? `<ele>${p.altitude}</ele>` : "") +
+        `<time>${xml(p.timestamp)}</time>` +
+        (p.satellites != null ? `<sat>${p.satellites}</sat>` : "") +
+        `<extensions>` +
+        (p.speed != null ? `<speed>${+(p.speed / 3.6).toFixed(2)}</speed>` : "") +
+        (p.course != null ? `<course>${p.course}</course>` : "") +
+        `</extensions></trkpt>\n`);
+    },
+    end() {
+      close();
+      write("</gpx>\n");
+    },
+  };
+}
+
+function kmlWriter(write) {
+  let open = null;
+  let buf = null; // gx:Track needs its <when>s before its coordinates, so one trip is buffered
+  const flush = () => {
+    if (open === null) return;
+    const data = (name, values) => `<gx:SimpleArrayData name="${name}">${values.map((v) => `<gx:value>${v ?? ""}</gx:value>`).join("")}</gx:SimpleArrayData>`;
+    write(`<Placemark><name>Trip ${open + 1}</name><gx:Track><altitudeMode>clampToGround</altitudeMode>\n`);
+    write(buf.map((p) => `<when>${xml(p.timestamp)}</when>`).join("\n") + "\n");
+    write(buf.map((p) => `<gx:coord>${p.longitude} ${p.latitude} ${p.altitude ?? 0}</gx:coord>`).join("\n") + "\n");
+    write(`<ExtendedData><SchemaData schemaUrl="#position">` +
+      data("speed", buf.map((p) => p.speed)) + data("course", buf.map((p) => p.course)) +
+      data("satellites", buf.map((p) => p.satellites)) + `</SchemaData></ExtendedData>`);
+    write(`</gx:Track></Placemark>\n`);
+    open = null;
+    buf = null;
+  };
+  return {
+    begin(deviceId) {
+      write('<?xml version="1.0" encoding="UTF-8"?>\n');
+      write('<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n');
+      write(`<Document><name>${xml(deviceId)}</name>\n`);
+      write('<Schema id="position"><gx:SimpleArrayField name="speed" type="float"><displayName>Speed (km/h)</displayName></gx:SimpleArrayField>' +
+        '<gx:SimpleArrayField name="course" type="float"><displayName>Course</displayName></gx:SimpleArrayField>' +
+        '<gx:SimpleArrayField name="satellites" type="int"><displayName>Satellites</displayName></gx:SimpleArrayField></Schema>\n');
+    },
+    alarm(a) {
+      write(`<Placemark><name>${xml(a.alarmType)}</name><TimeStamp><when>${xml(a.timestamp)}</when></TimeStamp>` +
+        `<Point><coordinates>${a.longitude},${a.latitude}</coordinates></Point></Placemark>\n`);
+    },
+    point(p, trip) {
+      if (trip === null) return;
+      if (trip !== open) {
+        flush();
+        open = trip;
+        buf = [];
+      }
+      buf.push(p);
+    },
+    end() {
+      flush();
+      write("</Document></kml>\n");
+    },
+  };
+}
+
+function geojsonWriter(write) {
+  let open = null;
+  let buf = null;
+  let first = true;
+  const feature = (f) => {
+    write((first ? "" : ",\n") + JSON.stringify(f));
+    first = false;
+  };
+  const flush = () => {
+    if (open === null) return;
+    feature({
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: buf.map((p) => (p.altitude != null ? [p.longitude, p.latitude, p.altitude] : [p.longitude, p.latitude])),
+      },
+      properties: {
+        trip: open + 1,
+        coordTimes: buf.map((p) => p.timestamp),
+        speeds: buf.map((p) => num(p.speed)),
+        courses: buf.map((p) => num(p.course)),
+        satellites: buf.map((p) => num(p.satellites)),
+      },
+    });
+    open = null;
+    buf = null;
+  };
+  return {
+    begin(deviceId) {
+      write(`{"type":"FeatureCollection","properties":${JSON.stringify({ deviceId })},"features":[\n`);
+    },
+    alarm(a) {
+      feature({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [a.longitude, a.latitude] },
+        properties: { kind: "alarm", alarmType: a.alarmType, alarmKey: a.alarmKey ?? null, timestamp: a.timestamp },
+      });
+    },
+    point(p, trip) {
+      if (trip === null) return;
+      if (trip !== open) {
+        flush();
+        open = trip;
+        buf = [];
+      }
+      buf.push(p);
+    },
+    end() {
+      flush();
+      write("\n]}\n");
+    },
+  };
+}
+
+const CSV_COLUMNS = ["type", "deviceId", "timestamp", "latitude", "longitude", "speed_kmh", "course", "altitude",
+  "satellites", "gpsValid", "ignition", "historical", "trip", "alarm"];
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function csvWriter(write) {
+  const row = (values) => write(values.map(csvCell).join(",") + "\n");
+  return {
+    begin() {
+      row(CSV_COLUMNS);
+    },
+    alarm(a) {
+      row(["alarm", a.deviceId, a.timestamp, a.latitude, a.longitude, a.speed, a.course, a.altitude,
+        a.satellites, a.gpsValid, a.ignition, a.historical, "", a.alarmType]);
+    },
+    point(p, trip) {
+      row(["position", p.deviceId, p.timestamp, p.latitude, p.longitude, p.speed, p.course, p.altitude,
+        p.satellites, p.gpsValid, p.ignition, p.historical, trip === null ? "" : trip + 1, ""]);
+    },
+    end() {},
+  };
+}
+
+// `alarmsByTime`: alarms are merged into the rows by time instead of written up front
+export const EXPORT_FORMATS = {
+  gpx: { contentType: "application/gpx+xml", extension: "gpx", writer: gpxWriter },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml", writer: kmlWriter },
+  geojson: { contentType: "application/geo+json", extension: "geojson", writer: geojsonWriter },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", writer: csvWriter, alarmsByTime: true },
+};
+
+/* ─────────── Paged reads / backpressure ─────────── */
+
+// every record of a query, a page at a time
+function* paged(store, query) {
+  let cursor;
+  do {
+    const page = store.query({ ...query, limit: PAGE_SIZE, cursor });
+    yield page.items;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+// alarms with coordinates, oldest first; the next one can be looked at before it is taken
+function alarmReader(alarmStore, query) {
+  const pages = alarmStore ? paged(alarmStore, query) : [][Symbol.iterator]();
+  let page = [];
+  let i = 0;
+  return {
+    peek() {
+      while (i >= page.length) {
+        const next = pages.next();
+        if (next.done) return null;
+        page = next.value.filter(hasCoords);
+        i = 0;
+      }
+      return page[i];
+    },
+    take() {
+      return this.peek() && page[i++];
+    },
+  };
+}
+
+// resolves once `out` drained, rejects when it closes first (client went away)
+function drained(out) {
+  // a destroyed stream never asks for drain: writes to it just fail
+  if (out.destroyed) return Promise.reject(new Error("Export output closed"));
+  if (!out.writableNeedDrain) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = (error) => {
+      out.off("drain", onDrain);
+      out.off("close", onClose);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error("Export output closed"));
+    out.on("drain", onDrain);
+    out.on("close", onClose);
+  });
+}
+
+/**
+ * Write one device's track in `format` to `out`, waiting for 'drain' whenever
+ * it asks to. `out` is left open (call `end()` after the returned promise).
+ * @param {object} opts
+ * @param {keyof EXPORT_FORMATS} opts.format
+ * @param {string} opts.deviceId
+ * @param {object} opts.positionStore   position-store.js instance
+ * @param {object} [opts.alarmStore]    position-store.js instance with alarm records
+ * @param {number} [opts.from]          epoch ms
+ * @param {number} [opts.to]            epoch ms
+ * @param {import("stream").Writable} opts.out  e.g. the HTTP response
+ * @returns {Promise<void>}
+ */
+export async function exportTrack({ format, deviceId, positionStore, alarmStore, from, to, out }) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+
+  // pass 1: trip boundaries from a light read of the track
+  const outline = [];
+  for (const items of paged(positionStore, {
+    deviceId, from, to, fields: ["deviceId", "timestamp", "latitude", "longitude", "speed", "ignition"],
+  })) {
+    for (const p of items) outline.push(p);
+  }
+  let { trips } = segmentTrack(outline);
+  const fixes = outline.filter(hasCoords);
+  if (!trips.length && fixes.length) {
+    trips = [{ startTime: fixes[0].timestamp, endTime: fixes[fixes.length - 1].timestamp }];
+  }
+  const bounds = trips.map((t) => [Date.parse(t.startTime), Date.parse(t.endTime)]);
+  outline.length = 0; // only the bounds are needed from here on
+
+  const writer = spec.writer((chunk) => out.write(chunk));
+  const alarms = alarmReader(alarmStore, { deviceId, from, to });
+  // alarms up to `until` (all of them by default); NaN times are not held back
+  const writeAlarms = async (until = Infinity) => {
+    for (let n = 1; alarms.peek() && !(Date.parse(alarms.peek().timestamp) > until); n++) {
+      writer.alarm(alarms.take());
+      if (n % PAGE_SIZE === 0) await drained(out);
+    }
+  };
+
+  writer.begin(deviceId);
+  if (!spec.alarmsByTime) await writeAlarms();
+  await drained(out);
+
+  // pass 2: stream full records page by page
+  let trip = 0;
+  for (const items of paged(positionStore, { deviceId, from, to })) {
+    for (const p of items) {
+      if (!hasCoords(p)) continue;
+      const t = Date.parse(p.timestamp);
+      if (spec.alarmsByTime) await writeAlarms(t);
+      while (trip < bounds.length && t > bounds[trip][1]) trip++;
+      writer.point(p, trip < bounds.length && t >= bounds[trip][0] ? trip : null);
+    }
+    await drained(out);
+  }
+  await writeAlarms();
+  writer.end();
+}
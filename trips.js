@@ -0,0 +1,157 @@
+// trips.js  (ESM)
+// Segments a device track into trips and stops.
+// Input is normalized positions (position.js) of one device, so every
+// protocol arrives in km/h: HQ knots are converted by fromHQ and JT808
+// 0.1 km/h by decode0200. The position store keeps each device's track sorted
+// by timestamp, which is what lets late (historical) uploads land in the
+// right trip.
+// A point counts as moving when ignition is not reported off and its speed
+// (or, when the device sends none, the speed implied by the previous point)
+// reaches `minSpeedKmh`. Pauses shorter than `minStopSeconds` (traffic lights)
+// stay part of the trip, and "trips" shorter than `minTripMeters` (GPS drift
+// while parked) stay part of the stop. No points for longer than
+// `maxGapSeconds` (device off, no coverage) ends the trip: the gap counts as a
+// stop at the last position seen before it.
+// Env:
+//  - TRIP_MIN_SPEED_KMH=n     (default: 5)
+//  - TRIP_MIN_STOP_SECONDS=n  (default: 180)
+//  - TRIP_MIN_DISTANCE_M=n    (default: 300)
+//  - TRIP_MAX_GAP_SECONDS=n   (default: 600)
+
+import { distanceMeters, hasCoords } from "./geo.js";
+
+const DEFAULTS = {
+  minSpeedKmh: Number(process.env.TRIP_MIN_SPEED_KMH || 5),
+  minStopSeconds: Number(process.env.TRIP_MIN_STOP_SECONDS || 180),
+  minTripMeters: Number(process.env.TRIP_MIN_DISTANCE_M || 300),
+  maxGapSeconds: Number(process.env.TRIP_MAX_GAP_SECONDS || 600),
+};
+
+const timeOf = (p) => Date.parse(p.timestamp);
+const place = (p) => ({ latitude: p.latitude, longitude: p.longitude });
+
+// drop points without a usable time or fix, order by time (already the case
+// for store reads), and keep one point per timestamp
+function cleanTrack(positions) {
+  const sorted = positions
+    .filter((p) => Number.isFinite(timeOf(p)) && hasCoords(p))
+    .sort((a, b) => timeOf(a) - timeOf(b));
+  const track = [];
+  for (const p of sorted) {
+    const last = track[track.length - 1];
+    if (last && timeOf(last) === timeOf(p)) track[track.length - 1] = p;
+    else track.push(p);
+  }
+  return track;
+}
+
+function isMoving(p, prev, minSpeedKmh) {
+  if (p.ignition === false) return false;
+  let speed = p.speed;
+  if (speed == null && prev) {
+    const seconds = (timeOf(p) - timeOf(prev)) / 1000;
+    speed = seconds > 0 ? (distanceMeters(prev, p) / seconds) * 3.6 : 0;
+  }
+  return (speed ?? 0) >= minSpeedKmh;
+}
+
+// consecutive points of the same state → { moving, from, to } (indexes, inclusive)
+function runsOf(track, states) {
+  const runs = [];
+  for (let i = 0; i < track.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.moving === states[i]) last.to = i;
+    else runs.push({ moving: states[i], from: i, to: i });
+  }
+  return runs;
+}
+
+function merge(runs) {
+  const out = [];
+  for (const run of runs) {
+    const last = out[out.length - 1];
+    if (last && last.moving === run.moving) last.to = run.to;
+    else out.push({ ...run });
+  }
+  return out;
+}
+
+// a run lasts until the next run begins (or its own last point for the final run)
+const endIndex = (runs, i) => (i + 1 < runs.length ? runs[i + 1].from : runs[i].to);
+
+function runDistance(track, from, to) {
+  let meters = 0;
+  for (let i = from + 1; i <= to; i++) meters += distanceMeters(track[i - 1], track[i]);
+  return meters;
+}
+
+/**
+ * @param {object[]} positions  one device's positions
+ * @param {object} [opts]       { minSpeedKmh, minStopSeconds, minTripMeters, maxGapSeconds }
+ * @returns {{ trips: object[], stops: object[] }}
+ */
+export function segmentTrack(positions, opts = {}) {
+  const { minSpeedKmh, minStopSeconds, minTripMeters, maxGapSeconds } = { ...DEFAULTS, ...opts };
+  const track = cleanTrack(positions);
+  if (!track.length) return { trips: [], stops: [] };
+
+  // the point before a gap is where the device stopped reporting
+  const gapAfter = (i) => i + 1 < track.length && timeOf(track[i + 1]) - timeOf(track[i]) > maxGapSeconds * 1000;
+  const states = track.map((p, i) => !gapAfter(i) && isMoving(p, track[i - 1], minSpeedKmh));
+  let runs = runsOf(track, states);
+
+  // short pauses inside a trip are not stops, unless the engine was switched off
+  runs = merge(runs.map((run, i) => {
+    if (run.moving || i === 0 || i === runs.length - 1) return run;
+    const seconds = (timeOf(track[endIndex(runs, i)]) - timeOf(track[run.from])) / 1000;
+    const engineOff = track.slice(run.from, run.to + 1).some((p) => p.ignition === false);
+    const gap = track.slice(run.from, run.to + 1).some((p, k) => gapAfter(run.from + k));
+    return seconds < minStopSeconds && !engineOff && !gap ? { ...run, moving: true } : run;
+  }));
+
+  // drift while parked is not a trip
+  runs = merge(runs.map((run, i) => (
+    run.moving && runDistance(track, run.from, endIndex(runs, i)) < minTripMeters ? { ...run, moving: false } : run
+  )));
+
+  const deviceId = track[0].deviceId ?? null;
+  const trips = [];
+  const stops = [];
+  runs.forEach((run, i) => {
+    const ongoing = i === runs.length - 1;
+    const last = endIndex(runs, i);
+    const start = track[run.from];
+    const end = track[last];
+    const duration = (timeOf(end) - timeOf(start)) / 1000;
+
+    if (run.moving) {
+      const distance = runDistance(track, run.from, last);
+      const speeds = track.slice(run.from, last + 1).map((p) => p.speed).filter(Number.isFinite);
+      trips.push({
+        deviceId,
+        startTime: start.timestamp,
+        endTime: end.timestamp,
+        duration,
+        startPosition: place(start),
+        endPosition: place(end),
+        distance: Math.round(distance),
+        maxSpeed: speeds.length ? speeds.reduce((a, b) => Math.max(a, b)) : null,
+        averageSpeed: duration > 0 ? +((distance / duration) * 3.6).toFixed(1) : null,
+        points: last - run.from + 1,
+        ongoing,
+      });
+    } else {
+      stops.push({
+        deviceId,
+        startTime: start.timestamp,
+        endTime: end.timestamp,
+        duration,
+        position: place(start),
+        ignitionOff: track.slice(run.from, run.to + 1).some((p) => p.ignition === false),
+        ongoing,
+      });
+    }
+  });
+
+  return { trips, stops };
+}
@@ -0,0 +1,340 @@
+// webhooks.js  (ESM)
+// Outbound webhooks: events ("position", "alarm", "connect", "disconnect")
+// are batched per subscriber and POSTed as
+//   { id, sentAt, events: [{ id, type, timestamp, deviceId, data }] }
+// with an HMAC-SHA256 signature of `${X-Webhook-Timestamp}.${body}` in
+//   X-Webhook-Signature: sha256=<hex>
+// keyed with the subscriber's secret. Anything but a 2xx answer is retried
+// with exponential backoff; deliveries that still fail after `maxAttempts`
+// go to the dead-letter list, from which they can be retried or dropped.
+// Each subscriber has its own queue of batches, delivered in order; a queue
+// longer than `maxQueued` batches (a subscriber that has been down for a
+// while) sheds its oldest batch to the dead letters.
+// Subscribers, the outbox (batches not yet delivered) and dead letters are
+// kept in JSON files, so pending events survive a restart.
+// Env:
+//  - WEBHOOK_DIR=path               (default: data/webhooks)
+//  - WEBHOOK_BATCH_SIZE=n           (default: 50 events)
+//  - WEBHOOK_BATCH_WINDOW_MS=n      (default: 1000; how long a batch stays open)
+//  - WEBHOOK_MAX_ATTEMPTS=n         (default: 8)
+//  - WEBHOOK_RETRY_BASE_MS=n        (default: 2000; doubled per attempt, max 1 h)
+//  - WEBHOOK_TIMEOUT_MS=n           (default: 10000)
+//  - WEBHOOK_MAX_QUEUED=n           (default: 200 batches per subscriber)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const WEBHOOK_EVENTS = Object.freeze(["position", "alarm", "connect", "disconnect"]);
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const MAX_DEAD_LETTERS = 1000;
+
+export function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function validate(body, id, secret) {
+  const { url, events, devices, name } = body || {};
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("url must be an absolute http(s) URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") throw new Error("url must be http or https");
+  if (events != null && (!Array.isArray(events) || !events.every((e) => WEBHOOK_EVENTS.includes(e)))) {
+    throw new Error(`events must be a list of ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+  if (devices != null && (!Array.isArray(devices) || !devices.every((d) => typeof d === "string"))) {
+    throw new Error("devices must be an array of device IDs");
+  }
+  return {
+    id,
+    name: typeof name === "string" && name.trim() ? name.trim() : id,
+    url: parsed.toString(),
+    events: events ?? [...WEBHOOK_EVENTS],
+    ...(devices ? { devices } : {}),
+    secret: typeof body.secret === "string" && body.secret ? body.secret : secret,
+  };
+}
+
+export function createWebhookDispatcher({
+  dir = process.env.WEBHOOK_DIR || "data/webhooks",
+  batchSize = Number(process.env.WEBHOOK_BATCH_SIZE || 50),
+  batchWindowMs = Number(process.env.WEBHOOK_BATCH_WINDOW_MS || 1000),
+  maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  retryBaseMs = Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000),
+  timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+  maxQueued = Number(process.env.WEBHOOK_MAX_QUEUED || 200),
+  tickMs = 250,
+} = {}) {
+  const files = {
+    subscribers: path.join(dir, "subscribers.json"),
+    outbox: path.join(dir, "outbox.json"),
+    dead: path.join(dir, "dead-letters.json"),
+  };
+  const readJson = (file, fallback) => {
+    if (!fs.existsSync(file)) return fallback;
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      console.error(`⚠️ Could not read ${file}:`, e.message);
+      return fallback;
+    }
+  };
+
+  const subscribers = new Map(readJson(files.subscribers, []).map((s) => [s.id, s]));
+  // subscriber ID → deliveries, oldest first; the open batch (if any) is the last one
+  // delivery: { id, subscriberId, events, createdAt, attempts, nextAttemptAt, lastError, sealed }
+  const queues = new Map();
+  for (const delivery of readJson(files.outbox, [])) {
+    if (subscribers.has(delivery.subscriberId)) queueOf(delivery.subscriberId).push(delivery);
+  }
+  let deadLetters = readJson(files.dead, []);
+  const inFlight = new Set(); // subscriber IDs with a request on the wire
+  const dirty = new Set(); // files.outbox / files.dead with unsaved changes
+  let saveTimer = null;
+
+  function queueOf(subscriberId) {
+    let queue = queues.get(subscriberId);
+    if (!queue) queues.set(subscriberId, (queue = []));
+    return queue;
+  }
+
+  function dequeue(delivery) {
+    const queue = queues.get(delivery.subscriberId) ?? [];
+    const i = queue.indexOf(delivery);
+    if (i !== -1) queue.splice(i, 1);
+  }
+
+  const allDeliveries = () => [...queues.values()].flat();
+
+  // subscribers are edited by hand now and then, so only that file is indented
+  function write(file, data, indent = 0) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, indent));
+  }
+
+  function save() {
+    try {
+      if (dirty.has(files.outbox)) write(files.outbox, allDeliveries());
+      if (dirty.has(files.dead)) write(files.dead, deadLetters);
+      dirty.clear();
+    } catch (e) {
+      console.error("⚠️ Could not save webhook state:", e.message);
+    }
+  }
+
+  // positions arrive in bursts; changed files are written at most once per tick
+  function saveSoon(...changed) {
+    for (const file of changed) dirty.add(file);
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, tickMs);
+    saveTimer.unref?.();
+  }
+
+  function saveNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    dirty.add(files.outbox).add(files.dead);
+    save();
+  }
+
+  function deadLetter(delivery, error) {
+    dequeue(delivery);
+    deadLetters.push({ ...delivery, lastError: error, failedAt: new Date().toISOString() });
+    if (deadLetters.length > MAX_DEAD_LETTERS) deadLetters = deadLetters.slice(-MAX_DEAD_LETTERS);
+    saveSoon(files.outbox, files.dead);
+  }
+
+  // A subscriber that stays down must not grow the outbox without bound: past
+  // `maxQueued` batches the oldest one not on the wire goes to the dead letters
+  function shed(subscriber, queue) {
+    if (queue.length <= maxQueued) return;
+    const oldest = inFlight.has(subscriber.id) ? queue[1] : queue[0];
+    deadLetter(oldest, `queue full (${maxQueued} batches)`);
+    console.error(`☠️ Webhook ${oldest.id} to ${subscriber.url} dead-lettered: queue full`);
+  }
+
+  const backoff = (attempts) => Math.min(retryBaseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS) * (0.8 + Math.random() * 0.4);
+
+  async function deliver(delivery) {
+    const subscriber = subscribers.get(delivery.subscriberId);
+    if (!subscriber) {
+      dequeue(delivery);
+      return;
+    }
+    inFlight.add(subscriber.id);
+    delivery.attempts++;
+
+    const body = JSON.stringify({ id: delivery.id, sentAt: new Date().toISOString(), events: delivery.events });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let error = null;
+    try {
+      const res = await fetch(subscriber.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": signPayload(subscriber.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (e) {
+      error = e.message;
+    } finally {
+      inFlight.delete(subscriber.id);
+    }
+
+    if (!error) {
+      dequeue(delivery);
+    } else if (delivery.attempts >= maxAttempts) {
+      deadLetter(delivery, error);
+      console.error(`☠️ Webhook ${delivery.id} to ${subscriber.url} dead-lettered: ${error}`);
+    } else {
+      delivery.lastError = error;
+      delivery.nextAttemptAt = Date.now() + backoff(delivery.attempts);
+      console.error(`⚠️ Webhook ${delivery.id} to ${subscriber.url} failed (${error}), attempt ${delivery.attempts}/${maxAttempts}`);
+    }
+    saveSoon(files.outbox);
+  }
+
+  // Only each subscriber's oldest batch is eligible, and only while nothing
+  // is in flight for it, so a subscriber sees its events in order
+  function tick() {
+    const now = Date.now();
+    for (const [subscriberId, queue] of queues) {
+      const delivery = queue[0];
+      if (!delivery || inFlight.has(subscriberId)) continue;
+      const ready = delivery.attempts > 0
+        ? delivery.nextAttemptAt <= now
+        : delivery.sealed || delivery.events.length >= batchSize || now - delivery.createdAt >= batchWindowMs;
+      if (!ready) continue;
+      // errors from the request itself are handled inside; anything else
+      // (an event that cannot be serialized, say) would fail every retry too
+      deliver(delivery).catch((e) => {
+        inFlight.delete(subscriberId);
+        deadLetter(delivery, e.message);
+        console.error(`☠️ Webhook ${delivery.id} dead-lettered:`, e.message);
+      });
+    }
+  }
+
+  const timer = setInterval(tick, tickMs);
+  timer.unref?.();
+
+  const publicView = ({ secret, ...subscriber }) => ({ ...subscriber, hasSecret: !!secret });
+
+  return {
+    /**
+     * Queue an event for every subscriber that wants it.
+     * @param {string} type   one of WEBHOOK_EVENTS
+     * @param {object} data   position / alarm record, or { deviceId, ... }
+     */
+    publish(type, data) {
+      const event = {
+        id: crypto.randomUUID(),
+        type,
+        timestamp: new Date().toISOString(),
+        deviceId: data?.deviceId ?? null,
+        data,
+      };
+      let queued = false;
+      for (const subscriber of subscribers.values()) {
+        if (!subscriber.events.includes(type)) continue;
+        if (subscriber.devices && !subscriber.devices.includes(event.deviceId)) continue;
+        const queue = queueOf(subscriber.id);
+        let open = queue[queue.length - 1];
+        if (!open || open.attempts > 0 || open.sealed || open.events.length >= batchSize) {
+          open = { id: crypto.randomUUID(), subscriberId: subscriber.id, events: [], createdAt: Date.now(), attempts: 0, nextAttemptAt: null, lastError: null };
+          queue.push(open);
+          shed(subscriber, queue);
+        }
+        open.events.push(event);
+        queued = true;
+      }
+      if (queued) saveSoon(files.outbox);
+    },
+
+    list() {
+      return [...subscribers.values()].map(publicView);
+    },
+
+    get(id) {
+      const subscriber = subscribers.get(id);
+      return subscriber ? publicView(subscriber) : null;
+    },
+
+    // Returns the new subscriber including its secret (only shown here)
+    create(body) {
+      const id = body?.id != null ? String(body.id) : crypto.randomUUID();
+      if (subscribers.has(id)) throw new Error(`Webhook ${id} already exists`);
+      const subscriber = validate(body, id, crypto.randomBytes(32).toString("hex"));
+      subscribers.set(id, subscriber);
+      write(files.subscribers, [...subscribers.values()], 2);
+      return subscriber;
+    },
+
+    update(id, body) {
+      const existing = subscribers.get(id);
+      if (!existing) return null;
+      const subscriber = validate(body, id, existing.secret);
+      subscribers.set(id, subscriber);
+      write(files.subscribers, [...subscribers.values()], 2);
+      return publicView(subscriber);
+    },
+
+    remove(id) {
+      if (!subscribers.delete(id)) return false;
+      queues.delete(id);
+      write(files.subscribers, [...subscribers.values()], 2);
+      saveSoon(files.outbox);
+      return true;
+    },
+
+    outbox() {
+      return allDeliveries().map(({ events, ...d }) => ({ ...d, eventCount: events.length }));
+    },
+
+    deadLetters() {
+      return deadLetters;
+    },
+
+    // Move a dead letter back to the outbox for another round of attempts
+    retryDeadLetter(id) {
+      const letter = deadLetters.find((d) => d.id === id);
+      if (!letter) return false;
+      if (!subscribers.has(letter.subscriberId)) throw new Error(`Webhook ${letter.subscriberId} no longer exists`);
+      deadLetters = deadLetters.filter((d) => d !== letter);
+      const { failedAt, ...delivery } = letter;
+      queueOf(delivery.subscriberId).push({ ...delivery, attempts: 0, nextAttemptAt: null, sealed: true });
+      saveNow();
+      return true;
+    },
+
+    removeDeadLetter(id) {
+      const before = deadLetters.length;
+      deadLetters = deadLetters.filter((d) => d.id !== id);
+      if (deadLetters.length === before) return false;
+      saveNow();
+      return true;
+    },
+
+    // Write pending state now (call on shutdown)
+    flush() {
+      saveNow();
+    },
+
+    close() {
+      clearInterval(timer);
+      saveNow();
+    },
+  };
+}